@@ -3,15 +3,42 @@ const sqlite3 = require("sqlite3").verbose();
 const fs = require("fs");
 const path = require("path");
 const { randomUUID } = require('crypto');
+const { match } = require('path-to-regexp');
 const swaggerUi = require('swagger-ui-express');
 const YAML = require('yamljs');
 const cors = require("cors");
+const multer = require('multer');
+const { handleError } = require('./lib/errors');
+const { all, get, run, transaction } = require('./lib/db');
+const { buildPatientWorkbook } = require('./lib/patientExport');
+const { detectFileType, parsePatientUpload } = require('./lib/patientImport');
+const { validateLabelRequest, renderLabelPdf } = require('./lib/barcodeLabels');
+const { normalizeRule, createFaultInjector } = require('./lib/faults');
+const { normalizeStub, createStubRegistry } = require('./lib/stubs');
+const { migrate } = require('./lib/migrate');
+const { createAuthorization } = require('./lib/authorization');
+const { createOpenApiValidator } = require('./lib/openapi');
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE, applyMergePatch, applyJsonPatch } = require('./lib/jsonPatch');
+const { registerOpenApiStubs } = require('./lib/openapiStubs');
+const { FIRST_NAMES, LAST_NAMES } = require('./lib/templating');
+const { normalizeProxySettings, createProxy } = require('./lib/proxy');
+const { readRecordings } = require('./lib/recordings');
+const { normalizePatientV1, buildPatientV1Query, createPatientV1Store } = require('./lib/patientsV1');
+const { SEARCH_MATCH_SQL, toMatchExpression, buildPatientQuery, projectPatient, rebuildSearchIndex, findHighlights } = require('./lib/patientSearch');
+const { readCursor, orderByClause, fetchPage, linkHeader } = require('./lib/pagination');
+const { PATIENT_VERSION_SQL, patientVersion, entityTag, createConcurrency } = require('./lib/concurrency');
+const { FEED_SORT_KEYS, buildAuditQuery, createAuditLog } = require('./lib/audit');
+const { LIVE_PATIENT_SQL, TRASH_SORT_KEYS, createPatientTrash } = require('./lib/patientTrash');
+const { DEFAULT_TTL_SECONDS, loadSigningKey, buildClaims, signToken, verifyToken, readToken, parseCookies } = require('./lib/jwt');
+const { ACCOUNT_FLAGS, normalizeAccount, createAccountStore } = require('./lib/accounts');
+const { DEFAULT_PRIVILEGES, DEFAULT_PERSONA_ID, DEFAULT_PERSONAS, PERSONA_HEADER, PERSONA_COOKIE, normalizePersona, newSubject, createPersonaStore } = require('./lib/personas');
 
 const app = express();
-const PORT = 5178;
+const PORT = Number(process.env.PORT) || 5178;
 
 // middleware
-app.use(express.json());
+// 1mb leaves room for bulk deletes listing thousands of patient keys
+app.use(express.json({ type: ['application/json', MERGE_PATCH_TYPE, JSON_PATCH_TYPE], limit: '1mb' }));
 app.use(cors({ origin: 'http://localhost:3001', credentials: true }));
 app.use(express.static('public'));
 
@@ -30,6 +57,16 @@ app.use((req, res, next) => {
     next();
 });
 
+// latency / error / hang / drop rules managed through /api/admin/faults; they need to know which patient route a GET is for
+app.use((req, res, next) => resolvePatientRead(req, res, next));
+app.use((req, res, next) => faultInjector.middleware(req, res, next));
+
+// runtime stubs managed through /api/admin/stubs answer before any built-in route
+app.use((req, res, next) => stubRegistry.middleware(req, res, next));
+
+// checks JSON responses of documented routes against swagger.yaml (see OPENAPI_RESPONSE_VALIDATION)
+app.use((req, res, next) => openapi.responses(req, res, next));
+
 // simple middleware to require JSON content-type for modifying requests
 function requireJson(req, res, next) {
     // Skip for APIC endpoints
@@ -37,9 +74,18 @@ function requireJson(req, res, next) {
         return next();
     }
 
+    // File uploads are multipart by nature
+    if (req.path.endsWith('/upload') && req.is("multipart/form-data")) {
+        return next();
+    }
+
+    // Bodiless requests (e.g. POST /api/patients/:id/restore) have no content to type
+    const hasBody = req.headers['transfer-encoding'] !== undefined || Number(req.headers['content-length']) > 0;
+
     const method = req.method.toUpperCase();
-    if (["POST", "PUT", "PATCH"].includes(method)) {
-        if (!req.is("application/json")) {
+    if (["POST", "PUT", "PATCH"].includes(method) && hasBody) {
+        // PATCH routes also take RFC 7396 merge patches and RFC 6902 JSON patches
+        if (!req.is(["application/json", MERGE_PATCH_TYPE, JSON_PATCH_TYPE])) {
             return handleError(res, 415, "Content-Type must be application/json", "INVALID_CONTENT_TYPE");
         }
     }
@@ -47,20 +93,27 @@ function requireJson(req, res, next) {
 }
 app.use(requireJson);
 
-// helper to send consistent error responses
-// helper to send consistent error responses
-function handleError(res, status, message, errorCode = null, details = null) {
-    const response = {
-        code: status,
-        message: message
-    };
-    if (errorCode) response.errorCode = errorCode;
-    if (details) response.details = details;
-    return res.status(status).json(response);
-}
+// which user persona the request acts as (X-Mock-Persona header, mockPersona cookie or token subject)
+app.use((req, res, next) => selectPersona(req, res, next));
+
+// privilege checks for patient and preference routes (see lib/authorization.js)
+app.use((req, res, next) => authorize(req, res, next));
+
+// rejects requests that do not match swagger.yaml with 400 + details (OPENAPI_REQUEST_VALIDATION=false to disable)
+app.use((req, res, next) => openapi.requests(req, res, next));
 
 // ensure database file exists (will be gitignored in feature)
 const DB_PATH = path.join(__dirname, "database.db");
+
+// Opt-in "fresh DB every start" (the old behaviour): `node index.js --fresh-db` or FRESH_DB=true
+const FRESH_DB = process.argv.includes('--fresh-db') || process.env.FRESH_DB === 'true';
+if (FRESH_DB) {
+    for (const file of [DB_PATH, `${DB_PATH}-shm`, `${DB_PATH}-wal`]) {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+    console.log("Fresh DB requested: removed existing database file");
+}
+
 try {
     if (!fs.existsSync(DB_PATH)) {
         // create an empty file so sqlite can open it
@@ -79,32 +132,79 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
         console.log("Connected to SQLite database.");
     }
 });
+// In WAL mode requests keep reading while a transaction (lib/db.js) writes through its own connection;
+// statements that find the database locked are retried by lib/db.js rather than by sqlite3's busy timeout.
+db.exec('PRAGMA journal_mode = WAL');
+db.configure('busyTimeout', 0);
+
+// Patient data for the {{patient ...}} / {{randomPatient ...}} helpers in stub templates
+const templateLookups = {
+    findPatient: (id) => new Promise((resolve, reject) => {
+        db.get(`SELECT * FROM patients WHERE (patientKey = ? OR patientId = ?) AND ${LIVE_PATIENT_SQL} LIMIT 1`, [id, id],
+            (err, row) => (err ? reject(err) : resolve(rowToPatient(row))));
+    }),
+    randomPatient: (shipToId) => new Promise((resolve, reject) => {
+        const sql = shipToId
+            ? `SELECT * FROM patients WHERE shipToId = ? AND ${LIVE_PATIENT_SQL} ORDER BY RANDOM() LIMIT 1`
+            : `SELECT * FROM patients WHERE ${LIVE_PATIENT_SQL} ORDER BY RANDOM() LIMIT 1`;
+        db.get(sql, shipToId ? [shipToId] : [], (err, row) => (err ? reject(err) : resolve(rowToPatient(row))));
+    })
+};
 
-// create table
-db.run(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    email TEXT NOT NULL
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS preferences (
-    soldToId TEXT PRIMARY KEY,
-    data TEXT NOT NULL
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS auth_privileges (
-    id TEXT PRIMARY KEY,
-    privileges TEXT NOT NULL
-  )
-`);
+// Schema lives in ./migrations; the server starts listening once they have been applied
+// fault rules for the search path (e.g. the default spinner) leave the single-patient reads sharing it alone
+const faultInjector = createFaultInjector(db, {
+    skip: (req, rule) => req.patientRead === true && rule.path === PATIENT_SEARCH_PATH
+});
+const stubRegistry = createStubRegistry(db, { lookups: templateLookups });
+const personas = createPersonaStore(db);
+const accounts = createAccountStore(db);
+// SOFT_DELETE=true turns patient deletes into tombstones kept in a per ship-to trash for TRASH_RETENTION_DAYS (default 30)
+const trashRetentionDays = process.env.TRASH_RETENTION_DAYS === undefined ? 30 : Number(process.env.TRASH_RETENTION_DAYS);
+if (!(trashRetentionDays > 0)) {
+    console.error('TRASH_RETENTION_DAYS must be a positive number of days');
+    process.exit(1);
+}
+const trash = createPatientTrash(db, { softDelete: process.env.SOFT_DELETE === 'true', retentionDays: trashRetentionDays });
+const patientsV1 = createPatientV1Store(db, { trash });
+// Writes and deletes honour If-Match (412 when stale); REQUIRE_IF_MATCH=true also rejects writes without one (428)
+const concurrency = createConcurrency({ requireIfMatch: process.env.REQUIRE_IF_MATCH === 'true' });
+const audit = createAuditLog(db);
+let signingKey;
+const dbReady = migrate(db)
+    .then(() => rebuildSearchIndex(db))
+    .then(() => faultInjector.reload())
+    .then(() => stubRegistry.reload())
+    .then(() => loadSigningKey(db))
+    .then((key) => { signingKey = key; });
 
 // SWAGGER DOCS
 const swaggerDocument = YAML.load('./swagger.yaml');
+
+// Response mismatches are logged by default; OPENAPI_RESPONSE_VALIDATION=strict turns them into 500s, =off skips them
+const OPENAPI_RESPONSE_MODES = ['warn', 'strict', 'off'];
+const openapiResponseMode = process.env.OPENAPI_RESPONSE_VALIDATION || 'warn';
+if (!OPENAPI_RESPONSE_MODES.includes(openapiResponseMode)) {
+    console.error(`OPENAPI_RESPONSE_VALIDATION must be one of: ${OPENAPI_RESPONSE_MODES.join(', ')}`);
+    process.exit(1);
+}
+const openapi = createOpenApiValidator(swaggerDocument, {
+    validateRequests: process.env.OPENAPI_REQUEST_VALIDATION !== 'false',
+    responseMode: openapiResponseMode
+});
+// Unmatched requests can be forwarded to a real environment and recorded, or replayed from recordings/
+// (PROXY_MODE=off|record|replay, PROXY_TARGET, PROXY_RECORDINGS; changeable at runtime via /api/admin/proxy)
+const proxyConfig = normalizeProxySettings({
+    mode: process.env.PROXY_MODE,
+    target: process.env.PROXY_TARGET,
+    file: process.env.PROXY_RECORDINGS
+});
+if (proxyConfig.details) {
+    console.error(`Invalid proxy configuration: ${proxyConfig.details.map((d) => `${d.field} ${d.issue}`).join('; ')}`);
+    process.exit(1);
+}
+const proxy = createProxy(proxyConfig.settings);
+
 const swaggerOptions = {
     swaggerOptions: {
         authAction: {
@@ -144,333 +244,146 @@ const API_BASE = '/api';
 // ------------------- ADMIN UTILITIES -------------------
 
 // POST - APIC Token
-app.post(`${API_BASE}/apic/token`, (req, res) => {
+// Mints an RS256 JWT for the request's persona; ?expiresIn=<seconds> shortens it for expiry tests
+app.post(`${API_BASE}/apic/token`, async (req, res) => {
+    const ttl = req.query.expiresIn !== undefined ? Number(req.query.expiresIn) : DEFAULT_TTL_SECONDS;
+    if (!Number.isInteger(ttl) || ttl < 1) {
+        return handleError(res, 400, "expiresIn must be a positive integer", "BAD_REQUEST", [{ field: 'expiresIn', issue: 'must be a positive integer' }]);
+    }
+
     res.json({
-        "access_token": "000100tgBk8bzlyPNyFDeefcH2FP5lrET0jfSkz7Qw",
+        "access_token": signToken(signingKey, buildClaims(req.persona, req.persona.privileges), { ttlSeconds: ttl }),
         "token_type": "Bearer",
-        "expires_in": 3600
+        "expires_in": ttl
     });
 });
 
 // POST - APIC Token Validate
-app.post(`${API_BASE}/apic/token/v1/validate`, (req, res) => {
-    res.send("eyJraWQiOiJKVmFPb2hGMTBqbldMVmdIeXR4YU9INHdBSjEzd2xqNkVHXy1CYklESUM4IiwiYWxnIjoiUlMyNTYifQ.eyJpYXQiOjE3NzA5MDA3MTMsInN1YiI6IjExMzY5ODA1NjMwIiwicHJpdmlsZWdlcyI6IlZpZXdJdGVtRm9ybXVsYXJ5RmxhZyxFZGl0UGF0aWVudCxDdXN0b21lclNlbGZBZG1pblZpZXcsRGlzcGxheVNoaXBtZW50Tm90aWZpY2F0aW9uLHZpZXdCYWNrT3JkZXJlZEl0ZW1zLENyZWF0ZU9yZGVyLFZpZXdOb25Gb3JtdWxhcnlJdGVtc0luQ2F0YWxvZyxWaWV3SXRlbVByaWNlLFdhcm5EZWZhdWx0SXRlbVByaWNpbmdWaWV3LEJ1ZGdldEFkbWluLEVuYWJsZVBQRERlc2lnbmF0aW9uLGFkZE9TSVByaWNlSXNzdWUsYWRkT1NJRGFtYWdlLFZpZXdJdGVtQXZhaWxhYmlsaXR5LGFkZE9TSVdyb25nSXRlbSxNYWludGFpbk9yZ0Ryb3BTaGlwcyxDcmVhdGVSZXR1cm4sQXBwbHlEcm9wU2hpcFRvT3JkZXIsY2ZhU3VwcGx5Q2hhaW4sTWFpbnRhaW5Gb3JtdWxhcnlHbG9iYWwsdHJhY2tQb2ludFBhdGllbnRDaGFyZ2VzLGFkZEFkdmFuY2VkU2VhcmNoLFZpZXdQYXRpZW50LEVkaXRDbGluaWNpYW4sc2VhcmNoT1NJTWVkbGluZSxhZGRFbWJyb2lkZXJ5LE1haW50YWluUmV2ZXJzZUZvcm11bGFyeUdsb2JhbCxhZGRPU0lTaG9ydGFnZSxBbGxvd1J1c2hGcmVpZ2h0LGFkZEl0ZW1Db252ZXJzaW9uLE5hdmlnYXRlVG9JbnNpZ2h0LFZpZXdBbGxDbGluaWNpYW5zQnlBY2NvdW50LFZpZXdJdGVtQ29udHJhY3RQcmljZUZsYWcsTmF2aWdhdGVUb0ZSQVQsY2ZhSG9tZWNhcmVHZW5lcmFsLGFkZE9TSU1lZGxpbmUsQ3JlYXRlQW5vdGhlckNsaW5pY2lhbk9yZGVyLE1hbmFnZVJlY3VycmluZ09yZGVycyxEaXNwbGF5RG93bmxvYWRGb3JtdWxhcnlMaW5rLE1hbmFnZVBpZ2d5QmFja0xhYmVscyx2aWV3SXRlbVByb2R1Y3REZXRhaWxUYWJsZSxDcmVhdGVDb25zaWdubWVudCxOYXZpZ2F0ZVRvQ0ZBLERvd25sb2FkUGF0aWVudCxTdWJtaXRPcmRlcixhZGRQcm9kQWxsb2NhdGlvbkV4cG9ydCxNYW5hZ2VDdXN0b21lckRyaXZlblJlcm91dGVSZXF1ZXN0LFZpZXdHTENvZGVzLGFkZFByb2RBbGxvY2F0aW9uTGlzdCxWaWV3UmVjdXJyaW5nT3JkZXJzLHZpZXdPcmRlckZyZWlnaHRTdGF0dXMsVmlld09yZGVycyxNYWludGFpbk9yZ1RlbXBsYXRlcyxNYWludGFpbkdMQ29kZUdsb2JhbCxVcGxvYWRQYXRpZW50LFZpZXdJbnZvaWNlcyxOYXZpZ2F0ZVRvUGFyc2NhbixGaWxlVXBsb2FkLFZpZXdDbWlyLHRyYWNrUG9pbnRFbmFibGVkLE1haW50YWluQ21pcixWaWV3UFBEQnVkZ2V0LE1hbmFnZU5vdGlmaWNhdGlvblByZWZlcmVuY2UsdHJhY2tQb2ludEludmVudG9yeU1hbmFnZW1lbnQsQ3VzdG9tZXJTZWxmQWRtaW5SdWxlLFZpZXdDbGluaWNpYW4sQ3VzdG9tZXJTZWxmQWRtaW5FZGl0LFZpZXdJdGVtQWxsb2NhdGlvblN0YXR1cyxBY2Nlc3NPcmRlcnNDcmVhdGVkQnlVc2VyLFZpZXdSZXR1cm5zLEFjY2Vzc09yZGVyc0J5QWNjb3VudEFjY2VzcyxFZGl0T3JkZXJQTyxNYW5hZ2VTaGFyZWRUZW1wbGF0ZSxCaWxsUGF5VmlldyxhZGRPU0lPdmVyYWdlLEludm9pY2VWZXJpZmllcixNYWludGFpbkZvcm11bGFyeUJ5QWNjb3VudCxWaWV3TWFza2VkRGF0YSxNYW5hZ2VFbWJyb2lkZXJ5RGlnaXRpemF0aW9uUmVxdWVzdCxISF9FRFBPLFJTX0VOTEQsQkRfTU5HRSxGTV9BQ0NUR1JQLEZSX0VOTEQsQk9fU1RBTkQsU0FfU1RBTkQsQlBfTU5HRSxGVF9FTkxELERTX01PUkQsSUFfQ1VTRCxVTV9PUlVMRSxPSF9TSElDLFNMX1NIQVJFLElDX0VOTEQsVVBfU1RBTkQsT0xfRFVJQyxDQV9FTkxELENEX1NUQU5ELElMX0ZVTEwsR0xfQUNDVEdSUCxFTF9NTkdFLElTX0VOTEQsQ01fU1RBTkQsQ09fRU5MRCxJVl9WRVJJRixDUl9NTkdFLENTX1NUQU5ELFJEX01OR0UsUENfRU5MRCxUUF9TVEFORCxQTF9FTkxELFBNX1NUQU5ELFJPX1NUQU5ELERBX0NVU1QiLCJjbGllbnRJZCI6IlBMTU9ScGowVlpDbEZiZHBhR0swQko3Ukp3SWEiLCJnaXZlbk5hbWUiOiJUZXN0IEhvbWVIZWFsdGggMSIsInVzZXJ0eXBlIjoiQ3VzdG9tZXIiLCJhY3RpdmUiOnRydWUsImludGVybmFsQXV0aGVudGljYXRpb24iOmZhbHNlLCJmYW1pbHlOYW1lIjoiVXNlciAwMSIsInNjb3BlIjoib3BlbmlkIiwibmFtZSI6IlRlc3QgSG9tZUhlYWx0aCAxIiwic2Vzc2lvblRpbWVvdXQiOjQ4MCwidG9rZW5UeXBlIjoiQmVhcmVyIiwiZXhwIjoxNzcwOTA0MzEzLCJlbWFpbCI6Imtnb3ZseHdkQG1lZGxpbmUuY29tIiwicmVwQWNjb3VudE51bWJlciI6IiIsInVzZXJuYW1lIjoiQVVUT19ISF9SVyJ9.bl2hd2OSa9JNY0LchF_l53syIi2UJqtWRyqdxLg54Ew-9UIkffnN3VOCC9Zlqsp0jFpE5oNG_lnHV-tLTJQmIaYsAfWZMisl0T-4HHzf1qWxvFptes6X53NaefSsJCeBpSXYVy6tKo47iJZDaKF2O-vF9nySpAnbywf163pEkUWAYF7ERQ8dxKHVXNbFNh14fY3bvVxSB2UsMzRAZwpAFrQVqZs2ZbRz-5rTLG2VKSWpdrn4g6j2l_jdHmuevNVWEn8GcofmdGGIToLEqbFwaOznOQ1P7HH1q47Q4b6N6PjBdHEyt1Ua5s915Wtn2NrOo4xjt8V3LKOBmabFBzm0qA");
+// Verifies the presented token and answers with a JWT carrying the current claims (same expiry)
+app.post(`${API_BASE}/apic/token/v1/validate`, async (req, res) => {
+    const token = readToken(req);
+    if (!token) return handleError(res, 401, "Unauthorized. Missing token.", "UNAUTHORIZED");
+
+    let claims;
+    try {
+        claims = await verifyToken(signingKey, token);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return handleError(res, 401, "Unauthorized. Token expired.", "TOKEN_EXPIRED");
+        }
+        return handleError(res, 401, "Unauthorized. Invalid token.", "INVALID_TOKEN");
+    }
+
+    // re-issued for the token's own persona, whatever the request selects
+    const persona = (await personas.findBySubject(claims.sub)) || req.persona;
+    res.type('text/plain').send(signToken(signingKey, buildClaims(persona, persona.privileges), { expiresAt: claims.exp }));
+});
+
+// GET - JWKS for verifying tokens issued by this mock
+app.get([`${API_BASE}/apic/token/v1/jwks`, '/.well-known/jwks.json'], (req, res) => {
+    res.json({ keys: [signingKey.jwk] });
 });
 
 // GET - Account ShipTo
-app.get(`${API_BASE}/apic/ecom/account/v1/shipto/:id`, (req, res) => {
-    res.json({
-        "id": "1483051",
-        "name": "IS ECOM ONLY HOMECARE TEST ACC",
-        "shortName": "IS ECOM ONLY HOMECARE TEST ACC",
-        "address": {
-            "address1": "1 MEDLINE PL",
-            "address2": "UPDATES APPROVED BY IS ECOM TEAM",
-            "poBox": "",
-            "city": "MUNDELEIN",
-            "district": "",
-            "state": "IL",
-            "postalCode": "60060-4485",
-            "country": "US",
-            "gln": "0000000000000",
-            "taxJurisdiction": "1409720100"
-        },
-        "soldTo": {
-            "id": "1483051",
-            "name": "IS ECOM ONLY HOMECARE TEST ACCT 1",
-            "shortName": "IS ECOM ONLY HOMECARE TEST ACCT 1",
-            "customerGroup": "HH",
-            "enablePPDFilter": false,
-            "pendingTaxCert": false,
-            "creditCardRequired": false,
-            "consignmentEnabled": false,
-            "phdOrderingEnabled": true,
-            "triageOrderingEnabled": true,
-            "primeVendor": false,
-            "address": {
-                "address1": "1 MEDLINE PL",
-                "address2": "UPDATES APPROVED BY IS ECOM TEAM",
-                "poBox": "",
-                "city": "MUNDELEIN",
-                "district": "",
-                "state": "IL",
-                "postalCode": "60060-4485",
-                "country": "US",
-                "gln": "0000000000000",
-                "taxJurisdiction": "1409720100"
-            },
-            "salesOffice": "HC",
-            "restrictManageFormulary": false,
-            "lowSlowEnabled": false,
-            "partners": [
-                {
-                    "id": "",
-                    "name": "",
-                    "partnerType": "AP"
-                },
-                {
-                    "id": "0000009995",
-                    "name": "IS TEST REP",
-                    "partnerType": "ZR",
-                    "email": "TTestRepAcct@medline.com"
-                },
-                {
-                    "id": "0001483051",
-                    "name": "IS ECOM ONLY HOMECARE TEST ACC",
-                    "partnerType": "AG",
-                    "email": "JJWU@MEDLINE.COMx",
-                    "formularyViewId": "ZFORM_0001483051",
-                    "reverseFormularyViewId": "ZREV_0001483051"
-                },
-                {
-                    "id": "0001483051",
-                    "name": "IS ECOM ONLY HOMECARE TEST ACC",
-                    "partnerType": "RE",
-                    "email": "JJWU@MEDLINE.COMx"
-                },
-                {
-                    "id": "0001483051",
-                    "name": "IS ECOM ONLY HOMECARE TEST ACC",
-                    "partnerType": "RG",
-                    "email": "JJWU@MEDLINE.COMx"
-                },
-                {
-                    "id": "0001483051",
-                    "name": "IS ECOM ONLY HOMECARE TEST ACC",
-                    "partnerType": "WE",
-                    "email": "JJWU@MEDLINE.COMx"
-                },
-                {
-                    "id": "ZY08354",
-                    "name": "PROMOTIONAL TRACKING ACCOUNT",
-                    "partnerType": "ZY"
-                }
-            ],
-            "invoiceOutputEnabled": false,
-            "canCreateReturn": false,
-            "paymentTerms": "C030",
-            "paymentTermsDescription": "Within 30 days Due net",
-            "dealer": false,
-            "customerFreightDefault": "C",
-            "patientRoomNumberEnabled": false,
-            "exclusiveFlag": false,
-            "orderingNotEnabled": false
-        },
-        "repInfos": [
-            {
-                "emailAddress": "TTestRepAcct@medline.com",
-                "name": "IS TEST REP",
-                "type": "SALES_REP"
-            }
-        ],
-        "dssiFlag": false
-    });
+app.get(`${API_BASE}/apic/ecom/account/v1/shipto/:id`, async (req, res) => {
+    try {
+        const account = await accounts.find(req.params.id);
+        if (!account) return handleError(res, 404, `ShipTo account ${req.params.id} not found`, "NOT_FOUND");
+        res.json(account);
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
-const DEFAULT_PRIVILEGES = [
-    "ViewItemFormularyFlag",
-    "EditPatient",
-    "CustomerSelfAdminView",
-    "DisplayShipmentNotification",
-    "viewBackOrderedItems",
-    "CreateOrder",
-    "ViewNonFormularyItemsInCatalog",
-    "ViewItemPrice",
-    "WarnDefaultItemPricingView",
-    "BudgetAdmin",
-    "EnablePPDDesignation",
-    "addOSIPriceIssue",
-    "addOSIDamage",
-    "ViewItemAvailability",
-    "addOSIWrongItem",
-    "MaintainOrgDropShips",
-    "CreateReturn",
-    "ApplyDropShipToOrder",
-    "cfaSupplyChain",
-    "MaintainFormularyGlobal",
-    "trackPointPatientCharges",
-    "addAdvancedSearch",
-    "ViewPatient",
-    "EditClinician",
-    "searchOSIMedline",
-    "addEmbroidery",
-    "MaintainReverseFormularyGlobal",
-    "addOSIShortage",
-    "AllowRushFreight",
-    "addItemConversion",
-    "NavigateToInsight",
-    "ViewAllCliniciansByAccount",
-    "ViewProductAlternates",
-    "ViewItemContractPriceFlag",
-    "NavigateToFRAT",
-    "cfaHomecareGeneral",
-    "addOSIMedline",
-    "CreateAnotherClinicianOrder",
-    "ManageRecurringOrders",
-    "DisplayDownloadFormularyLink",
-    "ManagePiggyBackLabels",
-    "viewItemProductDetailTable",
-    "CreateConsignment",
-    "NavigateToCFA",
-    "DownloadPatient",
-    "SubmitOrder",
-    "addProdAllocationExport",
-    "ManageCustomerDrivenRerouteRequest",
-    "ViewGLCodes",
-    "addProdAllocationList",
-    "ViewRecurringOrders",
-    "viewOrderFreightStatus",
-    "ViewOrders",
-    "MaintainOrgTemplates",
-    "MaintainGLCodeGlobal",
-    "UploadPatient",
-    "ViewInvoices",
-    "NavigateToParscan",
-    "FileUpload",
-    "ViewCmir",
-    "trackPointEnabled",
-    "MaintainCmir",
-    "ViewPPDBudget",
-    "ManageNotificationPreference",
-    "trackPointInventoryManagement",
-    "CustomerSelfAdminRule",
-    "ViewClinician",
-    "CustomerSelfAdminEdit",
-    "ViewItemAllocationStatus",
-    "NavigationToXRefSearch",
-    "AccessOrdersCreatedByUser",
-    "ViewReturns",
-    "AccessOrdersByAccountAccess",
-    "EditOrderPO",
-    "ManageSharedTemplate",
-    "BillPayView",
-    "addOSIOverage",
-    "InvoiceVerifier",
-    "MaintainFormularyByAccount",
-    "ViewMaskedData",
-    "ManageEmbroideryDigitizationRequest",
-    "HH_EDPO",
-    "RS_ENLD",
-    "BD_MNGE",
-    "FM_ACCTGRP",
-    "FR_ENLD",
-    "BO_STAND",
-    "SA_STAND",
-    "BP_MNGE",
-    "FT_ENLD",
-    "DS_MORD",
-    "IA_CUSD",
-    "UM_ORULE",
-    "OH_SHIC",
-    "SL_SHARE",
-    "IC_ENLD",
-    "UP_STAND",
-    "OL_DUIC",
-    "CA_ENLD",
-    "CD_STAND",
-    "IL_FULL",
-    "GL_ACCTGRP",
-    "EL_MNGE",
-    "IS_ENLD",
-    "CM_STAND",
-    "CO_ENLD",
-    "IV_VERIF",
-    "CR_MNGE",
-    "CS_STAND",
-    "RD_MNGE",
-    "PC_ENLD",
-    "TP_STAND",
-    "PL_ENLD",
-    "PM_STAND",
-    "RO_STAND",
-    "DA_CUST"
-];
+// Sets req.persona for API requests: the X-Mock-Persona header, then the mockPersona cookie, then the
+// subject of a valid token, then the default persona. Unknown names are a 400 (except on admin routes,
+// so a stale cookie cannot lock the admin page out). req.personaSource says which one it was (for the audit log).
+async function selectPersona(req, res, next) {
+    if (!req.path.startsWith(`${API_BASE}/`)) return next();
 
-// GET - User Context Details
-app.get(`${API_BASE}/apic/ecom/user/usercontext/v2/details`, (req, res) => {
-    db.get("SELECT privileges FROM auth_privileges WHERE id = 'global'", [], (err, row) => {
-        let currentPrivileges = DEFAULT_PRIVILEGES;
-        if (!err && row && row.privileges) {
-            try {
-                currentPrivileges = JSON.parse(row.privileges);
-            } catch (e) {
-                console.error("Failed to parse privileges from DB", e);
+    try {
+        const fromHeader = req.get(PERSONA_HEADER);
+        const requested = fromHeader || parseCookies(req.get('Cookie'))[PERSONA_COOKIE];
+        if (requested) {
+            req.persona = await personas.find(requested);
+            if (!req.persona && !req.path.startsWith(`${API_BASE}/admin/`)) {
+                return handleError(res, 400, `Unknown persona '${requested}'`, "UNKNOWN_PERSONA");
             }
+            if (req.persona) req.personaSource = fromHeader ? 'header' : 'cookie';
         }
 
-        res.json({
-            "details": {
-                "id": "11369805630",
-                "username": "AUTO_HH_RW",
-                "accountLinkedFilterEnabled": true,
-                "lastName": "User 01",
-                "orderOptions": {
-                    "reference1Enabled": true,
-                    "reference2Enabled": true,
-                    "defaultShipTo": "Branch",
-                    "defaultPackagedFor": "Branch"
-                },
-                "numberOfFacilities": 19329,
-                "maxAllowedCreditCards": 10,
-                "activeFacilityName": "NORTHWEST MEDICAL CENTER-AZ",
-                "firstName": "Test HomeHealth 1",
-                "emailAddress": "kgovlxwd@medline.com",
-                "formularyFilterSettings": {
-                    "checkedByDefault": false,
-                    "enabled": true
-                },
-                "invoiceOrdering": "Permitted",
-                "daysToSearchForRecentOrders": "1",
-                "mobileTermsOfUse": true,
-                "creditCardOrdering": "Permitted",
-                "contactPhoneNumber": "999-866-6945",
-                "sessionTimeout": 30,
-                "userType": "STANDARD",
-                "internalAuthentication": false
-            },
-            "organization": {
-                "id": "245673",
-                "name": "Internal Testing - Home Health",
-                "orgVisibilities": [
-                    "CSAEnabled",
-                    "externalOrdering",
-                    "simulation"
-                ]
-            },
-            "privileges": currentPrivileges
-        });
+        const token = !req.persona && readToken(req);
+        if (token) {
+            const claims = await verifyToken(signingKey, token).catch(() => null);
+            if (claims) req.persona = await personas.findBySubject(claims.sub);
+            if (req.persona) req.personaSource = 'token';
+        }
+
+        if (!req.persona) {
+            req.persona = (await personas.find(DEFAULT_PERSONA_ID)) || DEFAULT_PERSONAS[0];
+            req.personaSource = 'default';
+        }
+    } catch (err) {
+        return handleError(res, 500, err.message || 'DB error');
+    }
+    next();
+}
+
+const authorize = createAuthorization((req) => req.persona.privileges);
+
+// GET - User Context Details
+app.get(`${API_BASE}/apic/ecom/user/usercontext/v2/details`, (req, res) => {
+    res.json({
+        "details": req.persona.details,
+        "organization": req.persona.organization,
+        "privileges": req.persona.privileges
     });
 });
 
 // POST - Print Barcode Label
-app.post(`${API_BASE}/apic/ecom/barcode/label/v1/print`, (req, res) => {
+// Renders one Code128 label per barcodeInfo entry on an A4 or LETTER label sheet
+app.post(`${API_BASE}/apic/ecom/barcode/label/v1/print`, async (req, res) => {
     // Expected Payload:
     // {
     //     "facilityId": "1483051",
-    //     "barcodeInfo": [ ... ],
+    //     "barcodeInfo": [ { "barcodeDesc", "barcodeText", "barcodeValue", "secondaryDesc" } ],
     //     "paperFormat": "A4",
     //     "printCodeOnLabel": true,
     //     "labelType": "REGULAR"
     // }
+    const details = validateLabelRequest(req.body);
+    if (details.length > 0) {
+        return handleError(res, 400, "Invalid barcode label request", "BAD_REQUEST", details);
+    }
 
-    res.json({
-        "responseCode": 200,
-        "responseName": "Success",
-        "data": "JVBERi0xLjQKJeLjz9MKNCAwIG9iago8PC9MZW5ndGggMTc0L0ZpbHRlci9GbGF0ZURlY29kZT4+c3RyZWFtCnichY7NCoJAFEb38xTf0iDHO/+6LKw0qBBm0b5wEUj4/ptmRCxJimHg43I4nJ5tPVMWzlj4OyOkTsax86xh/fAljuF+iBvEc3K6AMU3bk1wVHCd49Yhu7YC5RNN9IqBExBWwSniJqg7lu0FcviWJSv/mJi3JSDSxGPISKc1uZThNvSSGNnktKlqsUZZXc51NIb05VAl7bxUfpXqgP0r/dD8TtVSLKTKeeoLbRlOAwplbmRzdHJlYW0KZW5kb2JqCjYgMCBvYmoKPDwvVHlwZS9QYWdlL01lZGlhQm94WzAgMCA2MTIgNzkyXS9SZXNvdXJjZXM8PC9Gb250PDwvRjEgMyAwIFI+Pi9YT2JqZWN0PDwvWGYxIDEgMCBSL1hmMiAyIDAgUj4+Pj4vQ29udGVudHMgNCAwIFIvUGFyZW50IDUgMCBSPj4KZW5kb2JqCjMgMCBvYmoKPDwvVHlwZS9Gb250L1N1YnR5cGUvVHlwZTEvQmFzZUZvbnQvSGVsdmV0aWNhL0VuY29kaW5nL1dpbkFuc2lFbmNvZGluZz4+CmVuZG9iagoyIDAgb2JqCjw8L1R5cGUvWE9iamVjdC9TdWJ0eXBlL0Zvcm0vUmVzb3VyY2VzPDw+Pi9CQm94WzAgMCAzMDkuNiAyNF0vRm9ybVR5cGUgMS9NYXRyaXggWzEgMCAwIDEgMCAwXS9MZW5ndGggMzcyL0ZpbHRlci9GbGF0ZURlY29kZT4+c3RyZWFtCnicjVVJbsMwDLznFXmBwRlqfVDbe/9/qGMLMDW8FAGSUJY4i0ayve38/P68Pj842pvl/fv14lE+D46x6nL+i/WQGtxLPzvFfujXwDODdnUIiArBdnEIM+bV40PtHnCXpl6PnYcP6VGSsLK1LP3qEBYoaKXwrDdomKGgDcKzqdamWrsJz75j9BvUz+81MEX6MN2yIo6PvZz7+qleziYN563z4QC73X1owqpIhw2hAaijQBH1wL4JwBT9oAtfrESFVRRkp9SqGStAYaSor1iZClxKUx9SjFA1vFhBCnxqQm/7MUXT510VpCShC0oXZitKYcaAsk9hwhCvJU6YSW8KFKaeHJqeV6ZE0fTMEhAXuBIV56i3pFyBK1GPJlLdJfUipJsiuaaZ3uV6ZEoVi54lrlTFObKmQp1ImeLKVOibric2UZBSxaZ5ZtdTzC5dU644EnLKFUfCnsnhmRye6X0zFd1N99dNHXYbsubWbf+sv19/1V1zhAplbmRzdHJlYW0KZW5kb2JqCjEgMCBvYmoKPDwvVHlwZS9YT2JqZWN0L1N1YnR5cGUvRm9ybS9SZXNvdXJjZXM8PD4+L0JCb3hbMCAwIDMwOS42IDI0XS9Gb3JtVHlwZSAxL01hdHJpeCBbMSAwIDAgMSAwIDBdL0xlbmd0aCAzODIvRmlsdGVyL0ZsYXRlRGVjb2RlPj5zdHJlYW0KeJyNlUtyw0AIRPc+hU+gohvmd6Ak+9x/EUmeKs00m5SrbCGPoIEHsredn9+f1/WDo74Z79+vF4+4/jj6tOO8Wu0uNrib5eDmD+28XE/QxANjF1BFAa/jl6yP6bgj+Pk9b3xCPg+4hvQhoiI2l6FJFTt2UYV6Iu4Tj4rSj91phaion1I+TquGbSapNxcfTcvbNLWuDeyfsI+wLg0dd4zHw9Cgo4oH2M4MjJI8rIgTWFMyAGkcEFJ3JHxA2yPR1Qu10GCi1kXLhGjxO6FZngklF0HVG0ovYmgGCSaUlPfEaTlTJe/qMgeoTRU3pGnU5qLt3UdPWSak0HUroFeZBwxTJhJYmGSty0G2kWlsmvJM27vNxBUTV4TWlzdXq61ccW6mxcvkarnjO0VMy4lzOy3PxN5ZhihLTDF0Zlm0tiwp8mRqXbVpF9e9Z0xMsabYjVqFJlqaLkd23Y5MTLGL16FbmSPlONLrZuiGdHOZdTetsAtTbnOK/2l/v/4Av7dzOAplbmRzdHJlYW0KZW5kb2JqCjUgMCBvYmoKPDwvVHlwZS9QYWdlcy9Db3VudCAxL0tpZHNbNiAwIFJdPj4KZW5kb2JqCjcgMCBvYmoKPDwvVHlwZS9DYXRhbG9nL1BhZ2VzIDUgMCBSPj4KZW5kb2JqCjggMCBvYmoKPDwvUHJvZHVjZXIoaVRleHSuIDUuNS4xMy4zIKkyMDAwLTIwMjIgaVRleHQgR3JvdXAgTlYgXChBR1BMLXZlcnNpb25cKSkvQ3JlYXRpb25EYXRlKEQ6MjAyNjAyMTgxMzMwNDdaKS9Nb2REYXRlKEQ6MjAyNjAyMTgxMzMwNDdaKT4+CmVuZG9iagp4cmVmCjAgOQowMDAwMDAwMDAwIDY1NTM1IGYgCjAwMDAwMDEwMTggMDAwMDAgbiAKMDAwMDAwMDQ4OCAwMDAwMCBuIAowMDAwMDAwNDAwIDAwMDAwIG4gCjAwMDAwMDAwMTUgMDAwMDAgbiAKMDAwMDAwMTU1OCAwMDAwMCBuIAowMDAwMDAwMjU2IDAwMDAwIG4gCjAwMDAwMDE2MDkgMDAwMDAgbiAKMDAwMDAwMTY1NCAwMDAwMCBuIAp0cmFpbGVyCjw8L1NpemUgOS9Sb290IDcgMCBSL0luZm8gOCAwIFIvSUQgWzxjMTY4MmNmOGVkODY4ZTRkM2MwNTYyNGQ0YmZhYTVmZj48YzE2ODJjZjhlZDg2OGU0ZDNjMDU2MjRkNGJmYWE1ZmY+XT4+CiVpVGV4dC01LjUuMTMuMwpzdGFydHhyZWYKMTgwMgolJUVPRgo=",
-        "fileType": "application/pdf"
-    });
+    try {
+        const pdf = await renderLabelPdf(req.body);
+        res.json({
+            "responseCode": 200,
+            "responseName": "Success",
+            "data": pdf.toString('base64'),
+            "fileType": "application/pdf"
+        });
+    } catch (e) {
+        handleError(res, 500, e.message || 'Failed to render labels');
+    }
 });
 
-// DELETE - Clear all patients
-app.delete(`${API_BASE}/admin/clear`, (req, res) => {
-    db.run('DELETE FROM patients', [], function (err) {
-        if (err) return handleError(res, 500, err.message || 'DB error');
+// DELETE - Clear all patients (each one is kept in the audit log, so it can be restored).
+// In soft-delete mode they move to the trash; otherwise the trash is emptied as well.
+app.delete(`${API_BASE}/admin/clear`, async (req, res) => {
+    try {
+        const { removed, purged } = await trash.removeAll();
+        for (const row of removed) await auditPatient(req, 'delete', row, null);
+        for (const row of purged) await auditPurge(req, row);
         res.json({
             success: true,
-            deletedCount: this.changes,
-            message: `Deleted ${this.changes} patient(s)`
+            deletedCount: removed.length,
+            message: `Deleted ${removed.length} patient(s)`
         });
-    });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
 // GET - HHA Management Data
@@ -636,8 +549,20 @@ const fullGeneratedPreferences = {
     }
 };
 
+// The preferences a soldToId currently sees: its own row, else the 'global' row, else the defaults.
+// The ETag tells them apart ("3", "global-2", "default"), so an If-Match taken from a fallback stops
+// matching once the soldToId has preferences of its own.
+async function loadPreferences(soldToId) {
+    const own = await get(db, 'SELECT data, version FROM preferences WHERE soldToId = ?', [soldToId]);
+    if (own) return { data: JSON.parse(own.data), version: own.version, etag: entityTag(own.version) };
+
+    const global = await get(db, 'SELECT data, version FROM preferences WHERE soldToId = ?', ['global']);
+    if (global) return { data: JSON.parse(global.data), version: null, etag: entityTag(`global-${global.version}`) };
+    return { data: defaultPreferences, version: null, etag: entityTag('default') };
+}
+
 // GET - Preferences
-app.get(`${API_BASE}/preferences`, (req, res) => {
+app.get(`${API_BASE}/preferences`, async (req, res) => {
     // Ensure browsers/Swagger DO NOT cache the GET response
     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
     res.setHeader('Pragma', 'no-cache');
@@ -648,284 +573,619 @@ app.get(`${API_BASE}/preferences`, (req, res) => {
         return handleError(res, 400, "soldToId is required");
     }
 
-    db.get('SELECT data FROM preferences WHERE soldToId = ?', [soldToId], (err, row) => {
-        if (err) return handleError(res, 500, err.message || 'DB error');
-        if (row) {
-            return res.json(JSON.parse(row.data));
-        }
-
-        // Fallback to 'global' if specific soldToId isn't found
-        db.get('SELECT data FROM preferences WHERE soldToId = ?', ['global'], (err2, row2) => {
-            if (err2) return handleError(res, 500, err2.message || 'DB error');
-            if (row2) {
-                return res.json(JSON.parse(row2.data));
-            }
-            // Return default if neither exists
-            return res.json(defaultPreferences);
-        });
-    });
-});
-
-// PUT - Preferences
-app.put(`${API_BASE}/preferences`, (req, res) => {
-    const soldToId = req.query.soldToId;
-    if (!soldToId) {
-        return handleError(res, 400, "soldToId is required");
+    try {
+        const preferences = await loadPreferences(soldToId);
+        // res.json answers 304 Not Modified by itself when If-None-Match matches the ETag
+        res.set('ETag', preferences.etag).json(preferences.data);
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
     }
+});
 
-    const payload = req.body;
+// Merges a PUT /api/preferences payload into a copy of the current preferences
+function mergePreferences(basePrefs, payload) {
+    let currentPrefs = JSON.parse(JSON.stringify(basePrefs));
 
-    const applyUpdate = (basePrefs) => {
-        let currentPrefs = JSON.parse(JSON.stringify(basePrefs));
+    if (payload.routingAndBehavior) {
+        currentPrefs.routingAndBehavior = {
+            ...currentPrefs.routingAndBehavior,
+            ...payload.routingAndBehavior
+        };
+    }
 
-        if (payload.routingAndBehavior) {
-            currentPrefs.routingAndBehavior = {
-                ...currentPrefs.routingAndBehavior,
-                ...payload.routingAndBehavior
-            };
+    if (payload.dmeSupplierPreferences) {
+        if (payload.dmeSupplierPreferences.setPreferencesEnabled !== undefined) {
+            currentPrefs.dmeSupplierPreferences.setPreferencesEnabled = payload.dmeSupplierPreferences.setPreferencesEnabled;
         }
 
-        if (payload.dmeSupplierPreferences) {
-            if (payload.dmeSupplierPreferences.setPreferencesEnabled !== undefined) {
-                currentPrefs.dmeSupplierPreferences.setPreferencesEnabled = payload.dmeSupplierPreferences.setPreferencesEnabled;
-            }
-
-            const allSuppliers = [
-                ...(fullGeneratedPreferences.dmeSupplierPreferences.preferredDmeSupplierList || []),
-                ...(fullGeneratedPreferences.dmeSupplierPreferences.nonPreferredDmeSupplierList || [])
-            ];
-
-            if (payload.dmeSupplierPreferences.preferredDmeSupplierList) {
-                currentPrefs.dmeSupplierPreferences.preferredDmeSupplierList = payload.dmeSupplierPreferences.preferredDmeSupplierList.map(incoming => {
-                    const existing = allSuppliers.find(s => s.dmeId === incoming.dmeId) || {};
-                    return { ...existing, ...incoming };
-                });
-            }
+        const allSuppliers = [
+            ...(fullGeneratedPreferences.dmeSupplierPreferences.preferredDmeSupplierList || []),
+            ...(fullGeneratedPreferences.dmeSupplierPreferences.nonPreferredDmeSupplierList || [])
+        ];
 
-            if (payload.dmeSupplierPreferences.nonPreferredDmeSupplierList) {
-                currentPrefs.dmeSupplierPreferences.nonPreferredDmeSupplierList = payload.dmeSupplierPreferences.nonPreferredDmeSupplierList.map(incoming => {
-                    const existing = allSuppliers.find(s => s.dmeId === incoming.dmeId) || {};
-                    return { ...existing, ...incoming };
-                });
-            }
+        if (payload.dmeSupplierPreferences.preferredDmeSupplierList) {
+            currentPrefs.dmeSupplierPreferences.preferredDmeSupplierList = payload.dmeSupplierPreferences.preferredDmeSupplierList.map(incoming => {
+                const existing = allSuppliers.find(s => s.dmeId === incoming.dmeId) || {};
+                return { ...existing, ...incoming };
+            });
         }
 
-        const jsonStr = JSON.stringify(currentPrefs);
-
-        // Upsert into DB
-        db.run('INSERT OR REPLACE INTO preferences (soldToId, data) VALUES (?, ?)',
-            [soldToId, jsonStr],
-            function (upsertErr) {
-                if (upsertErr) return handleError(res, 500, upsertErr.message || 'DB error');
-                res.json({
-                    code: 200,
-                    message: "HHA order preferences have been successfully created or updated."
-                });
+        if (payload.dmeSupplierPreferences.nonPreferredDmeSupplierList) {
+            currentPrefs.dmeSupplierPreferences.nonPreferredDmeSupplierList = payload.dmeSupplierPreferences.nonPreferredDmeSupplierList.map(incoming => {
+                const existing = allSuppliers.find(s => s.dmeId === incoming.dmeId) || {};
+                return { ...existing, ...incoming };
             });
-    };
+        }
+    }
 
-    // Fetch current state to merge
-    db.get('SELECT data FROM preferences WHERE soldToId = ?', [soldToId], (err, row) => {
-        if (err) return handleError(res, 500, err.message || 'DB error');
+    return currentPrefs;
+}
 
-        if (row) {
-            applyUpdate(JSON.parse(row.data));
-        } else {
-            // fallback to global to avoid resetting to empty defaults if a specific ID is updated first
-            db.get('SELECT data FROM preferences WHERE soldToId = ?', ['global'], (err2, row2) => {
-                let basePrefs = row2 ? JSON.parse(row2.data) : defaultPreferences;
-                applyUpdate(basePrefs);
-            });
-        }
-    });
+// PUT - Preferences
+// - merges into the soldToId's preferences, or into the 'global'/default ones it falls back to (so a specific
+//   ID updated first does not reset to empty defaults)
+// - honours If-Match with the ETag from GET
+app.put(`${API_BASE}/preferences`, async (req, res) => {
+    const soldToId = req.query.soldToId;
+    if (!soldToId) {
+        return handleError(res, 400, "soldToId is required");
+    }
+
+    try {
+        const current = await loadPreferences(soldToId);
+        if (concurrency.rejectStaleWrite(req, res, current.etag)) return;
+
+        const merged = mergePreferences(current.data, req.body);
+        const jsonStr = JSON.stringify(merged);
+
+        // both writes only apply to the state read above, so a concurrent PUT is never silently overwritten
+        const { changes } = current.version === null
+            ? await run(db, 'INSERT INTO preferences (soldToId, data) VALUES (?, ?) ON CONFLICT(soldToId) DO NOTHING', [soldToId, jsonStr])
+            : await run(db, 'UPDATE preferences SET data = ?, version = version + 1 WHERE soldToId = ? AND version = ?', [jsonStr, soldToId, current.version]);
+        if (changes === 0) return concurrency.rejectLostUpdate(res, (await loadPreferences(soldToId)).etag);
+
+        // a first write is diffed against the fallback the soldToId saw until now
+        const version = current.version === null ? 1 : current.version + 1;
+        await audit.record(req, {
+            entityType: 'preferences',
+            entityId: soldToId,
+            action: current.version === null ? 'create' : 'update',
+            version,
+            before: current.data,
+            after: merged
+        });
+        res.set('ETag', entityTag(version)).json({
+            code: 200,
+            message: "HHA order preferences have been successfully created or updated."
+        });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
+// Overwrites a soldToId's own preferences (admin generate/reset) and records the change in the audit log
+async function overwritePreferences(req, soldToId, data) {
+    const before = await get(db, 'SELECT data FROM preferences WHERE soldToId = ?', [soldToId]);
+    const jsonStr = JSON.stringify(data);
+    await run(db, 'INSERT INTO preferences (soldToId, data) VALUES (?, ?) ON CONFLICT(soldToId) DO UPDATE SET data = ?, version = version + 1',
+        [soldToId, jsonStr, jsonStr]);
+    const after = await get(db, 'SELECT version FROM preferences WHERE soldToId = ?', [soldToId]);
+    await audit.record(req, {
+        entityType: 'preferences',
+        entityId: soldToId,
+        action: before ? 'update' : 'create',
+        version: after.version,
+        before: before && JSON.parse(before.data),
+        after: data
+    });
+}
+
 // Admin POST - Generate HHA Data
-app.post(`${API_BASE}/admin/generate-hha`, (req, res) => {
+app.post(`${API_BASE}/admin/generate-hha`, async (req, res) => {
     const soldToId = req.query.soldToId || req.body.soldToId;
     if (!soldToId) {
         return handleError(res, 400, "soldToId is required");
     }
 
-    const jsonStr = JSON.stringify(fullGeneratedPreferences);
-    db.run('INSERT INTO preferences (soldToId, data) VALUES (?, ?) ON CONFLICT(soldToId) DO UPDATE SET data = ?',
-        [soldToId, jsonStr, jsonStr],
-        function (err) {
-            if (err) return handleError(res, 500, err.message || 'DB error');
-            res.json({
-                success: true,
-                message: `HHA data generated for soldToId: ${soldToId}`
-            });
+    try {
+        await overwritePreferences(req, soldToId, fullGeneratedPreferences);
+        res.json({
+            success: true,
+            message: `HHA data generated for soldToId: ${soldToId}`
         });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
 // Admin POST - Reset HHA Data
-app.post(`${API_BASE}/admin/reset-hha`, (req, res) => {
+app.post(`${API_BASE}/admin/reset-hha`, async (req, res) => {
     const soldToId = req.query.soldToId || req.body.soldToId;
     if (!soldToId) {
         return handleError(res, 400, "soldToId is required");
     }
 
-    const jsonStr = JSON.stringify(defaultPreferences);
-    db.run('INSERT INTO preferences (soldToId, data) VALUES (?, ?) ON CONFLICT(soldToId) DO UPDATE SET data = ?',
-        [soldToId, jsonStr, jsonStr],
-        function (err) {
-            if (err) return handleError(res, 500, err.message || 'DB error');
-            res.json({
-                success: true,
-                message: `HHA data reset for soldToId: ${soldToId}`
-            });
+    try {
+        await overwritePreferences(req, soldToId, defaultPreferences);
+        res.json({
+            success: true,
+            message: `HHA data reset for soldToId: ${soldToId}`
         });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
-// GET - Admin Auth Privileges
-app.get(`${API_BASE}/admin/privileges`, (req, res) => {
-    db.get("SELECT privileges FROM auth_privileges WHERE id = 'global'", [], (err, row) => {
-        if (err) return handleError(res, 500, err.message || 'DB error');
+// Records a change to a persona's privileges (null before a create / after a delete); unchanged lists are skipped
+async function auditPrivileges(req, personaId, before, after) {
+    if (before && after && JSON.stringify(before) === JSON.stringify(after)) return;
+    await audit.record(req, {
+        entityType: 'privileges',
+        entityId: personaId,
+        action: !before ? 'create' : !after ? 'delete' : 'update',
+        before: before && { privileges: before },
+        after: after && { privileges: after }
+    });
+}
 
-        let selectedPrivileges = DEFAULT_PRIVILEGES;
-        if (row && row.privileges) {
-            try {
-                selectedPrivileges = JSON.parse(row.privileges);
-            } catch (e) {
-                console.error("Failed to parse privileges from DB", e);
-            }
-        }
+// GET - Admin Auth Privileges (?persona=<id>, default 'global')
+app.get(`${API_BASE}/admin/privileges`, async (req, res) => {
+    try {
+        const persona = await personas.find(req.query.persona || DEFAULT_PERSONA_ID);
+        if (!persona) return handleError(res, 404, "Persona not found", "NOT_FOUND");
 
         res.json({
             allPrivileges: DEFAULT_PRIVILEGES,
-            selectedPrivileges: selectedPrivileges
+            selectedPrivileges: persona.privileges
         });
-    });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
-// POST - Admin Auth Privileges
-app.post(`${API_BASE}/admin/privileges`, (req, res) => {
+// POST - Admin Auth Privileges (?persona=<id>, default 'global')
+app.post(`${API_BASE}/admin/privileges`, async (req, res) => {
     const { privileges } = req.body;
     if (!Array.isArray(privileges)) {
         return handleError(res, 400, "privileges must be an array");
     }
 
-    const privilegesJson = JSON.stringify(privileges);
-    db.run(
-        "INSERT INTO auth_privileges (id, privileges) VALUES ('global', ?) ON CONFLICT(id) DO UPDATE SET privileges = ?",
-        [privilegesJson, privilegesJson],
-        function (err) {
-            if (err) return handleError(res, 500, err.message || 'DB error');
-            res.json({
-                success: true,
-                message: "Privileges updated successfully"
-            });
-        }
-    );
-});
+    try {
+        const persona = await personas.find(req.query.persona || DEFAULT_PERSONA_ID);
+        if (!persona) return handleError(res, 404, "Persona not found", "NOT_FOUND");
 
-// POST - Generate mock patients
-app.post(`${API_BASE}/admin/generate`, (req, res) => {
-    const count = parseInt(req.body.count) || 10;
+        await personas.savePrivileges(persona.id, privileges);
+        await auditPrivileges(req, persona.id, persona.privileges, privileges);
+        res.json({
+            success: true,
+            message: "Privileges updated successfully"
+        });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
 
-    if (count < 1 || count > 1000) {
-        return handleError(res, 400, 'Count must be between 1 and 1000');
+// GET - Admin Personas
+app.get(`${API_BASE}/admin/personas`, async (req, res) => {
+    try {
+        res.json({ personas: await personas.list() });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
     }
+});
 
-    const firstNames = ['John', 'Jane', 'Michael', 'Sarah', 'David', 'Emily', 'Robert', 'Lisa', 'James', 'Mary', 'William', 'Patricia', 'Richard', 'Jennifer', 'Thomas', 'Linda'];
-    const lastNames = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas'];
-    const teams = ['Red Team', 'Blue Team', 'Green Team', 'Yellow Team', 'Purple Team'];
-    const payers = [
-        { payerType: 'Agency', payerDisplayName: 'Medicare' },
-        { payerType: 'Insurance', payerDisplayName: 'Blue Cross' },
-        { payerType: 'Agency', payerDisplayName: 'Medicaid' },
-        { payerType: 'Insurance', payerDisplayName: 'Aetna' },
-        { payerType: 'Self-Pay', payerDisplayName: 'Self-Pay' }
-    ];
-    const shipToIds = ['1563073', '1000000', '2000000'];
+// GET - Admin Persona
+app.get(`${API_BASE}/admin/personas/:id`, async (req, res) => {
+    try {
+        const persona = await personas.find(req.params.id);
+        if (!persona) return handleError(res, 404, "Persona not found", "NOT_FOUND");
+        res.json(persona);
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
 
-    const randomDate = (start, end) => {
-        return new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime())).toISOString().split('T')[0];
-    };
+// Validates and stores a persona; `existing` decides between create (409 on clash) and update (404 when missing)
+async function savePersona(req, res, input, id, { existing, status }) {
+    const current = await personas.find(id || (input && input.id) || '');
 
-    const randomItem = (arr) => arr[Math.floor(Math.random() * arr.length)];
+    // privileges left out of an update stay as they are
+    const { persona, details } = normalizePersona({ privileges: current ? current.privileges : undefined, ...input }, id);
+    if (details) return handleError(res, 400, "Invalid persona", "BAD_REQUEST", details);
 
-    let generated = 0;
-    const createdAt = new Date().toISOString();
+    if (existing && !current) return handleError(res, 404, "Persona not found", "NOT_FOUND");
+    if (!existing && current) return handleError(res, 409, `Persona '${persona.id}' already exists`, "CONFLICT");
 
-    const insertPatient = (i) => {
-        if (i >= count) {
-            return res.json({
-                success: true,
-                generatedCount: generated,
-                message: `Generated ${generated} patient(s)`
-            });
-        }
+    const takenBy = await personas.subjectTakenBy(persona);
+    if (takenBy) {
+        return handleError(res, 409, `details.id is already used by persona '${takenBy}'`, "CONFLICT",
+            [{ field: 'details.id', issue: 'must be unique across personas (it is the token subject)' }]);
+    }
 
-        const patientKey = (typeof crypto !== 'undefined' && crypto.randomUUID) ? crypto.randomUUID() : randomUUID();
-        const guid = patientKey.replace(/-/g, '').toUpperCase();
-        const patientId = Math.floor(Math.random() * 100000000).toString().padStart(8, '0');
-        const firstName = randomItem(firstNames);
-        const lastName = randomItem(lastNames);
-        const dob = randomDate(new Date(1940, 0, 1), new Date(2010, 0, 1));
-        const teamName = randomItem(teams);
-        const primaryPayer = randomItem(payers);
-        const shipToId = randomItem(shipToIds);
+    const saved = await personas.save(persona);
+    await auditPrivileges(req, saved.id, current ? current.privileges : null, saved.privileges);
+    res.status(status).json(saved);
+}
 
-        const metadata = {
-            createdAt,
-            createdBy: 'admin-generator',
-            updatedAt: createdAt,
-            updatedBy: 'admin-generator'
-        };
+// POST - Admin Persona
+app.post(`${API_BASE}/admin/personas`, async (req, res) => {
+    try {
+        await savePersona(req, res, req.body, null, { existing: false, status: 201 });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
 
-        const sql = `INSERT INTO patients (patientKey, guid, patientId, shipToId, firstName, lastName, dateOfBirth, teamName, primaryPayer, metadata) VALUES (?,?,?,?,?,?,?,?,?,?)`;
-        const params = [
-            patientKey,
-            guid,
-            patientId,
-            shipToId,
-            firstName,
-            lastName,
-            dob,
-            teamName,
-            JSON.stringify(primaryPayer),
-            JSON.stringify(metadata)
-        ];
+// PUT - Admin Persona
+app.put(`${API_BASE}/admin/personas/:id`, async (req, res) => {
+    try {
+        await savePersona(req, res, req.body, req.params.id, { existing: true, status: 200 });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
 
-        db.run(sql, params, function (err) {
-            if (!err) generated++;
-            insertPatient(i + 1);
-        });
-    };
+// POST - Admin Persona Clone
+// Body (optional): { id, name }. The clone gets a fresh details.id so tokens stay unambiguous.
+app.post(`${API_BASE}/admin/personas/:id/clone`, async (req, res) => {
+    try {
+        const source = await personas.find(req.params.id);
+        if (!source) return handleError(res, 404, "Persona not found", "NOT_FOUND");
+
+        const body = req.body || {};
+        let id = body.id;
+        if (!id) {
+            id = `${source.id}-copy`;
+            for (let n = 2; await personas.find(id); n++) id = `${source.id}-copy-${n}`;
+        }
 
-    insertPatient(0);
+        await savePersona(req, res, {
+            ...source,
+            name: body.name || `${source.name} (copy)`,
+            details: { ...source.details, id: newSubject() }
+        }, id, { existing: false, status: 201 });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
-// ------------------- PATIENTS API (V2) -------------------
+// DELETE - Admin Persona
+app.delete(`${API_BASE}/admin/personas/:id`, async (req, res) => {
+    if (req.params.id === DEFAULT_PERSONA_ID) {
+        return handleError(res, 400, "The default persona cannot be deleted", "BAD_REQUEST");
+    }
 
-// Re-create table for V2 schema if needed (Running DROP first to ensure schema update during dev)
-db.run("DROP TABLE IF EXISTS patients", [], (err) => {
-    if (!err) {
-        db.run(`
-          CREATE TABLE IF NOT EXISTS patients (
-            patientKey TEXT PRIMARY KEY,
-            guid TEXT,
-            patientId TEXT,
-            shipToId TEXT,
-            firstName TEXT,
-            lastName TEXT,
-            dateOfBirth TEXT,
-            teamName TEXT,
-            primaryPayer TEXT,
-            metadata TEXT
-          )
-        `);
+    try {
+        const persona = await personas.find(req.params.id);
+        const removed = await personas.remove(req.params.id);
+        if (!removed) return handleError(res, 404, "Persona not found", "NOT_FOUND");
+        await auditPrivileges(req, persona.id, persona.privileges, null);
+        res.status(204).send();
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
     }
 });
 
-function safeParse(val) {
-    if (!val) return undefined;
-    try {
-        return JSON.parse(val);
-    } catch (e) {
-        return val;
+// GET - Admin Audit Feed: patient, preference and privilege writes, newest first
+// Filters: entityType, entityId, action, actor (persona id or username), from/to; pages with limit + cursor
+app.get(`${API_BASE}/admin/audit`, async (req, res) => {
+    const query = buildAuditQuery(req.query);
+    if (query.details) {
+        return handleError(res, 400, `Invalid ${query.details[0].field} value. ${query.details[0].issue}`, "BAD_REQUEST", query.details);
+    }
+    const { cursor, details } = readCursor(req.query, FEED_SORT_KEYS);
+    if (details) return handleError(res, 400, `Invalid cursor value. ${details[0].issue}`, "BAD_REQUEST", details);
+
+    try {
+        const page = await audit.feed(query, cursor);
+        const links = linkHeader(req, page);
+        if (links) res.set('Link', links);
+        res.json({
+            count: page.entries.length,
+            limit: query.limit,
+            nextCursor: page.nextCursor,
+            prevCursor: page.prevCursor,
+            entries: page.entries
+        });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// GET - Admin ShipTo Accounts
+app.get(`${API_BASE}/admin/accounts`, async (req, res) => {
+    try {
+        res.json({ accounts: await accounts.list(), flags: ACCOUNT_FLAGS });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// GET - Admin ShipTo Account
+app.get(`${API_BASE}/admin/accounts/:id`, async (req, res) => {
+    try {
+        const account = await accounts.find(req.params.id);
+        if (!account) return handleError(res, 404, "Account not found", "NOT_FOUND");
+        res.json(account);
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// POST - Admin ShipTo Account
+app.post(`${API_BASE}/admin/accounts`, async (req, res) => {
+    const { account, details } = normalizeAccount(req.body);
+    if (details) return handleError(res, 400, "Invalid account", "BAD_REQUEST", details);
+
+    try {
+        if (await accounts.find(account.id)) {
+            return handleError(res, 409, `Account '${account.id}' already exists`, "CONFLICT");
+        }
+        res.status(201).json(await accounts.save(account));
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// PUT - Admin ShipTo Account (full replacement of the document)
+app.put(`${API_BASE}/admin/accounts/:id`, async (req, res) => {
+    const { account, details } = normalizeAccount(req.body, req.params.id);
+    if (details) return handleError(res, 400, "Invalid account", "BAD_REQUEST", details);
+
+    try {
+        if (!(await accounts.find(account.id))) return handleError(res, 404, "Account not found", "NOT_FOUND");
+        res.json(await accounts.save(account));
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// DELETE - Admin ShipTo Account
+app.delete(`${API_BASE}/admin/accounts/:id`, async (req, res) => {
+    try {
+        const removed = await accounts.remove(req.params.id);
+        if (!removed) return handleError(res, 404, "Account not found", "NOT_FOUND");
+        res.status(204).send();
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// GET - Admin Fault Rules
+app.get(`${API_BASE}/admin/faults`, (req, res) => {
+    res.json({ rules: faultInjector.list() });
+});
+
+// POST - Admin Fault Rules (create)
+app.post(`${API_BASE}/admin/faults`, (req, res) => {
+    const { rule, details } = normalizeRule(req.body);
+    if (details) return handleError(res, 400, "Invalid fault rule", "BAD_REQUEST", details);
+    if (faultInjector.find(rule.id)) return handleError(res, 409, `Fault rule ${rule.id} already exists`, "CONFLICT");
+
+    faultInjector.save(rule)
+        .then(() => res.status(201).json(rule))
+        .catch((err) => handleError(res, 500, err.message || 'DB error'));
+});
+
+// PUT - Admin Fault Rules (replace)
+app.put(`${API_BASE}/admin/faults/:id`, (req, res) => {
+    if (!faultInjector.find(req.params.id)) return handleError(res, 404, 'Fault rule not found', "NOT_FOUND");
+
+    const { rule, details } = normalizeRule(req.body, req.params.id);
+    if (details) return handleError(res, 400, "Invalid fault rule", "BAD_REQUEST", details);
+
+    faultInjector.save(rule)
+        .then(() => res.json(rule))
+        .catch((err) => handleError(res, 500, err.message || 'DB error'));
+});
+
+// DELETE - Admin Fault Rules (single)
+app.delete(`${API_BASE}/admin/faults/:id`, (req, res) => {
+    faultInjector.remove(req.params.id)
+        .then((changes) => {
+            if (changes === 0) return handleError(res, 404, 'Fault rule not found', "NOT_FOUND");
+            res.status(204).end();
+        })
+        .catch((err) => handleError(res, 500, err.message || 'DB error'));
+});
+
+// DELETE - Admin Fault Rules (all)
+app.delete(`${API_BASE}/admin/faults`, (req, res) => {
+    faultInjector.remove()
+        .then((changes) => res.json({ success: true, deletedCount: changes, message: `Deleted ${changes} fault rule(s)` }))
+        .catch((err) => handleError(res, 500, err.message || 'DB error'));
+});
+
+// GET - Admin Stubs (in match order)
+app.get(`${API_BASE}/admin/stubs`, (req, res) => {
+    res.json({ stubs: stubRegistry.list() });
+});
+
+// GET - Admin Stubs (single)
+app.get(`${API_BASE}/admin/stubs/:id`, (req, res) => {
+    const stub = stubRegistry.find(req.params.id);
+    if (!stub) return handleError(res, 404, 'Stub not found', "NOT_FOUND");
+    res.json(stub);
+});
+
+// POST - Admin Stubs (create)
+app.post(`${API_BASE}/admin/stubs`, async (req, res) => {
+    const { stub, details } = normalizeStub(req.body);
+    if (details) return handleError(res, 400, "Invalid stub", "BAD_REQUEST", details);
+    if (stubRegistry.find(stub.id)) return handleError(res, 409, `Stub ${stub.id} already exists`, "CONFLICT");
+
+    try {
+        await stubRegistry.save(stub);
+        res.status(201).json(stub);
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// PUT - Admin Stubs (replace)
+app.put(`${API_BASE}/admin/stubs/:id`, async (req, res) => {
+    if (!stubRegistry.find(req.params.id)) return handleError(res, 404, 'Stub not found', "NOT_FOUND");
+
+    const { stub, details } = normalizeStub(req.body, req.params.id);
+    if (details) return handleError(res, 400, "Invalid stub", "BAD_REQUEST", details);
+
+    try {
+        await stubRegistry.save(stub);
+        res.json(stub);
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// DELETE - Admin Stubs (single)
+app.delete(`${API_BASE}/admin/stubs/:id`, async (req, res) => {
+    try {
+        const changes = await stubRegistry.remove(req.params.id);
+        if (changes === 0) return handleError(res, 404, 'Stub not found', "NOT_FOUND");
+        res.status(204).end();
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// DELETE - Admin Stubs (all)
+app.delete(`${API_BASE}/admin/stubs`, async (req, res) => {
+    try {
+        const changes = await stubRegistry.remove();
+        res.json({ success: true, deletedCount: changes, message: `Deleted ${changes} stub(s)` });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// GET - Admin Proxy (current settings)
+app.get(`${API_BASE}/admin/proxy`, async (req, res) => {
+    try {
+        const recordings = await readRecordings(proxy.recordingsFile());
+        res.json({ ...proxy.settings(), recordingCount: recordings.length });
+    } catch (err) {
+        handleError(res, 500, err.message || 'Failed to read recordings');
+    }
+});
+
+// PUT - Admin Proxy (switch mode, upstream target or recordings file)
+app.put(`${API_BASE}/admin/proxy`, (req, res) => {
+    const { settings, details } = normalizeProxySettings(req.body);
+    if (details) return handleError(res, 400, "Invalid proxy settings", "BAD_REQUEST", details);
+
+    proxy.configure(settings);
+    console.log(`[proxy] mode=${settings.mode} target=${settings.target || '-'} file=recordings/${settings.file}`);
+    res.json(settings);
+});
+
+// GET - Admin Proxy recordings (current file)
+app.get(`${API_BASE}/admin/proxy/recordings`, async (req, res) => {
+    try {
+        res.json({ file: proxy.settings().file, recordings: await readRecordings(proxy.recordingsFile()) });
+    } catch (err) {
+        handleError(res, 500, err.message || 'Failed to read recordings');
+    }
+});
+
+// DELETE - Admin Proxy recordings (empties the current file)
+app.delete(`${API_BASE}/admin/proxy/recordings`, async (req, res) => {
+    try {
+        const recordings = await readRecordings(proxy.recordingsFile());
+        await fs.promises.rm(proxy.recordingsFile(), { force: true });
+        res.json({ success: true, deletedCount: recordings.length, message: `Deleted ${recordings.length} recording(s)` });
+    } catch (err) {
+        handleError(res, 500, err.message || 'Failed to delete recordings');
+    }
+});
+
+// POST - Generate mock patients
+app.post(`${API_BASE}/admin/generate`, (req, res) => {
+    const count = parseInt(req.body.count) || 10;
+
+    if (count < 1 || count > 1000) {
+        return handleError(res, 400, 'Count must be between 1 and 1000');
+    }
+
+    const teams = ['Red Team', 'Blue Team', 'Green Team', 'Yellow Team', 'Purple Team'];
+    const payers = [
+        { payerType: 'Agency', payerDisplayName: 'Medicare' },
+        { payerType: 'Insurance', payerDisplayName: 'Blue Cross' },
+        { payerType: 'Agency', payerDisplayName: 'Medicaid' },
+        { payerType: 'Insurance', payerDisplayName: 'Aetna' },
+        { payerType: 'Self-Pay', payerDisplayName: 'Self-Pay' }
+    ];
+    // Spread across a few accounts unless a specific ship-to was requested
+    const shipToIds = req.body.shipToId ? [String(req.body.shipToId)] : ['1563073', '1483051', '1000000', '2000000'];
+
+    const randomDate = (start, end) => {
+        return new Date(start.getTime() + Math.random() * (end.getTime() - start.getTime())).toISOString().split('T')[0];
+    };
+
+    const randomItem = (arr) => arr[Math.floor(Math.random() * arr.length)];
+
+    let generated = 0;
+    const createdAt = new Date().toISOString();
+
+    const insertGenerated = (i) => {
+        if (i >= count) {
+            return res.json({
+                success: true,
+                generatedCount: generated,
+                message: `Generated ${generated} patient(s)`
+            });
+        }
+
+        const patientKey = (typeof crypto !== 'undefined' && crypto.randomUUID) ? crypto.randomUUID() : randomUUID();
+        const guid = patientKey.replace(/-/g, '').toUpperCase();
+        const patientId = Math.floor(Math.random() * 100000000).toString().padStart(8, '0');
+        const firstName = randomItem(FIRST_NAMES);
+        const lastName = randomItem(LAST_NAMES);
+        const dob = randomDate(new Date(1940, 0, 1), new Date(2010, 0, 1));
+        const teamName = randomItem(teams);
+        const primaryPayer = randomItem(payers);
+        const shipToId = randomItem(shipToIds);
+
+        const metadata = {
+            createdAt,
+            createdBy: 'admin-generator',
+            updatedAt: createdAt,
+            updatedBy: 'admin-generator',
+            version: 1
+        };
+
+        const sql = `INSERT INTO patients (patientKey, guid, patientId, shipToId, firstName, lastName, dateOfBirth, teamName, primaryPayer, metadata) VALUES (?,?,?,?,?,?,?,?,?,?)`;
+        const params = [
+            patientKey,
+            guid,
+            patientId,
+            shipToId,
+            firstName,
+            lastName,
+            dob,
+            teamName,
+            JSON.stringify(primaryPayer),
+            JSON.stringify(metadata)
+        ];
+
+        run(db, sql, params).then(() => {
+            generated++;
+            return findPatientRow(patientKey)
+                .then((row) => auditPatient(req, 'create', null, row))
+                .catch((auditErr) => console.error('Audit failed:', auditErr.message));
+        }, () => { }).then(() => insertGenerated(i + 1));
+    };
+
+    insertGenerated(0);
+});
+
+// ------------------- PATIENTS API (V2) -------------------
+
+function safeParse(val) {
+    if (!val) return undefined;
+    try {
+        return JSON.parse(val);
+    } catch (e) {
+        return val;
     }
 }
 
@@ -939,215 +1199,465 @@ function rowToPatient(row) {
         lastName: row.lastName,
         dateOfBirth: row.dateOfBirth,
         teamName: row.teamName,
-        primaryPayer: safeParse(row.primaryPayer)
+        primaryPayer: safeParse(row.primaryPayer),
+        metadata: safeParse(row.metadata)
     };
 }
 
-// Validation Helpers
-const ALLOWED_SORT_FIELDS = new Set(['FIRST_NAME', 'LAST_NAME', 'PATIENT_ID', 'TEAM']);
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// The live patient row; soft-deleted patients are not found. Inside a transaction pass its `connection`.
+const findPatientRow = (id, connection = db) => get(connection, `SELECT * FROM patients WHERE patientKey = ? AND ${LIVE_PATIENT_SQL}`, [id]);
 
-// GET /api/patients/:shipToId (Search)
-app.get(`${API_BASE}/patients/:shipToId`, async (req, res) => {
-    const currentPrivileges = await new Promise((resolve) => {
-        db.get("SELECT privileges FROM auth_privileges WHERE id = 'global'", [], (err, row) => {
-            if (!err && row && row.privileges) {
-                try {
-                    resolve(JSON.parse(row.privileges));
-                    return;
-                } catch (e) { }
-            }
-            resolve(DEFAULT_PRIVILEGES);
-        });
-    });
+// Patient columns holding JSON text (V2 and V1 fields)
+const PATIENT_JSON_COLUMNS = ['primaryPayer', 'metadata', 'insurance', 'agency', 'lastOrder', 'address'];
 
-    if (!currentPrivileges.includes('ViewPatient')) {
-        return handleError(res, 403, "Forbidden: Missing ViewPatient privilege", "FORBIDDEN");
-    }
+// Every stored column of a patient row with the JSON columns parsed: what the audit log keeps and a restore writes back
+function patientSnapshot(row) {
+    return Object.fromEntries(Object.entries(row)
+        .map(([column, value]) => [column, PATIENT_JSON_COLUMNS.includes(column) && value ? safeParse(value) : value]));
+}
 
-    await sleep(2000);
-    const shipToId = req.params.shipToId;
-    if (!shipToId) return handleError(res, 400, 'shipToId is required');
+// Records a patient write from the stored rows before and after it (null for creates and deletes).
+// metadata only carries bookkeeping (version, updatedAt, ...), so it is left out of the diff.
+function auditPatient(req, action, before, after, connection = db) {
+    const row = after || before;
+    return audit.record(req, {
+        entityType: 'patient',
+        entityId: row.patientKey,
+        action,
+        version: patientVersion(safeParse(row.metadata)),
+        before: before && patientSnapshot(before),
+        after: after && patientSnapshot(after),
+        ignore: ['metadata']
+    }, connection);
+}
 
-    const q = (req.query.q || '').trim();
-    const pageNo = Math.max(1, Number(req.query.pageNo) || 1);
-    const pageSize = Math.max(1, Math.min(25, Number(req.query.pageSize) || 25)); // Spec max 25
+// A purge removes a patient that was already deleted, so nothing visible changes: an empty diff, the tombstone as snapshot
+const auditPurge = (req, row) => auditPatient(req, 'purge', row, row);
 
-    const sortBy = req.query.sortBy || 'FIRST_NAME';
-    const sortDir = (req.query.sortDir || 'ASC').toUpperCase();
+// Validation Helpers
+const REQUIRED_PATIENT_FIELDS = ['firstName', 'lastName', 'patientId', 'teamName', 'dateOfBirth'];
 
-    if (!ALLOWED_SORT_FIELDS.has(sortBy)) {
-        return handleError(res, 400, "Invalid sortBy value. must be one of: FIRST_NAME, LAST_NAME, PATIENT_ID, TEAM", "BAD_REQUEST",
-            [{ field: 'sortBy', issue: 'must be one of: FIRST_NAME, LAST_NAME, PATIENT_ID, TEAM' }]);
-    }
+// Returns a details array ({ field, issue }) for every missing required patient field
+function validatePatientFields(body) {
+    return REQUIRED_PATIENT_FIELDS
+        .filter((field) => !body[field])
+        .map((field) => ({ field, issue: 'is required' }));
+}
 
-    // Map sort field to DB column
-    let dbSort = 'firstName';
-    if (sortBy === 'LAST_NAME') dbSort = 'lastName';
-    if (sortBy === 'PATIENT_ID') dbSort = 'patientId';
-    if (sortBy === 'TEAM') dbSort = 'teamName';
+// Inserts a patient row and resolves with its generated patientKey
+function insertPatient(body, shipToId, createdBy, connection = db) {
+    const patientKey = (typeof crypto !== 'undefined' && crypto.randomUUID) ? crypto.randomUUID() : randomUUID();
+    const guid = patientKey.replace(/-/g, '').toUpperCase();
+    const createdAt = new Date().toISOString();
+    const metadata = { createdAt, createdBy, version: 1 };
 
-    const dbDir = sortDir === 'DESC' ? 'DESC' : 'ASC';
+    const sql = `INSERT INTO patients (patientKey, guid, patientId, shipToId, firstName, lastName, dateOfBirth, teamName, primaryPayer, metadata) VALUES (?,?,?,?,?,?,?,?,?,?)`;
+    const params = [
+        patientKey,
+        guid,
+        body.patientId,
+        shipToId,
+        body.firstName,
+        body.lastName,
+        body.dateOfBirth,
+        body.teamName,
+        body.primaryPayer ? JSON.stringify(body.primaryPayer) : null,
+        JSON.stringify(metadata)
+    ];
 
+    return run(connection, sql, params).then(() => patientKey);
+}
 
-    const where = [];
-    const params = [];
-    // Mock flexibility: Do not filter strongly by shipToId unless q parameter demands it via text
-    // const where = ['shipToId = ?'];
-    // const params = [shipToId];
+// Patients are scoped to the ship-to account in the URL. Old demos relied on every patient showing up
+// under any account; LENIENT_SHIPTO_SCOPING=true brings that behaviour back.
+const LENIENT_SHIPTO_SCOPING = process.env.LENIENT_SHIPTO_SCOPING === 'true';
 
-    if (q) {
-        where.push("(LOWER(firstName) LIKE ? OR LOWER(lastName) LIKE ? OR patientId LIKE ? OR LOWER(teamName) LIKE ?)");
-        const likeQ = `%${q.toLowerCase()}%`;
-        params.push(likeQ, likeQ, likeQ, likeQ);
-    }
+// search and export share the filters in lib/patientSearch.js
+const queryPatients = (query, shipToId) => buildPatientQuery(query, shipToId, { lenientShipToScoping: LENIENT_SHIPTO_SCOPING });
 
-    const whereClause = where.length > 0 ? 'WHERE ' + where.join(' AND ') : '';
+// "Invalid sortBy value. must be one of: ..." for the first invalid parameter
+const invalidSearch = (res, details) =>
+    handleError(res, 400, `Invalid ${details[0].field} value. ${details[0].issue}`, "BAD_REQUEST", details);
 
-    db.get(`SELECT COUNT(*) as cnt
-            FROM patients ${whereClause}`, params, (err, countRow) => {
-        if (err) return handleError(res, 500, err.message || 'DB error');
-        const totalRecords = countRow ? countRow.cnt : 0;
-        const totalPages = Math.ceil(totalRecords / pageSize);
-        const offset = (pageNo - 1) * pageSize;
-
-        const sql = `SELECT *
-                     FROM patients ${whereClause}
-                     ORDER BY ${dbSort} ${dbDir} LIMIT ?
-                     OFFSET ?`;
-        db.all(sql, [...params, pageSize, offset], (err2, rows) => {
-            if (err2) return handleError(res, 500, err2.message || 'DB error');
-            const patients = rows.map(rowToPatient);
-
-            res.json({
-                soldTo: req.query.soldTo || '1563073', // Mock value or from query
-                pageNo,
-                pageSize,
-                totalRecords,
-                totalPages,
-                patients
-            });
-        });
-    });
-});
+// GET /api/patients/:shipToId searches a ship-to, unless the id is a stored patientKey (tombstones included): then
+// GET /api/patients/:id reads that patient. Settled once per request, before the fault rules run, as req.patientRead.
+// A failed lookup counts as a search, which then reports the database error itself.
+const PATIENT_SEARCH_PATH = `${API_BASE}/patients/:shipToId`;
+const matchPatientSearch = match(PATIENT_SEARCH_PATH, { decode: decodeURIComponent });
 
-// GET /api/patient/download/:shipToId
-app.get(`${API_BASE}/patient/download/:shipToId`, (req, res) => {
+async function resolvePatientRead(req, res, next) {
+    try {
+        const found = req.method === 'GET' && matchPatientSearch(req.path);
+        if (found) req.patientRead = Boolean(await get(db, 'SELECT 1 FROM patients WHERE patientKey = ?', [found.params.shipToId]));
+    } catch (err) {
+        console.error('Patient route lookup failed:', err.message);
+    }
+    next();
+}
+
+// GET /api/patients/:shipToId (Search)
+// - pageNo/pageSize pages by offset; `cursor` (from nextCursor/prevCursor or the Link header) pages by keyset
+// - shares its path with GET /api/patients/:id; a patientKey is handed over to that route (see resolvePatientRead)
+app.get(PATIENT_SEARCH_PATH, async (req, res, next) => {
     const shipToId = req.params.shipToId;
     if (!shipToId) return handleError(res, 400, 'shipToId is required');
+    if (req.patientRead) return next();
+
+    const pageNo = Math.max(1, Number(req.query.pageNo) || 1);
+    const pageSize = Math.max(1, Math.min(25, Number(req.query.pageSize) || 25)); // Spec max 25
 
-    // Create a dummy Excel buffer (just some text for now, but binary safe)
-    const buffer = Buffer.from('Dummy Excel Content for ' + shipToId, 'utf-8');
+    const query = queryPatients(req.query, shipToId);
+    if (query.details) return invalidSearch(res, query.details);
+    const { whereClause, params, sortKeys, match, highlight, fields } = query;
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename="export.xlsx"');
-    res.send(buffer);
+    const { cursor, details } = readCursor(req.query, sortKeys, ['pageNo']);
+    if (details) return invalidSearch(res, details);
+
+    try {
+        const { total } = await get(db, `SELECT COUNT(*) AS total FROM patients ${whereClause}`, params);
+        const page = await fetchPage(db, { table: 'patients', whereClause, params, sortKeys, cursor, limit: pageSize, offset: (pageNo - 1) * pageSize });
+        const patients = page.rows.map((row) => projectPatient(rowToPatient(row), fields));
+
+        // highlight=true: which indexed fields matched q, for search-as-you-type
+        if (highlight && match) {
+            const highlights = await findHighlights(db, match, patients.map((p) => p.patientKey));
+            patients.forEach((p) => { p.highlights = highlights[p.patientKey] || {}; });
+        }
+
+        const links = linkHeader(req, page, ['pageNo']);
+        if (links) res.set('Link', links);
+        res.json({
+            soldTo: req.query.soldTo || '1563073', // Mock value or from query
+            pageNo: cursor ? null : pageNo,
+            pageSize,
+            totalRecords: total,
+            totalPages: Math.ceil(total / pageSize),
+            nextCursor: page.nextCursor,
+            prevCursor: page.prevCursor,
+            patients
+        });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
-// GET /api/apic/patients/download/:shipToId
-app.get(`${API_BASE}/apic/patients/download/:shipToId`, (req, res) => {
+// Shared handler for both patient download routes: builds an xlsx export of the matching patients
+function downloadPatients(req, res) {
     const shipToId = req.params.shipToId;
     if (!shipToId) return handleError(res, 400, 'shipToId is required');
 
-    // Create a dummy Excel buffer (just some text for now, but binary safe)
-    const buffer = Buffer.from('Dummy Excel Content for ' + shipToId, 'utf-8');
+    const query = queryPatients(req.query, shipToId);
+    if (query.details) return invalidSearch(res, query.details);
+    const { whereClause, params, sortKeys } = query;
+    const order = orderByClause(sortKeys);
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename="export.xlsx"');
-    res.send(buffer);
-});
+    db.all(`SELECT * FROM patients ${whereClause} ORDER BY ${order.clause}`, [...params, ...order.params], async (err, rows) => {
+        if (err) return handleError(res, 500, err.message || 'DB error');
+
+        const patients = rows.map((row) => ({ ...rowToPatient(row), shipToId: row.shipToId }));
+
+        try {
+            const buffer = await buildPatientWorkbook(patients);
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', 'attachment; filename="export.xlsx"');
+            res.send(buffer);
+        } catch (e) {
+            handleError(res, 500, e.message || 'Failed to build export');
+        }
+    });
+}
+
+// GET /api/patient/download/:shipToId
+app.get(`${API_BASE}/patient/download/:shipToId`, downloadPatients);
+
+// GET /api/apic/patients/download/:shipToId
+app.get(`${API_BASE}/apic/patients/download/:shipToId`, downloadPatients);
 
 // CRUD Operations
 
-// GET /api/patients (List)
-app.get(`${API_BASE}/patients`, (req, res) => {
-    const q = (req.query.q || '').trim();
+// GET /api/patients (List) - pageNo/pageSize, or `cursor` for keyset paging in insertion order
+app.get(`${API_BASE}/patients`, async (req, res) => {
     const pageNo = Math.max(1, Number(req.query.pageNo) || 1);
     const pageSize = Math.max(1, Math.min(25, Number(req.query.pageSize) || 25));
-    const offset = (pageNo - 1) * pageSize;
 
-    const where = [];
+    const where = [LIVE_PATIENT_SQL];
     const params = [];
 
-    if (q) {
-        where.push("(LOWER(firstName) LIKE ? OR LOWER(lastName) LIKE ? OR patientId LIKE ? OR LOWER(teamName) LIKE ?)");
-        const likeQ = `%${q.toLowerCase()}%`;
-        params.push(likeQ, likeQ, likeQ, likeQ);
+    // the same full-text match as the ship-to search
+    const match = toMatchExpression(req.query.q);
+    if (match) {
+        where.push(SEARCH_MATCH_SQL);
+        params.push(match);
     }
 
     const whereClause = where.length ? ('WHERE ' + where.join(' AND ')) : '';
 
-    db.get(`SELECT COUNT(*) as cnt FROM patients ${whereClause}`, params, (err, countRow) => {
-        if (err) return handleError(res, 500, err.message || 'DB error');
-        const totalRecords = countRow ? countRow.cnt : 0;
-        const totalPages = Math.ceil(totalRecords / pageSize);
-
-        const sql = `SELECT * FROM patients ${whereClause} LIMIT ? OFFSET ?`;
-        db.all(sql, [...params, pageSize, offset], (err2, rows) => {
-            if (err2) return handleError(res, 500, err2.message || 'DB error');
-            const patients = rows.map(rowToPatient);
-            res.json({
-                soldTo: req.query.soldTo || 'ALL', // default for global list
-                pageNo,
-                pageSize,
-                totalRecords,
-                totalPages,
-                patients
-            });
+    // insertion order
+    const sortKeys = [{ expression: 'rowid', direction: 'ASC' }];
+    const { cursor, details } = readCursor(req.query, sortKeys, ['pageNo']);
+    if (details) return handleError(res, 400, `Invalid cursor value. ${details[0].issue}`, "BAD_REQUEST", details);
+
+    try {
+        const { total } = await get(db, `SELECT COUNT(*) AS total FROM patients ${whereClause}`, params);
+        const page = await fetchPage(db, { table: 'patients', whereClause, params, sortKeys, cursor, limit: pageSize, offset: (pageNo - 1) * pageSize });
+
+        const links = linkHeader(req, page, ['pageNo']);
+        if (links) res.set('Link', links);
+        res.json({
+            soldTo: req.query.soldTo || 'ALL', // default for global list
+            pageNo: cursor ? null : pageNo,
+            pageSize,
+            totalRecords: total,
+            totalPages: Math.ceil(total / pageSize),
+            nextCursor: page.nextCursor,
+            prevCursor: page.prevCursor,
+            patients: page.rows.map(rowToPatient)
         });
-    });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
-// GET /api/patients/:id (Read) -- id is patientKey
+// GET /api/patients/:id (Read) -- id is patientKey; the ETag is metadata.version
 app.get(`${API_BASE}/patients/:id`, (req, res) => {
     const id = req.params.id;
-    db.get('SELECT * FROM patients WHERE patientKey = ?', [id], (err, row) => {
+    db.get(`SELECT * FROM patients WHERE patientKey = ? AND ${LIVE_PATIENT_SQL}`, [id], (err, row) => {
         if (err) return handleError(res, 500, err.message || 'DB error');
         if (!row) return handleError(res, 404, 'Patient not found');
-        res.json(rowToPatient(row));
+        const patient = rowToPatient(row);
+        // res.json answers 304 Not Modified by itself when If-None-Match matches the ETag
+        res.set('ETag', entityTag(patientVersion(patient.metadata))).json(patient);
     });
 });
 
+// Resolves with the stored patient row and its version if the request may write it: PUT, PATCH and DELETE
+// honour If-Match with the ETag from GET. Answers 404/412/428 itself and resolves with null then.
+async function patientForWrite(req, res, id) {
+    const row = await findPatientRow(id);
+    if (!row) {
+        handleError(res, 404, 'Patient not found', "NOT_FOUND");
+        return null;
+    }
+    const version = patientVersion(safeParse(row.metadata));
+    return concurrency.rejectStaleWrite(req, res, entityTag(version)) ? null : { row, version };
+}
+
+// A guarded patient write changed nothing: the patient was written or deleted concurrently
+async function rejectLostPatientUpdate(res, id) {
+    const row = await findPatientRow(id);
+    return concurrency.rejectLostUpdate(res, row ? entityTag(patientVersion(safeParse(row.metadata))) : null, 'Patient not found');
+}
+
 // POST /api/patients (Create)
-app.post(`${API_BASE}/patients`, (req, res) => {
+app.post(`${API_BASE}/patients`, async (req, res) => {
     const body = req.body || {};
     // Validation
-    if (!body.firstName || !body.lastName || !body.patientId || !body.teamName || !body.dateOfBirth) {
+    if (validatePatientFields(body).length > 0) {
         return handleError(res, 400, "Missing required fields: firstName, lastName, patientId, teamName, dateOfBirth");
     }
 
-    const patientKey = (typeof crypto !== 'undefined' && crypto.randomUUID) ? crypto.randomUUID() : randomUUID();
-    const guid = patientKey.replace(/-/g, '').toUpperCase();
-    const createdAt = new Date().toISOString();
-    const metadata = { createdAt, createdBy: 'api' };
     const shipToId = body.shipToId || 'DEFAULT'; // CRUD needs shipToId to be visible in search
 
-    const sql = `INSERT INTO patients (patientKey, guid, patientId, shipToId, firstName, lastName, dateOfBirth, teamName, primaryPayer, metadata) VALUES (?,?,?,?,?,?,?,?,?,?)`;
-    const params = [
-        patientKey,
-        guid,
-        body.patientId,
-        shipToId,
-        body.firstName,
-        body.lastName,
-        body.dateOfBirth,
-        body.teamName,
-        body.primaryPayer ? JSON.stringify(body.primaryPayer) : null,
-        JSON.stringify(metadata)
-    ];
-
-    db.run(sql, params, function (err) {
-        if (err) return handleError(res, 500, err.message || 'DB error');
+    try {
         // Fetch back
-        db.get('SELECT * FROM patients WHERE patientKey = ?', [patientKey], (err2, row) => {
-            if (err2) return handleError(res, 500, err2.message || 'DB error');
-            res.status(201).json(rowToPatient(row));
+        const row = await findPatientRow(await insertPatient(body, shipToId, 'api'));
+        await auditPatient(req, 'create', null, row);
+        res.status(201).json(rowToPatient(row));
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// POST /api/patients/batch (Batch create/upsert) - { "mode": "create", "shipToId": "...", "patients": [...] }
+// - every patient is validated like POST /api/patients; the batch is written in one transaction
+// - mode create (default) inserts every patient; upsert updates the live patient with the same patientId in its
+//   ship-to and inserts the rest; replace deletes the live patients of the batch's ship-tos, then inserts
+// - each patient gets a result with its index: CREATED or UPDATED with its patientKey, or INVALID with its errors
+// - invalid patients are skipped (207 when others were written); with atomic=true any invalid patient rolls the
+//   batch back (400)
+const BATCH_MODES = ['create', 'upsert', 'replace'];
+const MAX_BATCH_PATIENTS = 1000;
+
+// Returns a details array for the batch itself; its patients are validated one by one
+function validateBatch(body) {
+    const details = [];
+    if (body.mode !== undefined && !BATCH_MODES.includes(body.mode)) {
+        details.push({ field: 'mode', issue: `must be one of: ${BATCH_MODES.join(', ')}` });
+    }
+    if (body.shipToId !== undefined && (typeof body.shipToId !== 'string' || !body.shipToId)) {
+        details.push({ field: 'shipToId', issue: 'must be a non-empty string' });
+    }
+    if (!Array.isArray(body.patients) || body.patients.length === 0) {
+        details.push({ field: 'patients', issue: 'must be a non-empty array of patients' });
+    } else if (body.patients.length > MAX_BATCH_PATIENTS) {
+        details.push({ field: 'patients', issue: `must not list more than ${MAX_BATCH_PATIENTS} patients` });
+    }
+    return details;
+}
+
+// Returns a details array for one patient of a batch, its fields prefixed with "patients[index]."
+function validateBatchPatient(patient, index) {
+    const prefix = `patients[${index}]`;
+    if (patient === null || typeof patient !== 'object' || Array.isArray(patient)) return [{ field: prefix, issue: 'must be an object' }];
+    // a missing or empty field fails both checks; report the first issue per field
+    const seen = new Set();
+    return [...validatePatientFields(patient), ...openapi.validateSchema('PatientInput', patient)]
+        .filter(({ field }) => !seen.has(field) && seen.add(field))
+        .map(({ field, issue }) => ({ field: `${prefix}.${field}`, issue }));
+}
+
+// Writes one valid patient of a batch through the transaction's `connection`; resolves with its result
+async function writeBatchPatient(req, connection, mode, { patient, index, shipToId }) {
+    if (mode === 'upsert') {
+        // patientIds are not unique; the oldest live match is updated
+        const row = await get(connection, `SELECT * FROM patients WHERE shipToId = ? AND patientId = ? AND ${LIVE_PATIENT_SQL} ORDER BY rowid LIMIT 1`,
+            [shipToId, patient.patientId]);
+        if (row) {
+            const metadata = safeParse(row.metadata);
+            await updatePatient(row.patientKey, patientVersion(metadata), metadata, patient, connection);
+            await auditPatient(req, 'update', row, await findPatientRow(row.patientKey, connection), connection);
+            return { index, patientKey: row.patientKey, status: "UPDATED", errors: [] };
+        }
+    }
+    const row = await findPatientRow(await insertPatient(patient, shipToId, 'api', connection), connection);
+    await auditPatient(req, 'create', null, row, connection);
+    return { index, patientKey: row.patientKey, status: "CREATED", errors: [] };
+}
+
+app.post(`${API_BASE}/patients/batch`, async (req, res) => {
+    const body = req.body || {};
+    const details = validateBatch(body);
+    if (details.length > 0) return handleError(res, 400, `Invalid ${details[0].field} value. ${details[0].issue}`, "BAD_REQUEST", details);
+    const mode = body.mode || 'create';
+
+    const items = body.patients.map((patient, index) => ({
+        patient,
+        index,
+        shipToId: (patient && patient.shipToId) || body.shipToId || 'DEFAULT',
+        errors: validateBatchPatient(patient, index)
+    }));
+    const invalid = items.filter((item) => item.errors.length > 0);
+    const atomic = req.query.atomic === 'true';
+    const rejectInvalid = () => handleError(res, 400, `No patients were written: ${invalid.length} of ${items.length} are invalid`,
+        "BAD_REQUEST", invalid.flatMap((item) => item.errors));
+    // with every patient invalid there is nothing to write, atomic or not
+    if (invalid.length === items.length) return rejectInvalid();
+
+    let written;
+    try {
+        written = await transaction(db, async (connection) => {
+            let deletedCount = 0;
+            if (mode === 'replace') {
+                const valid = items.filter((item) => item.errors.length === 0);
+                for (const shipToId of new Set(valid.map((item) => item.shipToId))) {
+                    for (const row of await all(connection, `SELECT * FROM patients WHERE shipToId = ? AND ${LIVE_PATIENT_SQL}`, [shipToId])) {
+                        if (await trash.remove(row.patientKey, null, connection) === 0) continue;
+                        await auditPatient(req, 'delete', row, null, connection);
+                        deletedCount++;
+                    }
+                }
+            }
+            const results = [];
+            for (const item of items) {
+                results.push(item.errors.length > 0
+                    ? { index: item.index, patientKey: null, status: "INVALID", errors: item.errors }
+                    : await writeBatchPatient(req, connection, mode, item));
+            }
+            if (atomic && invalid.length > 0) throw Object.assign(new Error('Atomic batch rolled back'), { rolledBack: true });
+            return { deletedCount, results };
         });
+    } catch (err) {
+        if (!err.rolledBack) return handleError(res, 500, err.message || 'DB error');
+        return rejectInvalid();
+    }
+
+    const { deletedCount, results } = written;
+    const count = (status) => results.filter((result) => result.status === status).length;
+    res.status(invalid.length > 0 ? 207 : 200).json({
+        mode,
+        totalCount: results.length,
+        createdCount: count("CREATED"),
+        updatedCount: count("UPDATED"),
+        deletedCount,
+        failureCount: invalid.length,
+        results
     });
 });
 
-// PUT /api/patients/:id (Update)
-app.put(`${API_BASE}/patients/:id`, (req, res) => {
+// POST /api/patients/:shipToId/upload (Bulk Upload)
+// - multipart/form-data with a single `file` field (.csv or .xlsx)
+// - every data row is validated and inserted on its own; the response reports each row
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+app.post(`${API_BASE}/patients/:shipToId/upload`, (req, res) => {
+    upload.single('file')(req, res, async (uploadErr) => {
+        if (uploadErr) return handleError(res, 400, uploadErr.message || 'Invalid upload', 'INVALID_UPLOAD');
+        if (!req.file) {
+            return handleError(res, 400, "A file is required", "BAD_REQUEST", [{ field: 'file', issue: 'is required' }]);
+        }
+
+        const fileType = detectFileType(req.file);
+        if (!fileType) {
+            return handleError(res, 415, "Only .csv and .xlsx files are supported", "UNSUPPORTED_FILE_TYPE");
+        }
+
+        let parsed;
+        try {
+            parsed = await parsePatientUpload(req.file, fileType);
+        } catch (e) {
+            return handleError(res, 400, `Could not read ${fileType} file: ${e.message}`, "INVALID_UPLOAD");
+        }
+        if (parsed.headerErrors.length > 0) {
+            return handleError(res, 400, "Uploaded file is missing required columns", "BAD_REQUEST", parsed.headerErrors);
+        }
+
+        const shipToId = req.params.shipToId;
+        const results = [];
+        for (const { row, patient, details } of parsed.rows) {
+            const issues = [...validatePatientFields(patient), ...details];
+            if (issues.length > 0) {
+                results.push({ row, patientKey: null, status: "FAILURE", message: "Validation failed", details: issues });
+                continue;
+            }
+            try {
+                const patientKey = await insertPatient(patient, shipToId, 'upload');
+                await auditPatient(req, 'create', null, await findPatientRow(patientKey));
+                results.push({ row, patientKey, status: "SUCCESS", message: "Patient created successfully" });
+            } catch (e) {
+                results.push({ row, patientKey: null, status: "FAILURE", message: e.message || "Database error" });
+            }
+        }
+
+        const successCount = results.filter((r) => r.status === "SUCCESS").length;
+        res.json({
+            totalRows: results.length,
+            successCount,
+            failureCount: results.length - successCount,
+            results
+        });
+    });
+});
+
+// Writes the patient fields if the patient is still at `version`, bumping metadata.version and stamping
+// updatedAt/updatedBy. Resolves with the number of rows changed: 0 means a concurrent write got there first.
+async function updatePatient(id, version, metadata, input, connection = db) {
+    const updatedAt = new Date().toISOString();
+    const { changes } = await run(connection, `UPDATE patients SET firstName=?, lastName=?, dateOfBirth=?, teamName=?, primaryPayer=?, patientId=?, metadata=? WHERE patientKey = ? AND ${LIVE_PATIENT_SQL} AND ${PATIENT_VERSION_SQL} = ?`, [
+        input.firstName,
+        input.lastName,
+        input.dateOfBirth,
+        input.teamName,
+        input.primaryPayer ? JSON.stringify(input.primaryPayer) : null,
+        input.patientId,
+        JSON.stringify({ ...(metadata || {}), updatedAt, updatedBy: 'api', version: version + 1 }),
+        id,
+        version
+    ]);
+    return changes;
+}
+
+// PUT /api/patients/:id (Update) - honours If-Match with the ETag from GET
+app.put(`${API_BASE}/patients/:id`, async (req, res) => {
     const id = req.params.id;
     const body = req.body || {};
 
@@ -1156,82 +1666,421 @@ app.put(`${API_BASE}/patients/:id`, (req, res) => {
         return handleError(res, 400, "Missing required fields: firstName, lastName, patientId, teamName, dateOfBirth");
     }
 
-    const sql = `UPDATE patients SET firstName=?, lastName=?, dateOfBirth=?, teamName=?, primaryPayer=?, patientId=? WHERE patientKey = ?`;
-    const params = [
-        body.firstName,
-        body.lastName,
-        body.dateOfBirth,
-        body.teamName,
-        body.primaryPayer ? JSON.stringify(body.primaryPayer) : null,
-        body.patientId,
-        id
-    ];
+    try {
+        const stored = await patientForWrite(req, res, id);
+        if (!stored) return;
 
-    db.run(sql, params, function (err) {
-        if (err) return handleError(res, 500, err.message || 'DB error');
-        if (this.changes === 0) return handleError(res, 404, 'Patient not found');
-        db.get('SELECT * FROM patients WHERE patientKey = ?', [id], (err2, row) => {
-            if (err2) return handleError(res, 500, err2.message || 'DB error');
-            res.json(rowToPatient(row));
+        const { row, version } = stored;
+        if (await updatePatient(id, version, safeParse(row.metadata), body) === 0) return rejectLostPatientUpdate(res, id);
+
+        const updated = await findPatientRow(id);
+        await auditPatient(req, 'update', row, updated);
+        res.set('ETag', entityTag(version + 1)).json(rowToPatient(updated));
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// PATCH /api/patients/:id (Partial update)
+// - application/merge-patch+json (RFC 7396) or application/json-patch+json (RFC 6902: add, remove, replace, test)
+// - the patched patient is validated like POST /api/patients; patientKey, guid and metadata are read-only
+const READ_ONLY_PATIENT_FIELDS = ['patientKey', 'guid', 'metadata'];
+
+app.patch(`${API_BASE}/patients/:id`, async (req, res) => {
+    const isMergePatch = req.is(MERGE_PATCH_TYPE);
+    if (!isMergePatch && !req.is(JSON_PATCH_TYPE)) {
+        return handleError(res, 415, `Content-Type must be ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`, "INVALID_CONTENT_TYPE");
+    }
+    if (isMergePatch && (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body))) {
+        return handleError(res, 400, "A merge patch must be a JSON object", "BAD_REQUEST", [{ field: 'body', issue: 'must be an object' }]);
+    }
+
+    try {
+        const stored = await patientForWrite(req, res, req.params.id);
+        if (!stored) return;
+        const { version } = stored;
+        const current = rowToPatient(stored.row);
+
+        let patched;
+        if (isMergePatch) {
+            patched = applyMergePatch(current, req.body);
+        } else {
+            const result = applyJsonPatch(current, req.body);
+            if (!result.document) return handleError(res, result.status, "Patch could not be applied", result.errorCode, result.details);
+            patched = result.document;
+        }
+
+        const readOnly = READ_ONLY_PATIENT_FIELDS
+            .filter((field) => JSON.stringify(patched[field]) !== JSON.stringify(current[field]))
+            .map((field) => ({ field, issue: 'is read-only' }));
+        if (readOnly.length > 0) return handleError(res, 400, "Read-only fields cannot be patched", "BAD_REQUEST", readOnly);
+
+        const input = {
+            firstName: patched.firstName,
+            lastName: patched.lastName,
+            patientId: patched.patientId,
+            teamName: patched.teamName,
+            dateOfBirth: patched.dateOfBirth,
+            primaryPayer: patched.primaryPayer
+        };
+        const details = [...validatePatientFields(input), ...openapi.validateSchema('PatientInput', input)];
+        if (details.length > 0) return handleError(res, 400, "Invalid patient", "BAD_REQUEST", details);
+
+        if (await updatePatient(req.params.id, version, current.metadata, input) === 0) return rejectLostPatientUpdate(res, req.params.id);
+
+        const updated = await findPatientRow(req.params.id);
+        await auditPatient(req, 'update', stored.row, updated);
+        res.set('ETag', entityTag(version + 1)).json(rowToPatient(updated));
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// Bulk delete: DELETE /api/patients/:shipToId?patientKeys=...&patientKeys=... or, for batches too long for a URL,
+// POST /api/patients/:shipToId/bulk-delete with { "patientKeys": [...] }. The batch runs in one transaction.
+// - every key gets a result: SUCCESS, NOT_FOUND (unknown or already deleted) or FAILURE (another ship-to's patient)
+// - 200 when all results agree, 207 Multi-Status when they are mixed
+// - atomic=true deletes all or nothing: any key that cannot be deleted rolls the batch back (409)
+const MAX_BULK_DELETE_KEYS = 10000;
+
+// Returns a details array for the keys of a bulk delete
+function validateBulkDeleteKeys(keys) {
+    if (!Array.isArray(keys) || keys.length === 0 || !keys.every((key) => typeof key === 'string' && key)) {
+        return [{ field: 'patientKeys', issue: 'must be a non-empty array of patient keys' }];
+    }
+    if (keys.length > MAX_BULK_DELETE_KEYS) {
+        return [{ field: 'patientKeys', issue: `must not list more than ${MAX_BULK_DELETE_KEYS} keys` }];
+    }
+    return [];
+}
+
+// Deletes one patient of the batch through the transaction's `connection`; resolves with its { patientKey, status, message } result
+async function bulkDeletePatient(req, connection, shipToId, key) {
+    try {
+        const row = await findPatientRow(key, connection);
+        if (row && !LENIENT_SHIPTO_SCOPING && row.shipToId !== shipToId) {
+            return { patientKey: key, status: "FAILURE", message: `Patient does not belong to ship-to ${shipToId}` };
+        }
+        if (!row || await trash.remove(key, null, connection) === 0) {
+            return { patientKey: key, status: "NOT_FOUND", message: "Patient not found" };
+        }
+        await auditPatient(req, 'delete', row, null, connection);
+        return { patientKey: key, status: "SUCCESS", message: "Patient deleted successfully" };
+    } catch (err) {
+        return { patientKey: key, status: "FAILURE", message: err.message || "Database error" };
+    }
+}
+
+async function bulkDeletePatients(req, res, keys) {
+    const details = validateBulkDeleteKeys(keys);
+    if (details.length > 0) return handleError(res, 400, `Invalid patientKeys value. ${details[0].issue}`, "BAD_REQUEST", details);
+    const atomic = req.query.atomic === 'true';
+    // a key listed twice is deleted (and reported) once
+    const uniqueKeys = [...new Set(keys)];
+
+    let results;
+    try {
+        results = await transaction(db, async (connection) => {
+            const batch = [];
+            for (const key of uniqueKeys) batch.push(await bulkDeletePatient(req, connection, req.params.shipToId, key));
+            if (atomic && batch.some((result) => result.status !== "SUCCESS")) {
+                throw Object.assign(new Error('Atomic bulk delete rolled back'), { results: batch });
+            }
+            return batch;
         });
+    } catch (err) {
+        if (!err.results) return handleError(res, 500, err.message || 'DB error');
+        const failed = err.results
+            .filter((result) => result.status !== "SUCCESS")
+            .map((result) => ({ field: `patientKeys[${keys.indexOf(result.patientKey)}]`, issue: result.message }));
+        return handleError(res, 409, `No patients were deleted: ${failed.length} of ${uniqueKeys.length} could not be deleted`,
+            "ATOMIC_DELETE_FAILED", failed);
+    }
+
+    const successCount = results.filter((result) => result.status === "SUCCESS").length;
+    const mixed = new Set(results.map((result) => result.status)).size > 1;
+    res.status(mixed ? 207 : 200).json({
+        totalCount: results.length,
+        successCount,
+        failureCount: results.length - successCount,
+        results
     });
+}
+
+// DELETE /api/patients/:shipToId (Bulk Delete) - shares its path with DELETE /api/patients/:id, which handles
+// requests without patientKeys
+app.delete(`${API_BASE}/patients/:shipToId`, (req, res, next) => {
+    if (!req.query.patientKeys) return next();
+    bulkDeletePatients(req, res, [].concat(req.query.patientKeys));
 });
 
-// DELETE /api/patients/:shipToId (Bulk Delete)
-app.delete(`${API_BASE}/patients/:shipToId`, async (req, res, next) => {
-    // If no patientKeys query param, fall through to existing endpoints (e.g. single delete if structure matches)
-    // However, existing single delete is /patients/:id. 
-    // If we are at /patients/12345 (shipToId) and NO keys, it might be ambiguous if 12345 is effectively a patientKey in the other route.
-    // But since the other route handles :id (patientKey), and we expect :shipToId here.
-    // We only process THIS route if patientKeys are present.
-    if (!req.query.patientKeys) {
-        return next();
+// POST /api/patients/:shipToId/bulk-delete (Bulk Delete) - { "patientKeys": [...] }
+app.post(`${API_BASE}/patients/:shipToId/bulk-delete`, (req, res) => {
+    bulkDeletePatients(req, res, (req.body || {}).patientKeys);
+});
+
+// DELETE /api/patients/:id (Delete Single) - honours If-Match with the ETag from GET; SOFT_DELETE=true moves it to the trash
+app.delete(`${API_BASE}/patients/:id`, async (req, res) => {
+    const id = req.params.id;
+    try {
+        const stored = await patientForWrite(req, res, id);
+        if (!stored) return;
+
+        if (await trash.remove(id, stored.version) === 0) return rejectLostPatientUpdate(res, id);
+        await auditPatient(req, 'delete', stored.row, null);
+        res.status(204).send();
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// GET /api/patients/:id/history - the patient's audit entries, newest first; still available after a delete
+app.get(`${API_BASE}/patients/:id/history`, async (req, res) => {
+    try {
+        const entries = await audit.history('patient', req.params.id);
+        if (entries.length === 0 && !(await findPatientRow(req.params.id))) {
+            return handleError(res, 404, 'Patient not found', "NOT_FOUND");
+        }
+        res.json({ patientKey: req.params.id, entries });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// POST /api/patients/:id/restore?version=N (Point-in-time restore)
+// - writes the patient back as the audit log recorded it at version N; the restore itself is a new version
+// - a deleted patient is re-created under the same patientKey (or taken out of the trash)
+// - honours If-Match while the patient exists
+app.post(`${API_BASE}/patients/:id/restore`, async (req, res) => {
+    const id = req.params.id;
+    const version = Number(req.query.version);
+    if (!Number.isInteger(version) || version < 1) {
+        return handleError(res, 400, "Invalid version value. must be a positive integer", "BAD_REQUEST", [
+            { field: 'version', issue: 'must be a positive integer' }
+        ]);
+    }
+
+    try {
+        const snapshot = await audit.snapshotAt('patient', id, version);
+        if (!snapshot) {
+            return handleError(res, 404, `The history of this patient has no version ${version}`, "NOT_FOUND", [
+                { field: 'version', issue: 'is not in the patient history' }
+            ]);
+        }
+
+        const before = await findPatientRow(id);
+        // a soft-deleted patient still has its row
+        const stored = before || await trash.findDeleted(id);
+        const currentVersion = stored ? patientVersion(safeParse(stored.metadata)) : await audit.latestVersion('patient', id);
+        if (before && concurrency.rejectStaleWrite(req, res, entityTag(currentVersion))) return;
+
+        // bookkeeping continues from the current patient (or the deleted one), only the data goes back in time
+        const metadata = {
+            ...((stored ? safeParse(stored.metadata) : snapshot.metadata) || {}),
+            updatedAt: new Date().toISOString(),
+            updatedBy: 'restore',
+            version: currentVersion + 1
+        };
+        const columns = Object.fromEntries(Object.entries({ ...snapshot, metadata, deletedAt: null })
+            .filter(([column]) => column !== 'patientKey')
+            .map(([column, value]) => [column, PATIENT_JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value]));
+        const names = Object.keys(columns);
+
+        const { changes } = stored
+            ? await run(db, `UPDATE patients SET ${names.map((name) => `${name} = ?`).join(', ')} WHERE patientKey = ? AND ${PATIENT_VERSION_SQL} = ?`,
+                [...Object.values(columns), id, currentVersion])
+            : await run(db, `INSERT OR IGNORE INTO patients (patientKey, ${names.join(', ')}) VALUES (?, ${names.map(() => '?').join(', ')})`,
+                [id, ...Object.values(columns)]);
+        if (changes === 0) return rejectLostPatientUpdate(res, id);
+
+        const restored = await findPatientRow(id);
+        await auditPatient(req, 'restore', before, restored);
+        res.set('ETag', entityTag(currentVersion + 1)).json(rowToPatient(restored));
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// ------------------- PATIENT TRASH -------------------
+// Patients deleted in soft-delete mode (SOFT_DELETE=true), per ship-to: list, undelete or purge them.
+// Tombstones older than TRASH_RETENTION_DAYS are purged hourly and before every trash request.
+
+async function purgeExpiredTrash() {
+    for (const row of await trash.purgeExpired()) await auditPurge(null, row);
+}
+
+// trash routes see every ship-to's trash with LENIENT_SHIPTO_SCOPING, like the search
+const trashScope = (shipToId) => (LENIENT_SHIPTO_SCOPING ? null : shipToId);
+
+// Undeletes or purges one patient in the ship-to's trash; resolves with its { patientKey, status, message } result
+async function applyToTrashed(req, shipToId, key, action) {
+    const failure = (message) => ({ patientKey: key, status: "FAILURE", message });
+    try {
+        const row = await trash.findDeleted(key);
+        if (!row) return failure("Patient is not in the trash");
+        if (!LENIENT_SHIPTO_SCOPING && row.shipToId !== shipToId) return failure(`Patient does not belong to ship-to ${shipToId}`);
+
+        if (action === 'undelete') {
+            if (await trash.undelete(key) === 0) return failure("Patient is not in the trash");
+            await auditPatient(req, 'undelete', null, await findPatientRow(key));
+            return { patientKey: key, status: "SUCCESS", message: "Patient restored successfully" };
+        }
+        if (await trash.purge(key) === 0) return failure("Patient is not in the trash");
+        await auditPurge(req, row);
+        return { patientKey: key, status: "SUCCESS", message: "Patient purged successfully" };
+    } catch (err) {
+        return failure(err.message || "Database error");
     }
+}
 
+// GET /api/patients/:shipToId/trash - most recently deleted first; pageNo/pageSize or `cursor` like the search
+app.get(`${API_BASE}/patients/:shipToId/trash`, async (req, res) => {
     const shipToId = req.params.shipToId;
-    let keys = req.query.patientKeys;
-    if (!Array.isArray(keys)) keys = [keys];
-
-    const results = [];
-    const deletePatient = (key) => {
-        return new Promise((resolve) => {
-            // Optional: Enforce shipToId check? `DELETE FROM patients WHERE patientKey = ? AND shipToId = ?`
-            // For now, trusting patientKey is unique enough.
-            db.run('DELETE FROM patients WHERE patientKey = ?', [key], function (err) {
-                if (err) {
-                    resolve({
-                        patientKey: key,
-                        status: "FAILURE",
-                        message: err.message || "Database error"
-                    });
-                } else {
-                    // Even if changes==0, we can return success (idempotent) or specific message.
-                    // User requested "Patient deleted successfully"
-                    resolve({
-                        patientKey: key,
-                        status: "SUCCESS",
-                        message: "Patient deleted successfully"
-                    });
-                }
-            });
+    const pageNo = Math.max(1, Number(req.query.pageNo) || 1);
+    const pageSize = Math.max(1, Math.min(25, Number(req.query.pageSize) || 25));
+
+    const { cursor, details } = readCursor(req.query, TRASH_SORT_KEYS, ['pageNo']);
+    if (details) return handleError(res, 400, `Invalid cursor value. ${details[0].issue}`, "BAD_REQUEST", details);
+
+    try {
+        await purgeExpiredTrash();
+        const page = await trash.list(trashScope(shipToId), { cursor, limit: pageSize, offset: (pageNo - 1) * pageSize });
+
+        const links = linkHeader(req, page, ['pageNo']);
+        if (links) res.set('Link', links);
+        res.json({
+            shipToId,
+            retentionDays: trash.retentionDays,
+            pageNo: cursor ? null : pageNo,
+            pageSize,
+            totalRecords: page.total,
+            totalPages: Math.ceil(page.total / pageSize),
+            nextCursor: page.nextCursor,
+            prevCursor: page.prevCursor,
+            patients: page.rows.map((row) => ({ ...rowToPatient(row), deletedAt: row.deletedAt, purgeAt: trash.purgeAt(row.deletedAt) }))
         });
-    };
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
 
-    for (const key of keys) {
-        results.push(await deletePatient(key));
+// POST /api/patients/:shipToId/trash/undelete - { "patientKeys": [...] }; each patient comes back as a new version
+app.post(`${API_BASE}/patients/:shipToId/trash/undelete`, async (req, res) => {
+    const keys = (req.body || {}).patientKeys;
+    if (!Array.isArray(keys) || keys.length === 0 || !keys.every((key) => typeof key === 'string' && key)) {
+        return handleError(res, 400, "patientKeys must be a non-empty array of patient keys", "BAD_REQUEST", [
+            { field: 'patientKeys', issue: 'must be a non-empty array of patient keys' }
+        ]);
     }
 
-    res.json({ results });
+    try {
+        await purgeExpiredTrash();
+        const results = [];
+        for (const key of keys) results.push(await applyToTrashed(req, req.params.shipToId, key, 'undelete'));
+        res.json({ results });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
-// DELETE /api/patients/:id (Delete Single)
-app.delete(`${API_BASE}/patients/:id`, (req, res) => {
-    const id = req.params.id;
-    db.run('DELETE FROM patients WHERE patientKey = ?', [id], function (err) {
-        if (err) return handleError(res, 500, err.message || 'DB error');
-        if (this.changes === 0) return handleError(res, 404, 'Patient not found');
+// DELETE /api/patients/:shipToId/trash - purges the given patientKeys for good, or the ship-to's whole trash without them
+app.delete(`${API_BASE}/patients/:shipToId/trash`, async (req, res) => {
+    const shipToId = req.params.shipToId;
+    try {
+        await purgeExpiredTrash();
+        const keys = req.query.patientKeys === undefined ? await trash.deletedKeys(trashScope(shipToId)) : [].concat(req.query.patientKeys);
+        const results = [];
+        for (const key of keys) results.push(await applyToTrashed(req, shipToId, key, 'purge'));
+        res.json({ results });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// ------------------- V1 PATIENTS (legacy) -------------------
+// The older frontend's /api/v1/patients resource over the same patients table (see lib/patientsV1.js).
+// Not ship-to scoped and, like that frontend, sends no credentials.
+
+// GET /api/v1/patients (List & Search)
+app.get(`${API_BASE}/v1/patients`, async (req, res) => {
+    const query = buildPatientV1Query(req.query);
+    if (query.details) return handleError(res, 400, "Invalid query parameters", "BAD_REQUEST", query.details);
+
+    try {
+        res.json(await patientsV1.list(query));
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// GET /api/v1/patients/:id
+app.get(`${API_BASE}/v1/patients/:id`, async (req, res) => {
+    try {
+        const patient = await patientsV1.find(req.params.id);
+        if (!patient) return handleError(res, 404, 'Patient not found', "NOT_FOUND");
+        res.json(patient);
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// POST /api/v1/patients (Create) - shipToId and patientId are optional extras for the V2 search
+app.post(`${API_BASE}/v1/patients`, async (req, res) => {
+    const { fields, details } = normalizePatientV1(req.body);
+    if (details) return handleError(res, 400, "Invalid patient", "BAD_REQUEST", details);
+
+    try {
+        const patient = await patientsV1.create(fields, { shipToId: req.body.shipToId, patientId: req.body.patientId });
+        await auditPatient(req, 'create', null, await findPatientRow(patient.id));
+        res.status(201).location(`${API_BASE}/v1/patients/${patient.id}`).json(patient);
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// PUT /api/v1/patients/:id (Full update) - omitted optional fields are cleared
+app.put(`${API_BASE}/v1/patients/:id`, async (req, res) => {
+    const { fields, details } = normalizePatientV1(req.body);
+    if (details) return handleError(res, 400, "Invalid patient", "BAD_REQUEST", details);
+
+    try {
+        const before = await findPatientRow(req.params.id);
+        const patient = await patientsV1.replace(req.params.id, fields);
+        if (!patient) return handleError(res, 404, 'Patient not found', "NOT_FOUND");
+        await auditPatient(req, 'update', before, await findPatientRow(req.params.id));
+        res.json(patient);
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// PATCH /api/v1/patients/:id (Partial update, e.g. { "isPinned": true }) - only the given fields change
+app.patch(`${API_BASE}/v1/patients/:id`, async (req, res) => {
+    const { fields, details } = normalizePatientV1(req.body, { partial: true });
+    if (details) return handleError(res, 400, "Invalid patient", "BAD_REQUEST", details);
+
+    try {
+        const before = await findPatientRow(req.params.id);
+        const patient = await patientsV1.update(req.params.id, fields);
+        if (!patient) return handleError(res, 404, 'Patient not found', "NOT_FOUND");
+        await auditPatient(req, 'update', before, await findPatientRow(req.params.id));
+        res.json(patient);
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
+});
+
+// DELETE /api/v1/patients/:id
+app.delete(`${API_BASE}/v1/patients/:id`, async (req, res) => {
+    try {
+        const before = await findPatientRow(req.params.id);
+        const removed = await patientsV1.remove(req.params.id);
+        if (!removed) return handleError(res, 404, 'Patient not found', "NOT_FOUND");
+        await auditPatient(req, 'delete', before, null);
         res.status(204).send();
-    });
+    } catch (err) {
+        handleError(res, 500, err.message || 'DB error');
+    }
 });
 
 // ------------------- CRUD ROUTES (RESTful) -------------------
@@ -1246,14 +2095,9 @@ app.post("/users", (req, res) => {
         return handleError(res, 400, "Name and email required");
     }
 
-    db.run(
-        "INSERT INTO users (name, email) VALUES (?, ?)",
-        [name, email],
-        function (err) {
-            if (err) {
-                return handleError(res, 500, err.message || "DB error");
-            }
-            const created = { id: this.lastID, name, email };
+    run(db, "INSERT INTO users (name, email) VALUES (?, ?)", [name, email]).then(
+        ({ lastID }) => {
+            const created = { id: lastID, name, email };
             // send absolute URL in Location when possible
             const host = (req.get("X-Forwarded-Host") || req.get("host"));
             const proto = req.get("X-Forwarded-Proto") || req.protocol;
@@ -1261,31 +2105,36 @@ app.post("/users", (req, res) => {
             res.status(201)
                 .location(loc)
                 .json(created);
-        }
+        },
+        (err) => handleError(res, 500, err.message || "DB error")
     );
 });
 
 // READ ALL - GET /users
-// - supports optional pagination via ?limit=&offset=
-app.get("/users", (req, res) => {
+// - supports optional pagination via ?limit=&offset=, or ?limit=&cursor= (nextCursor/prevCursor, Link header)
+app.get("/users", async (req, res) => {
     const limit = Math.max(1, Math.min(100, Number(req.query.limit) || 25));
     const offset = Math.max(0, Number(req.query.offset) || 0);
 
-    db.all(
-        "SELECT * FROM users LIMIT ? OFFSET ?",
-        [limit, offset],
-        (err, rows) => {
-            if (err) {
-                return handleError(res, 500, err.message || "DB error");
-            }
-            res.json({
-                count: rows.length,
-                limit,
-                offset,
-                data: rows,
-            });
-        }
-    );
+    const sortKeys = [{ expression: 'id', direction: 'ASC' }];
+    const { cursor, details } = readCursor(req.query, sortKeys, ['offset']);
+    if (details) return handleError(res, 400, `Invalid cursor value. ${details[0].issue}`, "BAD_REQUEST", details);
+
+    try {
+        const page = await fetchPage(db, { table: 'users', sortKeys, cursor, limit, offset });
+        const links = linkHeader(req, page, ['offset']);
+        if (links) res.set('Link', links);
+        res.json({
+            count: page.rows.length,
+            limit,
+            offset: cursor ? null : offset,
+            nextCursor: page.nextCursor,
+            prevCursor: page.prevCursor,
+            data: page.rows,
+        });
+    } catch (err) {
+        handleError(res, 500, err.message || "DB error");
+    }
 });
 
 // support HEAD for collection (Express handles HEAD automatically for GET but keep explicit if needed)
@@ -1294,6 +2143,7 @@ app.head('/users', (req, res) => {
 });
 
 // READ ONE - GET /users/:id
+// - the ETag is the user's version
 app.get("/users/:id", (req, res) => {
     const id = parseId(req.params.id);
     if (!id) return handleError(res, 400, "Invalid id");
@@ -1301,7 +2151,8 @@ app.get("/users/:id", (req, res) => {
     db.get("SELECT * FROM users WHERE id = ?", [id], (err, row) => {
         if (err) return handleError(res, 500, err.message || "DB error");
         if (!row) return handleError(res, 404, "User not found");
-        res.json(row);
+        // res.json answers 304 Not Modified by itself when If-None-Match matches the ETag
+        res.set('ETag', entityTag(row.version)).json(row);
     });
 });
 
@@ -1310,34 +2161,57 @@ app.head('/users/:id', (req, res) => {
     res.status(200).end();
 });
 
+// Resolves with the stored user and whether the request may write it: writes below honour If-Match with
+// the ETag from GET. Answers 404/412/428 itself and resolves with null then.
+async function userForWrite(req, res, id) {
+    const user = await get(db, "SELECT * FROM users WHERE id = ?", [id]);
+    if (!user) {
+        handleError(res, 404, "User not found");
+        return null;
+    }
+    return concurrency.rejectStaleWrite(req, res, entityTag(user.version)) ? null : user;
+}
+
+// A guarded user write changed nothing: the user was written or deleted concurrently
+async function rejectLostUserUpdate(res, id) {
+    const user = await get(db, "SELECT version FROM users WHERE id = ?", [id]);
+    return concurrency.rejectLostUpdate(res, user ? entityTag(user.version) : null, "User not found");
+}
+
+// Applies `updates` ({ column: value }) if the user is still at `version`; resolves with the updated user or null
+async function updateUser(id, version, updates) {
+    const fields = Object.keys(updates);
+    const placeholders = fields.map((f) => `${f} = ?`).join(", ");
+    const { changes } = await run(db, `UPDATE users SET ${placeholders}, version = version + 1 WHERE id = ? AND version = ?`,
+        [...fields.map((f) => updates[f]), id, version]);
+    return changes === 0 ? null : get(db, "SELECT * FROM users WHERE id = ?", [id]);
+}
+
 // UPDATE (idempotent, full replace) - PUT /users/:id
 // - requires full resource (name and email)
 // - returns 200 with updated resource
-app.put("/users/:id", (req, res) => {
+app.put("/users/:id", async (req, res) => {
     const id = parseId(req.params.id);
     if (!id) return handleError(res, 400, "Invalid id");
 
     const { name, email } = req.body;
     if (!name || !email) return handleError(res, 400, "Name and email required for full update");
 
-    db.run(
-        "UPDATE users SET name = ?, email = ? WHERE id = ?",
-        [name, email, id],
-        function (err) {
-            if (err) return handleError(res, 500, err.message || "DB error");
-            if (this.changes === 0) return handleError(res, 404, "User not found");
-
-            db.get("SELECT * FROM users WHERE id = ?", [id], (err2, row) => {
-                if (err2) return handleError(res, 500, err2.message || "DB error");
-                res.json(row);
-            });
-        }
-    );
+    try {
+        const user = await userForWrite(req, res, id);
+        if (!user) return;
+
+        const updated = await updateUser(id, user.version, { name, email });
+        if (!updated) return rejectLostUserUpdate(res, id);
+        res.set('ETag', entityTag(updated.version)).json(updated);
+    } catch (err) {
+        handleError(res, 500, err.message || "DB error");
+    }
 });
 
 // PARTIAL UPDATE - PATCH /users/:id
 // - accepts partial resource and returns updated resource
-app.patch("/users/:id", (req, res) => {
+app.patch("/users/:id", async (req, res) => {
     const id = parseId(req.params.id);
     if (!id) return handleError(res, 400, "Invalid id");
 
@@ -1349,50 +2223,72 @@ app.patch("/users/:id", (req, res) => {
         return handleError(res, 400, "No updatable fields provided");
     }
 
-    // build SET clause dynamically
-    const fields = Object.keys(updates);
-    const placeholders = fields.map((f) => `${f} = ?`).join(", ");
-    const values = fields.map((f) => updates[f]);
-
-    const sql = `UPDATE users SET ${placeholders} WHERE id = ?`;
-    db.run(sql, [...values, id], function (err) {
-        if (err) return handleError(res, 500, err.message || "DB error");
-        if (this.changes === 0) return handleError(res, 404, "User not found");
-
-        db.get("SELECT * FROM users WHERE id = ?", [id], (err2, row) => {
-            if (err2) return handleError(res, 500, err2.message || "DB error");
-            res.json(row);
-        });
-    });
+    try {
+        const user = await userForWrite(req, res, id);
+        if (!user) return;
+
+        const updated = await updateUser(id, user.version, updates);
+        if (!updated) return rejectLostUserUpdate(res, id);
+        res.set('ETag', entityTag(updated.version)).json(updated);
+    } catch (err) {
+        handleError(res, 500, err.message || "DB error");
+    }
 });
 
 // DELETE - DELETE /users/:id
 // - returns 204 No Content on success
-app.delete("/users/:id", (req, res) => {
+app.delete("/users/:id", async (req, res) => {
     const id = parseId(req.params.id);
     if (!id) return handleError(res, 400, "Invalid id");
 
-    db.run("DELETE FROM users WHERE id = ?", [id], function (err) {
-        if (err) return handleError(res, 500, err.message || "DB error");
-        if (this.changes === 0) return handleError(res, 404, "User not found");
+    try {
+        const user = await userForWrite(req, res, id);
+        if (!user) return;
 
+        const { changes } = await run(db, "DELETE FROM users WHERE id = ? AND version = ?", [id, user.version]);
+        if (changes === 0) return rejectLostUserUpdate(res, id);
         res.status(204).end();
-    });
+    } catch (err) {
+        handleError(res, 500, err.message || "DB error");
+    }
 });
 
+// ------------------- OPENAPI STUBS -------------------
+// Every swagger.yaml operation without a handwritten route above answers with its documented example
+// (or one synthesized from the schema). `Prefer: code=404` selects another documented response.
+const stubbedOperations = registerOpenApiStubs(app, swaggerDocument, { lookups: templateLookups });
+if (stubbedOperations.length > 0) {
+    console.log(`[stubs] ${stubbedOperations.length} swagger operation(s) served from examples: ${stubbedOperations.join(', ')}`);
+}
+
+// ------------------- RECORD / REPLAY PROXY -------------------
+// Anything still unanswered goes upstream (record) or to the recordings (replay) when the proxy is on
+app.use((req, res, next) => proxy.middleware(req, res, next));
+
 // utility function to parse ID from request params
 function parseId(id) {
     return id && id.trim();
 }
 
 // start server
-const server = app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
+let server;
+const TRASH_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+dbReady.then(() => {
+    const sweep = () => purgeExpiredTrash().catch((err) => console.error('Trash purge failed:', err.message));
+    sweep();
+    setInterval(sweep, TRASH_SWEEP_INTERVAL_MS).unref();
+    server = app.listen(PORT, () => {
+        console.log(`Server is running on http://localhost:${PORT}`);
+    });
+}).catch((err) => {
+    console.error("Failed to prepare database:", err.message);
+    process.exit(1);
 });
 
 // Graceful shutdown
 function shutdown() {
     console.log('Received kill signal, shutting down gracefully');
+    if (!server) process.exit(0);
     server.close(() => {
         console.log('Closed out remaining connections');
         db.close((err) => {
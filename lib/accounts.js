@@ -0,0 +1,194 @@
+const { all, get, run } = require('./db');
+
+// The account the ship-to route used to return for every id; migration 005 seeds a copy of it
+const DEFAULT_ACCOUNT = {
+    "id": "1483051",
+    "name": "IS ECOM ONLY HOMECARE TEST ACC",
+    "shortName": "IS ECOM ONLY HOMECARE TEST ACC",
+    "address": {
+        "address1": "1 MEDLINE PL",
+        "address2": "UPDATES APPROVED BY IS ECOM TEAM",
+        "poBox": "",
+        "city": "MUNDELEIN",
+        "district": "",
+        "state": "IL",
+        "postalCode": "60060-4485",
+        "country": "US",
+        "gln": "0000000000000",
+        "taxJurisdiction": "1409720100"
+    },
+    "soldTo": {
+        "id": "1483051",
+        "name": "IS ECOM ONLY HOMECARE TEST ACCT 1",
+        "shortName": "IS ECOM ONLY HOMECARE TEST ACCT 1",
+        "customerGroup": "HH",
+        "enablePPDFilter": false,
+        "pendingTaxCert": false,
+        "creditCardRequired": false,
+        "consignmentEnabled": false,
+        "phdOrderingEnabled": true,
+        "triageOrderingEnabled": true,
+        "primeVendor": false,
+        "address": {
+            "address1": "1 MEDLINE PL",
+            "address2": "UPDATES APPROVED BY IS ECOM TEAM",
+            "poBox": "",
+            "city": "MUNDELEIN",
+            "district": "",
+            "state": "IL",
+            "postalCode": "60060-4485",
+            "country": "US",
+            "gln": "0000000000000",
+            "taxJurisdiction": "1409720100"
+        },
+        "salesOffice": "HC",
+        "restrictManageFormulary": false,
+        "lowSlowEnabled": false,
+        "partners": [
+            {
+                "id": "",
+                "name": "",
+                "partnerType": "AP"
+            },
+            {
+                "id": "0000009995",
+                "name": "IS TEST REP",
+                "partnerType": "ZR",
+                "email": "TTestRepAcct@medline.com"
+            },
+            {
+                "id": "0001483051",
+                "name": "IS ECOM ONLY HOMECARE TEST ACC",
+                "partnerType": "AG",
+                "email": "JJWU@MEDLINE.COMx",
+                "formularyViewId": "ZFORM_0001483051",
+                "reverseFormularyViewId": "ZREV_0001483051"
+            },
+            {
+                "id": "0001483051",
+                "name": "IS ECOM ONLY HOMECARE TEST ACC",
+                "partnerType": "RE",
+                "email": "JJWU@MEDLINE.COMx"
+            },
+            {
+                "id": "0001483051",
+                "name": "IS ECOM ONLY HOMECARE TEST ACC",
+                "partnerType": "RG",
+                "email": "JJWU@MEDLINE.COMx"
+            },
+            {
+                "id": "0001483051",
+                "name": "IS ECOM ONLY HOMECARE TEST ACC",
+                "partnerType": "WE",
+                "email": "JJWU@MEDLINE.COMx"
+            },
+            {
+                "id": "ZY08354",
+                "name": "PROMOTIONAL TRACKING ACCOUNT",
+                "partnerType": "ZY"
+            }
+        ],
+        "invoiceOutputEnabled": false,
+        "canCreateReturn": false,
+        "paymentTerms": "C030",
+        "paymentTermsDescription": "Within 30 days Due net",
+        "dealer": false,
+        "customerFreightDefault": "C",
+        "patientRoomNumberEnabled": false,
+        "exclusiveFlag": false,
+        "orderingNotEnabled": false
+    },
+    "repInfos": [
+        {
+            "emailAddress": "TTestRepAcct@medline.com",
+            "name": "IS TEST REP",
+            "type": "SALES_REP"
+        }
+    ],
+    "dssiFlag": false
+};
+
+// Boolean soldTo flags the ordering UI branches on (every boolean in the seeded account)
+const ACCOUNT_FLAGS = Object.keys(DEFAULT_ACCOUNT.soldTo).filter((key) => typeof DEFAULT_ACCOUNT.soldTo[key] === 'boolean');
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Validates an account document. Returns { account } or { details }.
+// The document is stored as given (it is what the ship-to route returns), with `id` taken from the path on updates.
+function normalizeAccount(input, id) {
+    const details = [];
+    if (!isObject(input)) {
+        return { details: [{ field: 'body', issue: 'must be an account object' }] };
+    }
+
+    const account = { ...input, id: String(id || input.id || '') };
+
+    if (!/^[A-Za-z0-9_-]{1,32}$/.test(account.id)) {
+        details.push({ field: 'id', issue: 'must be 1-32 letters, digits, "-" or "_"' });
+    }
+    if (typeof account.name !== 'string' || account.name.trim() === '') {
+        details.push({ field: 'name', issue: 'is required' });
+    }
+
+    if (!isObject(account.soldTo)) {
+        details.push({ field: 'soldTo', issue: 'must be an object' });
+    } else {
+        if (typeof account.soldTo.id !== 'string' || account.soldTo.id.trim() === '') {
+            details.push({ field: 'soldTo.id', issue: 'is required' });
+        }
+        for (const flag of ACCOUNT_FLAGS) {
+            if (account.soldTo[flag] !== undefined && typeof account.soldTo[flag] !== 'boolean') {
+                details.push({ field: `soldTo.${flag}`, issue: 'must be a boolean' });
+            }
+        }
+        if (account.soldTo.partners !== undefined) {
+            if (!Array.isArray(account.soldTo.partners)) {
+                details.push({ field: 'soldTo.partners', issue: 'must be an array' });
+            } else {
+                account.soldTo.partners.forEach((partner, i) => {
+                    if (!isObject(partner) || typeof partner.partnerType !== 'string') {
+                        details.push({ field: `soldTo.partners[${i}].partnerType`, issue: 'is required' });
+                    }
+                });
+            }
+        }
+    }
+
+    if (account.repInfos !== undefined && (!Array.isArray(account.repInfos) || !account.repInfos.every(isObject))) {
+        details.push({ field: 'repInfos', issue: 'must be an array of objects' });
+    }
+
+    return details.length > 0 ? { details } : { account };
+}
+
+// Ship-to accounts, one JSON document per row in the accounts table
+function createAccountStore(db) {
+    async function list() {
+        const rows = await all(db, 'SELECT data FROM accounts ORDER BY rowid');
+        return rows.map((row) => JSON.parse(row.data));
+    }
+
+    async function find(id) {
+        const row = await get(db, 'SELECT data FROM accounts WHERE id = ?', [String(id)]);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async function save(account) {
+        const data = JSON.stringify(account);
+        await run(db, 'INSERT INTO accounts (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = ?', [account.id, data, data]);
+        return account;
+    }
+
+    async function remove(id) {
+        const { changes } = await run(db, 'DELETE FROM accounts WHERE id = ?', [id]);
+        return changes;
+    }
+
+    return { list, find, save, remove };
+}
+
+module.exports = {
+    ACCOUNT_FLAGS,
+    normalizeAccount,
+    createAccountStore
+};
@@ -0,0 +1,185 @@
+const { all, get, run } = require('./db');
+const { fetchPage } = require('./pagination');
+
+// Audit log of patient, preference and privilege writes (table audit_log, migration 010).
+// Every entry records who made the change (the request's persona and how it was selected), when, through which
+// route, and a field-level diff. A snapshot of the record is kept alongside so patients can be restored.
+
+const ENTITY_TYPES = ['patient', 'preferences', 'privileges'];
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'undelete', 'purge'];
+// newest first; ids are unique, so they also serve as the cursor key
+const FEED_SORT_KEYS = [{ expression: 'id', direction: 'DESC' }];
+const MAX_FEED_LIMIT = 100;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// [{ field, from, to }] for every property that differs. Nested objects are compared per property
+// ("primaryPayer.payerType"); arrays and scalars as a whole. Missing values are reported as null.
+function diffFields(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        const from = before ? before[key] : undefined;
+        const to = after ? after[key] : undefined;
+        if (same(from, to)) continue;
+        const field = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(from) && isPlainObject(to)) {
+            changes.push(...diffFields(from, to, field));
+        } else {
+            changes.push({ field, from: from === undefined ? null : from, to: to === undefined ? null : to });
+        }
+    }
+    return changes;
+}
+
+// The request's persona, and whether it came from the X-Mock-Persona header, the cookie, a token or the default.
+// Without a request the server acted on its own (e.g. expired trash), recorded as source 'system'.
+function actorOf(req) {
+    if (!req) return { persona: null, username: null, source: 'system' };
+    const persona = req.persona || {};
+    return {
+        persona: persona.id || null,
+        username: (persona.details && persona.details.username) || null,
+        source: req.personaSource || null
+    };
+}
+
+// "PATCH /api/patients/:id": the route template, so entries group by endpoint rather than by id
+const routeOf = (req) => (req ? `${req.method} ${req.baseUrl || ''}${req.route ? req.route.path : req.path}` : null);
+
+function rowToEntry(row) {
+    return {
+        id: row.id,
+        at: row.at,
+        entityType: row.entityType,
+        entityId: row.entityId,
+        action: row.action,
+        version: row.version,
+        actor: { persona: row.actor, username: row.actorUsername, source: row.actorSource },
+        route: row.route,
+        changes: JSON.parse(row.changes)
+    };
+}
+
+// from/to take a date (whole day) or a date-time; returns the ISO bound or null when invalid
+function timeBound(value, endOfDay) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))) {
+        return `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+    }
+    const time = Date.parse(value);
+    return /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(time) ? new Date(time).toISOString() : null;
+}
+
+// Filters for the audit feed: entityType, entityId, action, actor (persona id or username), from/to and limit.
+// Returns { whereClause, params, limit } or { details }.
+function buildAuditQuery(query) {
+    const details = [];
+    const where = [];
+    const params = [];
+
+    for (const [field, allowed] of [['entityType', ENTITY_TYPES], ['action', ACTIONS]]) {
+        if (query[field] === undefined) continue;
+        if (!allowed.includes(String(query[field]))) {
+            details.push({ field, issue: `must be one of: ${allowed.join(', ')}` });
+        } else {
+            where.push(`${field} = ?`);
+            params.push(String(query[field]));
+        }
+    }
+    if (query.entityId !== undefined) {
+        where.push('entityId = ?');
+        params.push(String(query.entityId));
+    }
+    if (query.actor !== undefined) {
+        where.push('(actor = ? OR actorUsername = ?)');
+        params.push(String(query.actor), String(query.actor));
+    }
+
+    const bounds = {};
+    for (const [field, endOfDay, operator] of [['from', false, '>='], ['to', true, '<=']]) {
+        if (query[field] === undefined) continue;
+        bounds[field] = timeBound(String(query[field]), endOfDay);
+        if (!bounds[field]) {
+            details.push({ field, issue: 'must be a date (YYYY-MM-DD) or an ISO date-time' });
+        } else {
+            where.push(`at ${operator} ?`);
+            params.push(bounds[field]);
+        }
+    }
+    if (bounds.from && bounds.to && bounds.from > bounds.to) {
+        details.push({ field: 'from', issue: 'must not be after to' });
+    }
+
+    let limit = 25;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FEED_LIMIT) {
+            details.push({ field: 'limit', issue: `must be an integer from 1 to ${MAX_FEED_LIMIT}` });
+        }
+    }
+
+    if (details.length > 0) return { details };
+    return { whereClause: where.length > 0 ? 'WHERE ' + where.join(' AND ') : '', params, limit };
+}
+
+function createAuditLog(db) {
+    // Records one write made by `req` (null for the server's own housekeeping). `before`/`after` are the record
+    // before and after it (null for creates/deletes); top-level `ignore`d properties (e.g. bookkeeping metadata)
+    // stay out of the diff but not the snapshot. Inside a transaction, pass its `connection`.
+    async function record(req, { entityType, entityId, action, version = null, before = null, after = null, ignore = [] }, connection = db) {
+        const withoutIgnored = (value) => value && Object.fromEntries(Object.entries(value).filter(([key]) => !ignore.includes(key)));
+        const actor = actorOf(req);
+        const snapshot = after || before;
+        await run(connection, `INSERT INTO audit_log (at, entityType, entityId, action, version, actor, actorUsername, actorSource, route, changes, snapshot)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+            new Date().toISOString(),
+            entityType,
+            String(entityId),
+            action,
+            version,
+            actor.persona,
+            actor.username,
+            actor.source,
+            routeOf(req),
+            JSON.stringify(diffFields(withoutIgnored(before), withoutIgnored(after))),
+            snapshot ? JSON.stringify(snapshot) : null
+        ]);
+    }
+
+    // Every entry for one record, newest first
+    async function history(entityType, entityId) {
+        const rows = await all(db, 'SELECT * FROM audit_log WHERE entityType = ? AND entityId = ? ORDER BY id DESC', [entityType, String(entityId)]);
+        return rows.map(rowToEntry);
+    }
+
+    // The record as it was at `version` (the latest entry for it), or null when the log has no such version
+    async function snapshotAt(entityType, entityId, version) {
+        const row = await get(db, `SELECT snapshot FROM audit_log WHERE entityType = ? AND entityId = ? AND version = ? AND snapshot IS NOT NULL
+            ORDER BY id DESC LIMIT 1`, [entityType, String(entityId), version]);
+        return row ? JSON.parse(row.snapshot) : null;
+    }
+
+    // Highest version the log has seen for a record (0 when none), e.g. the version a deleted patient had
+    async function latestVersion(entityType, entityId) {
+        const row = await get(db, 'SELECT MAX(version) AS version FROM audit_log WHERE entityType = ? AND entityId = ?', [entityType, String(entityId)]);
+        return (row && row.version) || 0;
+    }
+
+    // One page of the feed for a buildAuditQuery() result; resolves with { entries, nextCursor, prevCursor }
+    async function feed({ whereClause, params, limit }, cursor) {
+        const page = await fetchPage(db, { table: 'audit_log', whereClause, params, sortKeys: FEED_SORT_KEYS, cursor, limit });
+        return { entries: page.rows.map(rowToEntry), nextCursor: page.nextCursor, prevCursor: page.prevCursor };
+    }
+
+    return { record, history, snapshotAt, latestVersion, feed };
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    ACTIONS,
+    FEED_SORT_KEYS,
+    diffFields,
+    buildAuditQuery,
+    createAuditLog
+};
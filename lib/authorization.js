@@ -0,0 +1,58 @@
+const { match } = require('path-to-regexp');
+const { handleError } = require('./errors');
+
+// Privileges required per route. The first matching entry wins, so specific paths go before
+// their parameterised siblings. An empty list means "any authenticated caller". `anonymous` routes
+// don't need a token (the older frontend sends none), so callers without one act as the default persona.
+// Routes not listed here (admin, APIC token/user context, /users) are not checked.
+const ROUTE_PRIVILEGES = [
+    { method: 'POST', path: '/api/patients/batch', privileges: ['EditPatient'] },
+    { method: 'POST', path: '/api/patients/:shipToId/upload', privileges: ['UploadPatient'] },
+    { method: 'POST', path: '/api/patients/:shipToId/bulk-delete', privileges: ['EditPatient'] },
+    { method: 'GET', path: '/api/patients/:id/history', privileges: ['ViewPatient'] },
+    { method: 'POST', path: '/api/patients/:id/restore', privileges: ['EditPatient'] },
+    { method: 'GET', path: '/api/patients/:shipToId/trash', privileges: ['ViewPatient'] },
+    { method: 'POST', path: '/api/patients/:shipToId/trash/undelete', privileges: ['EditPatient'] },
+    { method: 'DELETE', path: '/api/patients/:shipToId/trash', privileges: ['EditPatient'] },
+    { method: 'GET', path: '/api/patient/download/:shipToId', privileges: ['DownloadPatient'] },
+    { method: 'GET', path: '/api/apic/patients/download/:shipToId', privileges: ['DownloadPatient'] },
+    { method: 'GET', path: '/api/patients', privileges: ['ViewPatient'] },
+    { method: 'GET', path: '/api/patients/:shipToId', privileges: ['ViewPatient'] },
+    { method: 'POST', path: '/api/patients', privileges: ['EditPatient'] },
+    { method: 'PUT', path: '/api/patients/:id', privileges: ['EditPatient'] },
+    { method: 'PATCH', path: '/api/patients/:id', privileges: ['EditPatient'] },
+    { method: 'DELETE', path: '/api/patients/:shipToId', privileges: ['EditPatient'] },
+    { method: 'GET', path: '/api/v1/patients', privileges: ['ViewPatient'], anonymous: true },
+    { method: 'GET', path: '/api/v1/patients/:id', privileges: ['ViewPatient'], anonymous: true },
+    { method: 'POST', path: '/api/v1/patients', privileges: ['EditPatient'], anonymous: true },
+    { method: 'PUT', path: '/api/v1/patients/:id', privileges: ['EditPatient'], anonymous: true },
+    { method: 'PATCH', path: '/api/v1/patients/:id', privileges: ['EditPatient'], anonymous: true },
+    { method: 'DELETE', path: '/api/v1/patients/:id', privileges: ['EditPatient'], anonymous: true },
+    { method: 'GET', path: '/api/preferences', privileges: [] },
+    { method: 'PUT', path: '/api/preferences', privileges: ['HH_EDPO'] }
+].map((rule) => ({ ...rule, matcher: match(rule.path) }));
+
+// Looks up the route's requirement, then checks the caller sent a token and holds every privilege.
+// `loadPrivileges(req)` returns (or resolves with) the privileges of the request's persona.
+function createAuthorization(loadPrivileges) {
+    return async function authorize(req, res, next) {
+        const rule = ROUTE_PRIVILEGES.find((r) => r.method === req.method && r.matcher(req.path));
+        if (!rule) return next();
+
+        if (!rule.anonymous && !req.get('Authorization') && !req.get('Ping-Authorization')) {
+            return handleError(res, 401, "Unauthorized. Missing Authorization or Ping-Authorization header.", "UNAUTHORIZED");
+        }
+
+        const currentPrivileges = await loadPrivileges(req);
+        const missing = rule.privileges.filter((privilege) => !currentPrivileges.includes(privilege));
+        if (missing.length > 0) {
+            return handleError(res, 403, `Forbidden: Missing ${missing.join(', ')} privilege`, "FORBIDDEN");
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROUTE_PRIVILEGES,
+    createAuthorization
+};
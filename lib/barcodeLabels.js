@@ -0,0 +1,146 @@
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+
+const MM = 72 / 25.4;
+const INCH = 72;
+
+// Sheet layouts for the supported paper formats (all sizes in PDF points).
+// A4 follows the common 3x7 (63.5 x 38.1 mm) label sheet, LETTER the 3x10 (2 5/8" x 1") one.
+const LABEL_LAYOUTS = {
+    A4: {
+        size: 'A4',
+        columns: 3,
+        rows: 7,
+        labelWidth: 63.5 * MM,
+        labelHeight: 38.1 * MM,
+        marginTop: 15.15 * MM,
+        marginLeft: 7.2 * MM,
+        columnGap: 2.5 * MM,
+        rowGap: 0,
+        barcodeHeight: 12 * MM
+    },
+    LETTER: {
+        size: 'LETTER',
+        columns: 3,
+        rows: 10,
+        labelWidth: 2.625 * INCH,
+        labelHeight: 1 * INCH,
+        marginTop: 0.5 * INCH,
+        marginLeft: 0.1875 * INCH,
+        columnGap: 0.125 * INCH,
+        rowGap: 0,
+        barcodeHeight: 0.35 * INCH
+    }
+};
+
+// The label types the mock renders; every label is the plain barcode-and-text one
+const LABEL_TYPES = ['REGULAR'];
+
+// Validates the print payload and returns a details array ({ field, issue }); empty when valid
+function validateLabelRequest(body) {
+    const details = [];
+    const { barcodeInfo, paperFormat, printCodeOnLabel, labelType } = body || {};
+
+    if (!Array.isArray(barcodeInfo)) {
+        details.push({ field: 'barcodeInfo', issue: 'must be an array' });
+    } else if (barcodeInfo.length === 0) {
+        details.push({ field: 'barcodeInfo', issue: 'must contain at least one entry' });
+    } else {
+        barcodeInfo.forEach((info, i) => {
+            const prefix = `barcodeInfo[${i}]`;
+            if (!info || typeof info !== 'object' || Array.isArray(info)) {
+                details.push({ field: prefix, issue: 'must be an object' });
+                return;
+            }
+            if (typeof info.barcodeValue !== 'string' || info.barcodeValue.trim() === '') {
+                details.push({ field: `${prefix}.barcodeValue`, issue: 'is required' });
+            } else if (!/^[\x20-\x7E]+$/.test(info.barcodeValue)) {
+                details.push({ field: `${prefix}.barcodeValue`, issue: 'must contain printable ASCII characters only (Code128)' });
+            }
+            for (const field of ['barcodeDesc', 'barcodeText', 'secondaryDesc']) {
+                if (info[field] !== undefined && info[field] !== null && typeof info[field] !== 'string') {
+                    details.push({ field: `${prefix}.${field}`, issue: 'must be a string' });
+                }
+            }
+        });
+    }
+
+    if (paperFormat !== undefined && !LABEL_LAYOUTS[String(paperFormat).toUpperCase()]) {
+        details.push({ field: 'paperFormat', issue: `must be one of: ${Object.keys(LABEL_LAYOUTS).join(', ')}` });
+    }
+    if (printCodeOnLabel !== undefined && typeof printCodeOnLabel !== 'boolean') {
+        details.push({ field: 'printCodeOnLabel', issue: 'must be a boolean' });
+    }
+    if (labelType !== undefined && !LABEL_TYPES.includes(String(labelType).toUpperCase())) {
+        details.push({ field: 'labelType', issue: `must be one of: ${LABEL_TYPES.join(', ')}` });
+    }
+
+    return details;
+}
+
+// Renders one label per barcodeInfo entry and resolves with the PDF as a Buffer.
+// The payload must already have passed validateLabelRequest.
+async function renderLabelPdf(body) {
+    const layout = LABEL_LAYOUTS[String(body.paperFormat || 'A4').toUpperCase()];
+    const printCode = body.printCodeOnLabel !== false;
+    const perPage = layout.columns * layout.rows;
+
+    const barcodes = await Promise.all(body.barcodeInfo.map((info) => bwipjs.toBuffer({
+        bcid: 'code128',
+        text: info.barcodeValue,
+        scale: 3,
+        height: 10,
+        includetext: false
+    })));
+
+    // uncompressed so tests can find the label text in the content streams
+    const doc = new PDFDocument({ size: layout.size, margin: 0, autoFirstPage: false, compress: false });
+    doc.info.Title = `Barcode labels (${body.barcodeInfo.length})`;
+    doc.info.Producer = 'patient-mock-api';
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const padding = 4;
+    body.barcodeInfo.forEach((info, i) => {
+        const slot = i % perPage;
+        if (slot === 0) doc.addPage();
+
+        const col = slot % layout.columns;
+        const row = Math.floor(slot / layout.columns);
+        const x = layout.marginLeft + col * (layout.labelWidth + layout.columnGap) + padding;
+        let y = layout.marginTop + row * (layout.labelHeight + layout.rowGap) + padding;
+        const width = layout.labelWidth - padding * 2;
+
+        if (info.barcodeDesc) {
+            doc.font('Helvetica-Bold').fontSize(8).text(info.barcodeDesc, x, y, { width, align: 'center', lineBreak: false, ellipsis: true });
+            y += 10;
+        }
+
+        doc.image(barcodes[i], x, y, { fit: [width, layout.barcodeHeight], align: 'center' });
+        y += layout.barcodeHeight + 2;
+
+        if (printCode) {
+            doc.font('Helvetica').fontSize(7).text(info.barcodeText || info.barcodeValue, x, y, { width, align: 'center', lineBreak: false, ellipsis: true });
+            y += 9;
+        }
+
+        if (info.secondaryDesc) {
+            doc.font('Helvetica').fontSize(7).text(info.secondaryDesc, x, y, { width, align: 'center', lineBreak: false, ellipsis: true });
+        }
+    });
+
+    doc.end();
+    return done;
+}
+
+module.exports = {
+    LABEL_LAYOUTS,
+    LABEL_TYPES,
+    validateLabelRequest,
+    renderLabelPdf
+};
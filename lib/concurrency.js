@@ -0,0 +1,59 @@
+const { handleError } = require('./errors');
+
+// Optimistic concurrency for single-record routes. Every record carries a version that each write bumps;
+// GETs return it as a strong ETag ("3"), and writes and deletes sent with a stale If-Match get
+// 412 PRECONDITION_FAILED together with the current ETag. With `requireIfMatch` a missing If-Match is
+// 428 PRECONDITION_REQUIRED, so clients cannot overwrite blindly.
+
+// Patients keep their version in metadata; rows written before versions existed count as version 1
+const PATIENT_VERSION_SQL = "COALESCE(json_extract(metadata, '$.version'), 1)";
+
+const patientVersion = (metadata) => Number(metadata && metadata.version) || 1;
+
+const entityTag = (version) => `"${version}"`;
+
+// If-Match is "*" or a comma separated list of entity tags, compared strongly (weak W/ tags never match)
+function ifMatchAccepts(header, currentTag) {
+    return header.split(',').map((tag) => tag.trim()).some((tag) => tag === '*' || tag === currentTag);
+}
+
+function preconditionFailed(res, currentTag) {
+    res.set('ETag', currentTag);
+    return handleError(res, 412, `The record has changed; its current version is ${currentTag}`, "PRECONDITION_FAILED", [
+        { field: 'If-Match', issue: `does not match the current version ${currentTag}` }
+    ]);
+}
+
+function createConcurrency({ requireIfMatch = false } = {}) {
+    // Checks If-Match against the record's current ETag. Answers 428/412 and returns true when the write must
+    // not go ahead. Call it once the record is known to exist, so unknown ids still get 404.
+    function rejectStaleWrite(req, res, currentTag) {
+        const header = req.get('If-Match');
+        if (header === undefined) {
+            if (!requireIfMatch) return false;
+            handleError(res, 428, "If-Match is required; send the ETag from a GET of the record", "PRECONDITION_REQUIRED", [
+                { field: 'If-Match', issue: 'is required' }
+            ]);
+            return true;
+        }
+        if (ifMatchAccepts(header, currentTag)) return false;
+        preconditionFailed(res, currentTag);
+        return true;
+    }
+
+    // For a guarded UPDATE/DELETE that changed nothing: another request wrote or deleted the record between
+    // the If-Match check and the write. `currentTag` is the record's ETag now, or null once it is gone.
+    function rejectLostUpdate(res, currentTag, notFoundMessage) {
+        if (!currentTag) return handleError(res, 404, notFoundMessage, "NOT_FOUND");
+        return preconditionFailed(res, currentTag);
+    }
+
+    return { requireIfMatch, rejectStaleWrite, rejectLostUpdate };
+}
+
+module.exports = {
+    PATIENT_VERSION_SQL,
+    patientVersion,
+    entityTag,
+    createConcurrency
+};
@@ -0,0 +1,77 @@
+const sqlite3 = require('sqlite3');
+
+// Promise wrappers around the sqlite3 callback API.
+// SQLITE_BUSY (another connection, e.g. an open transaction, holds the write lock) is retried from a timer until
+// BUSY_TIMEOUT_MS have passed. Connections should turn sqlite3's own busy timeout off (configure('busyTimeout', 0)):
+// it waits inside one of libuv's few worker threads, and a handful of waiting statements stall every other query.
+const BUSY_RETRY_MS = 10;
+const BUSY_TIMEOUT_MS = 30000;
+
+function retryBusy(attempt) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const tryOnce = () => attempt().then(resolve, (err) => {
+            if (err.code === 'SQLITE_BUSY' && Date.now() - started < BUSY_TIMEOUT_MS) return setTimeout(tryOnce, BUSY_RETRY_MS);
+            reject(err);
+        });
+        tryOnce();
+    });
+}
+
+function run(db, sql, params = []) {
+    return retryBusy(() => new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) return reject(err);
+            resolve({ changes: this.changes, lastID: this.lastID });
+        });
+    }));
+}
+
+function get(db, sql, params = []) {
+    return retryBusy(() => new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }));
+}
+
+function all(db, sql, params = []) {
+    return retryBusy(() => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }));
+}
+
+function exec(db, sql) {
+    return retryBusy(() => new Promise((resolve, reject) => {
+        db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    }));
+}
+
+// Runs `fn(connection)` inside one transaction: COMMIT when it resolves, ROLLBACK when it rejects; resolves with its
+// result. The transaction gets a second connection to the database file, which `fn` sends all of its statements
+// through, so other requests on `db` never become part of it: their writes wait for the write lock (see retryBusy)
+// and their reads don't see it before the COMMIT. Transactions are queued one at a time.
+const writers = new WeakMap();
+
+function transaction(db, fn) {
+    if (!writers.has(db)) {
+        const connection = new sqlite3.Database(db.filename);
+        connection.configure('busyTimeout', 0);
+        writers.set(db, { connection, queue: Promise.resolve() });
+    }
+    const writer = writers.get(db);
+    const result = writer.queue.then(async () => {
+        const { connection } = writer;
+        await exec(connection, 'BEGIN IMMEDIATE');
+        try {
+            const value = await fn(connection);
+            await exec(connection, 'COMMIT');
+            return value;
+        } catch (err) {
+            await exec(connection, 'ROLLBACK').catch(() => { });
+            throw err;
+        }
+    });
+    writer.queue = result.catch(() => { });
+    return result;
+}
+
+module.exports = { run, get, all, exec, transaction };
@@ -0,0 +1,12 @@
+// helper to send consistent error responses
+function handleError(res, status, message, errorCode = null, details = null) {
+    const response = {
+        code: status,
+        message: message
+    };
+    if (errorCode) response.errorCode = errorCode;
+    if (details) response.details = details;
+    return res.status(status).json(response);
+}
+
+module.exports = { handleError };
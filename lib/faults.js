@@ -0,0 +1,153 @@
+const { match } = require('path-to-regexp');
+const { randomUUID } = require('crypto');
+const { handleError } = require('./errors');
+const { run } = require('./db');
+
+const METHODS = ['*', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+const isRate = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+const isMs = (v) => Number.isInteger(v) && v >= 0 && v <= 120000;
+
+// Validates a rule payload and fills in defaults. Returns { rule } or { details }.
+function normalizeRule(input, id) {
+    const body = input || {};
+    const details = [];
+
+    const method = String(body.method || '*').toUpperCase();
+    if (!METHODS.includes(method)) {
+        details.push({ field: 'method', issue: `must be one of: ${METHODS.join(', ')}` });
+    }
+
+    if (typeof body.path !== 'string' || !body.path.startsWith('/')) {
+        details.push({ field: 'path', issue: "must be an Express-style path starting with '/', e.g. /api/patients/:shipToId" });
+    } else {
+        try {
+            match(body.path);
+        } catch (e) {
+            details.push({ field: 'path', issue: e.message });
+        }
+    }
+
+    const rule = {
+        id: id || body.id || randomUUID(),
+        name: body.name ? String(body.name) : '',
+        method,
+        path: body.path,
+        enabled: body.enabled !== false,
+        latencyMs: body.latencyMs === undefined || body.latencyMs === null ? 0 : body.latencyMs,
+        latencyMaxMs: body.latencyMaxMs === undefined ? null : body.latencyMaxMs,
+        errorRate: body.errorRate === undefined ? 0 : body.errorRate,
+        errorStatus: body.errorStatus === undefined ? 500 : body.errorStatus,
+        errorBody: body.errorBody === undefined ? null : body.errorBody,
+        hangRate: body.hangRate === undefined ? 0 : body.hangRate,
+        dropRate: body.dropRate === undefined ? 0 : body.dropRate
+    };
+
+    if (!isMs(rule.latencyMs)) details.push({ field: 'latencyMs', issue: 'must be an integer between 0 and 120000' });
+    if (rule.latencyMaxMs !== null) {
+        if (!isMs(rule.latencyMaxMs)) {
+            details.push({ field: 'latencyMaxMs', issue: 'must be an integer between 0 and 120000' });
+        } else if (rule.latencyMaxMs < rule.latencyMs) {
+            details.push({ field: 'latencyMaxMs', issue: 'must be greater than or equal to latencyMs' });
+        }
+    }
+    for (const field of ['errorRate', 'hangRate', 'dropRate']) {
+        if (!isRate(rule[field])) details.push({ field, issue: 'must be a number between 0 and 1' });
+    }
+    if (!Number.isInteger(rule.errorStatus) || rule.errorStatus < 400 || rule.errorStatus > 599) {
+        details.push({ field: 'errorStatus', issue: 'must be an HTTP error status (400-599)' });
+    }
+
+    return details.length > 0 ? { details } : { rule };
+}
+
+// Latency / error / hang / drop rules per route, persisted in the fault_rules table
+// and cached in memory so the middleware never waits on SQLite.
+// `skip(req, rule)` (optional) lets a matching rule pass a request by, e.g. one that only shares its path. A skip
+// that throws is logged and passes nothing by.
+function createFaultInjector(db, { skip = null } = {}) {
+    let rules = [];
+
+    const compile = (rule) => ({ ...rule, matcher: match(rule.path) });
+
+    function reload() {
+        return new Promise((resolve, reject) => {
+            db.all('SELECT data FROM fault_rules ORDER BY rowid', [], (err, rows) => {
+                if (err) return reject(err);
+                rules = rows.map((row) => compile(JSON.parse(row.data)));
+                resolve(list());
+            });
+        });
+    }
+
+    function save(rule) {
+        const data = JSON.stringify(rule);
+        return run(db, 'INSERT INTO fault_rules (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = ?', [rule.id, data, data])
+            .then(() => reload());
+    }
+
+    function remove(id) {
+        const sql = id ? 'DELETE FROM fault_rules WHERE id = ?' : 'DELETE FROM fault_rules';
+        return run(db, sql, id ? [id] : []).then(({ changes }) => reload().then(() => changes));
+    }
+
+    function list() {
+        return rules.map(({ matcher, ...rule }) => rule);
+    }
+
+    function find(id) {
+        return list().find((rule) => rule.id === id) || null;
+    }
+
+    function skipped(req, rule) {
+        try {
+            return Boolean(skip && skip(req, rule));
+        } catch (err) {
+            console.error(`[faults] skip failed (${rule.method} ${rule.path}):`, err.message);
+            return false;
+        }
+    }
+
+    // The first enabled rule matching the request that `skip` does not pass over
+    function ruleFor(req) {
+        return rules.find((rule) => rule.enabled && (rule.method === '*' || rule.method === req.method) && rule.matcher(req.path) &&
+            !skipped(req, rule)) || null;
+    }
+
+    function middleware(req, res, next) {
+        // never inject faults into the endpoints used to turn them off again
+        if (req.path.startsWith('/api/admin/faults')) return next();
+
+        const rule = ruleFor(req);
+        if (!rule) return next();
+
+        if (Math.random() < rule.dropRate) {
+            console.log(`[faults] dropping connection (${rule.method} ${rule.path})`);
+            return req.socket.destroy();
+        }
+        if (Math.random() < rule.hangRate) {
+            console.log(`[faults] hanging request (${rule.method} ${rule.path})`);
+            return;
+        }
+
+        const delay = rule.latencyMaxMs !== null
+            ? rule.latencyMs + Math.floor(Math.random() * (rule.latencyMaxMs - rule.latencyMs + 1))
+            : rule.latencyMs;
+
+        setTimeout(() => {
+            if (Math.random() < rule.errorRate) {
+                console.log(`[faults] injecting ${rule.errorStatus} (${rule.method} ${rule.path})`);
+                if (rule.errorBody !== null) return res.status(rule.errorStatus).json(rule.errorBody);
+                return handleError(res, rule.errorStatus, 'Injected fault', 'INJECTED_FAULT');
+            }
+            next();
+        }, delay);
+    }
+
+    return { reload, save, remove, list, find, middleware };
+}
+
+module.exports = {
+    normalizeRule,
+    createFaultInjector
+};
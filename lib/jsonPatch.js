@@ -0,0 +1,123 @@
+// JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902: add, remove, replace, test) for PATCH routes.
+// Both return { document } or { status, errorCode, details } so routes can hand the error straight to handleError.
+
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+const JSON_PATCH_OPS = ['add', 'remove', 'replace', 'test'];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+// Keys that would reach Object.prototype instead of the document
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function applyMergePatch(target, patch) {
+    if (!isObject(patch)) return patch;
+    const result = isObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(patch)) {
+        // never a patient field; skipped so the patch cannot reach Object.prototype
+        if (UNSAFE_KEYS.includes(key)) continue;
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(hasOwn(result, key) ? result[key] : undefined, value);
+        }
+    }
+    return result;
+}
+
+// "/primaryPayer/payerType" -> ['primaryPayer', 'payerType'] (RFC 6901 escaping)
+function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) return null;
+    return pointer.slice(1).split('/').map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+const sameJson = (a, b) => {
+    if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => sameJson(item, b[i]));
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every((key) => hasOwn(b, key) && sameJson(a[key], b[key]));
+    }
+    return a === b;
+};
+
+// Applies one operation to `document` in place; returns an issue string when it cannot be applied
+function applyOperation(document, operation) {
+    const segments = parsePointer(operation.path);
+    if (segments.length === 0) return 'the whole document cannot be patched';
+
+    const key = segments[segments.length - 1];
+    let parent = document;
+    for (const segment of segments.slice(0, -1)) {
+        // only own properties: a pointer never walks into the prototype chain
+        parent = (Array.isArray(parent) || isObject(parent)) && hasOwn(parent, segment) ? parent[segment] : undefined;
+        if (parent === undefined || parent === null || typeof parent !== 'object') return `path ${operation.path} does not exist`;
+    }
+
+    if (Array.isArray(parent)) {
+        const index = key === '-' ? parent.length : Number(key);
+        const inRange = Number.isInteger(index) && /^(0|[1-9]\d*|-)$/.test(key) && index <= parent.length;
+        if (!inRange || (operation.op !== 'add' && index >= parent.length)) return `path ${operation.path} does not exist`;
+
+        if (operation.op === 'test') return sameJson(parent[index], operation.value) ? null : `value at ${operation.path} does not match`;
+        if (operation.op === 'remove') parent.splice(index, 1);
+        if (operation.op === 'replace') parent[index] = clone(operation.value);
+        if (operation.op === 'add') parent.splice(index, 0, clone(operation.value));
+        return null;
+    }
+
+    const exists = hasOwn(parent, key);
+    if (operation.op !== 'add' && !exists) return `path ${operation.path} does not exist`;
+    if (operation.op === 'test') return sameJson(parent[key], operation.value) ? null : `value at ${operation.path} does not match`;
+    if (operation.op === 'remove') delete parent[key];
+    if (operation.op === 'replace' || operation.op === 'add') parent[key] = clone(operation.value);
+    return null;
+}
+
+// Validates the operation list, then applies it atomically to a copy of `target`.
+// Malformed patches are 400s, a failed `test` is a 409 and a path that does not exist is a 422.
+function applyJsonPatch(target, operations) {
+    if (!Array.isArray(operations)) {
+        return { status: 400, errorCode: 'BAD_REQUEST', details: [{ field: 'body', issue: 'must be an array of JSON Patch operations' }] };
+    }
+
+    const details = [];
+    operations.forEach((operation, i) => {
+        if (!isObject(operation) || !JSON_PATCH_OPS.includes(operation.op)) {
+            details.push({ field: `[${i}].op`, issue: `must be one of: ${JSON_PATCH_OPS.join(', ')}` });
+            return;
+        }
+        const segments = parsePointer(operation.path);
+        if (segments === null) {
+            details.push({ field: `[${i}].path`, issue: "must be a JSON Pointer, e.g. /firstName" });
+        } else if (segments.some((segment) => UNSAFE_KEYS.includes(segment))) {
+            details.push({ field: `[${i}].path`, issue: `must not contain ${UNSAFE_KEYS.join(', ')}` });
+        }
+        if (operation.op !== 'remove' && !('value' in operation)) {
+            details.push({ field: `[${i}].value`, issue: 'is required' });
+        }
+    });
+    if (details.length > 0) return { status: 400, errorCode: 'BAD_REQUEST', details };
+
+    const document = clone(target);
+    for (let i = 0; i < operations.length; i++) {
+        const issue = applyOperation(document, operations[i]);
+        if (issue) {
+            const failedTest = operations[i].op === 'test' && !/does not exist/.test(issue);
+            return {
+                status: failedTest ? 409 : 422,
+                errorCode: failedTest ? 'PATCH_TEST_FAILED' : 'UNPROCESSABLE_ENTITY',
+                details: [{ field: `[${i}].path`, issue }]
+            };
+        }
+    }
+    return { document };
+}
+
+module.exports = {
+    MERGE_PATCH_TYPE,
+    JSON_PATCH_TYPE,
+    applyMergePatch,
+    applyJsonPatch
+};
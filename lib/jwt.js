@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { get, run } = require('./db');
+
+const ISSUER = 'patient-mock-api';
+const DEFAULT_TTL_SECONDS = 3600;
+
+// RFC 7638 thumbprint, used as the key id in token headers and the JWKS
+function thumbprint(jwk) {
+    const canonical = JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n });
+    return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+// Loads the RS256 signing key from SQLite, generating one on first use so tokens survive restarts
+async function loadSigningKey(db) {
+    let row = await get(db, 'SELECT kid, privateKey FROM signing_keys ORDER BY createdAt DESC LIMIT 1');
+    if (!row) {
+        const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+        const kid = thumbprint(crypto.createPublicKey(privateKey).export({ format: 'jwk' }));
+        await run(db, 'INSERT INTO signing_keys (kid, privateKey, createdAt) VALUES (?, ?, ?)', [kid, pem, new Date().toISOString()]);
+        row = { kid, privateKey: pem };
+    }
+
+    const publicJwk = crypto.createPublicKey(row.privateKey).export({ format: 'jwk' });
+    return {
+        kid: row.kid,
+        privateKey: row.privateKey,
+        publicKey: crypto.createPublicKey(row.privateKey).export({ type: 'spki', format: 'pem' }),
+        jwk: { ...publicJwk, kid: row.kid, alg: 'RS256', use: 'sig' }
+    };
+}
+
+// Claims in the same shape as the real APIC id token, built from a user context and privilege list
+function buildClaims(userContext, privileges) {
+    const details = userContext.details;
+    return {
+        sub: details.id,
+        privileges: privileges.join(','),
+        clientId: 'PLMORpj0VZClFbdpaGK0BJ7RJwIa',
+        givenName: details.firstName,
+        usertype: 'Customer',
+        active: true,
+        internalAuthentication: !!details.internalAuthentication,
+        familyName: details.lastName,
+        scope: 'openid',
+        name: details.firstName,
+        sessionTimeout: details.sessionTimeout,
+        tokenType: 'Bearer',
+        email: details.emailAddress,
+        repAccountNumber: '',
+        username: details.username
+    };
+}
+
+// `expiresAt` (epoch seconds) wins over `ttlSeconds` so a re-issued token keeps its original expiry
+function signToken(key, claims, { ttlSeconds = DEFAULT_TTL_SECONDS, expiresAt } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iat: now, exp: expiresAt || now + ttlSeconds };
+    return jwt.sign(payload, key.privateKey, { algorithm: 'RS256', keyid: key.kid, issuer: ISSUER });
+}
+
+// Resolves with the decoded claims, or rejects with a jsonwebtoken error
+// (TokenExpiredError / JsonWebTokenError) for expired, tampered or foreign tokens
+function verifyToken(key, token) {
+    return new Promise((resolve, reject) => {
+        jwt.verify(token, key.publicKey, { algorithms: ['RS256'], issuer: ISSUER }, (err, claims) => {
+            if (err) return reject(err);
+            resolve(claims);
+        });
+    });
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (e) {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    }
+    return cookies;
+}
+
+// Token presented by the client: Authorization bearer header, then a JSON body field, then the accessToken cookie
+function readToken(req) {
+    const auth = req.get('Authorization') || '';
+    const match = /^Bearer\s+(.+)$/i.exec(auth);
+    if (match) return match[1].trim();
+    if (req.body && typeof req.body === 'object') {
+        if (typeof req.body.token === 'string') return req.body.token;
+        if (typeof req.body.access_token === 'string') return req.body.access_token;
+    }
+    return parseCookies(req.get('Cookie')).accessToken || null;
+}
+
+module.exports = {
+    DEFAULT_TTL_SECONDS,
+    parseCookies,
+    readToken,
+    loadSigningKey,
+    buildClaims,
+    signToken,
+    verifyToken
+};
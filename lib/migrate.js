@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { run, get, exec } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named NNN_description.js and export { up(db) } returning a Promise.
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .map((file) => ({ file, match: /^(\d+)_(.+)\.js$/.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({
+            version: Number(match[1]),
+            name: match[2],
+            file: path.basename(file, '.js'),
+            up: require(path.join(dir, file)).up
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+// Applies every migration newer than the recorded schema_version, each in its own transaction.
+// Resolves with the list of versions that were applied.
+async function migrate(db, dir = MIGRATIONS_DIR) {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        appliedAt TEXT NOT NULL
+      )
+    `);
+
+    const row = await get(db, 'SELECT MAX(version) AS version FROM schema_version');
+    const current = (row && row.version) || 0;
+    const pending = loadMigrations(dir).filter((m) => m.version > current);
+
+    const applied = [];
+    for (const migration of pending) {
+        await exec(db, 'BEGIN');
+        try {
+            await migration.up(db);
+            await run(db, 'INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]);
+            await exec(db, 'COMMIT');
+        } catch (err) {
+            await exec(db, 'ROLLBACK').catch(() => { });
+            err.message = `Migration ${migration.file} failed: ${err.message}`;
+            throw err;
+        }
+        console.log(`Applied migration ${migration.file}`);
+        applied.push(migration.version);
+    }
+    return applied;
+}
+
+module.exports = { migrate, loadMigrations };
@@ -0,0 +1,292 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { match } = require('path-to-regexp');
+const { handleError } = require('./errors');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+const DOCUMENT_ID = 'openapi.json';
+
+// JSON pointer escaping for path keys such as "/patients/{shipToId}"
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// "/api" from servers[0].url, so documented paths line up with Express paths
+function basePathOf(document) {
+    const url = (document.servers && document.servers[0] && document.servers[0].url) || '';
+    const pathname = /^[a-z]+:\/\//i.test(url) ? new URL(url).pathname : url;
+    return pathname.replace(/\/$/, '');
+}
+
+function createAjv(options) {
+    // OpenAPI schemas carry example/x-* keywords and object-valued `examples`, so no strict/meta checks
+    const ajv = new Ajv({ allErrors: true, strict: false, validateSchema: false, ...options });
+    addFormats(ajv);
+    for (const format of ['int32', 'int64', 'float', 'double', 'binary', 'password']) {
+        ajv.addFormat(format, true);
+    }
+    return ajv;
+}
+
+// Converts ajv errors into the { field, issue } details used across the API.
+// `prefix` names the part of the request (a parameter location or "body").
+function toDetails(errors, prefix) {
+    return (errors || []).map((error) => {
+        const segments = error.instancePath.split('/').slice(1).map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+        if (error.keyword === 'required') segments.push(error.params.missingProperty);
+
+        let field = prefix || '';
+        for (const segment of segments) {
+            field += /^\d+$/.test(segment) ? `[${segment}]` : `${field ? '.' : ''}${segment}`;
+        }
+
+        let issue = error.message;
+        if (error.keyword === 'required') issue = 'is required';
+        if (error.keyword === 'enum') issue = `must be one of: ${error.params.allowedValues.join(', ')}`;
+        return { field: field || prefix || 'body', issue };
+    });
+}
+
+// Compiles every documented operation: a path matcher, parameter and body validators,
+// and one validator per documented response status.
+function compileOperations(document, basePath) {
+    const paramAjv = createAjv({ coerceTypes: 'array', useDefaults: false });
+    const bodyAjv = createAjv({});
+    paramAjv.addSchema(document, DOCUMENT_ID);
+    bodyAjv.addSchema(document, DOCUMENT_ID);
+
+    const resolve = (node) => {
+        let current = node;
+        while (current && current.$ref) {
+            current = current.$ref.replace(/^#\//, '').split('/')
+                .map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'))
+                .reduce((obj, key) => obj && obj[key], document);
+        }
+        return current;
+    };
+
+    // Schemas are compiled by pointer into the document so their own "#/components/..." refs resolve
+    const compileAt = (ajv, pointer) => ajv.compile({ $ref: `${DOCUMENT_ID}#${pointer}` });
+
+    const operations = [];
+    for (const [template, pathItem] of Object.entries(document.paths || {})) {
+        const expressPath = basePath + template.replace(/{([^}]+)}/g, ':$1');
+        const pathPointer = `/paths/${escapePointer(template)}`;
+
+        for (const method of METHODS) {
+            const operation = pathItem[method];
+            if (!operation) continue;
+            const opPointer = `${pathPointer}/${method}`;
+
+            // path-level parameters first, overridden by operation-level ones with the same name/location
+            const params = new Map();
+            const addParams = (list, pointer) => (list || []).forEach((param, i) => {
+                const resolved = resolve(param);
+                if (!resolved || !resolved.in) return;
+                const schemaPointer = param.$ref
+                    ? `${param.$ref.replace(/^#/, '')}/schema`
+                    : `${pointer}/parameters/${i}/schema`;
+                params.set(`${resolved.in}:${resolved.name}`, { ...resolved, schemaPointer });
+            });
+            addParams(pathItem.parameters, pathPointer);
+            addParams(operation.parameters, opPointer);
+
+            const locations = {};
+            // form-style query arrays with explode: false arrive as one comma separated value, e.g. sortBy=TEAM,LAST_NAME
+            const commaSeparated = new Set();
+            for (const param of params.values()) {
+                if (!['path', 'query', 'header'].includes(param.in)) continue;
+                if (param.in === 'query' && param.explode === false && resolve(param.schema) && resolve(param.schema).type === 'array') {
+                    commaSeparated.add(param.name);
+                }
+                const name = param.in === 'header' ? param.name.toLowerCase() : param.name;
+                const location = locations[param.in] || (locations[param.in] = { type: 'object', properties: {}, required: [] });
+                location.properties[name] = param.schema ? { $ref: `${DOCUMENT_ID}#${param.schemaPointer}` } : {};
+                if (param.required || param.in === 'path') location.required.push(name);
+            }
+
+            let body = null;
+            const requestBody = resolve(operation.requestBody);
+            if (requestBody && requestBody.content && requestBody.content['application/json']) {
+                const media = requestBody.content['application/json'];
+                const bodyPointer = operation.requestBody.$ref
+                    ? operation.requestBody.$ref.replace(/^#/, '')
+                    : `${opPointer}/requestBody`;
+                body = {
+                    required: !!requestBody.required,
+                    validate: media.schema ? compileAt(bodyAjv, `${bodyPointer}/content/application~1json/schema`) : null
+                };
+            }
+
+            const responses = {};
+            for (const [status, response] of Object.entries(operation.responses || {})) {
+                const resolved = resolve(response);
+                const media = resolved && resolved.content && resolved.content['application/json'];
+                const responsePointer = response.$ref
+                    ? response.$ref.replace(/^#/, '')
+                    : `${opPointer}/responses/${escapePointer(status)}`;
+                responses[status.toUpperCase()] = {
+                    json: !!media,
+                    validate: media && media.schema ? compileAt(bodyAjv, `${responsePointer}/content/application~1json/schema`) : null
+                };
+            }
+
+            operations.push({
+                id: `${method.toUpperCase()} ${template}`,
+                method: method.toUpperCase(),
+                matcher: match(expressPath),
+                queryNames: new Set(Object.keys((locations.query || {}).properties || {})),
+                commaSeparated,
+                // literal segments beat templated ones when several paths match
+                specificity: template.split('/').filter((s) => s && !s.startsWith('{')).length,
+                validators: Object.fromEntries(Object.entries(locations).map(([location, schema]) => [location, paramAjv.compile(schema)])),
+                body,
+                responses
+            });
+        }
+    }
+
+    // stable sort keeps document order for equally specific paths
+    return operations.sort((a, b) => b.specificity - a.specificity);
+}
+
+// "A,B" and repeated parameters (?a=A&a=B) both become ['A', 'B']
+const splitList = (value) => [].concat(value).flatMap((v) => String(v).split(',')).map((v) => v.trim()).filter(Boolean);
+
+// Validates requests against a compiled operation; returns a details array (empty when valid)
+function validateRequest(operation, req, params) {
+    const details = [];
+    const inputs = {
+        path: { ...params },
+        query: Object.fromEntries(Object.entries(req.query || {})
+            .map(([name, value]) => [name, operation.commaSeparated.has(name) ? splitList(value) : value])),
+        header: Object.fromEntries(Object.entries(req.headers).map(([k, v]) => [k.toLowerCase(), v]))
+    };
+
+    for (const [location, validate] of Object.entries(operation.validators)) {
+        if (!validate(inputs[location])) {
+            // parameters are reported by name, e.g. "pageSize", not "query.pageSize";
+            // comma separated ones as a whole ("sortBy", not "sortBy[1]"), since that is how they were sent
+            details.push(...toDetails(validate.errors, '').map((detail) => {
+                const name = detail.field.replace(/\[\d+\]$/, '');
+                return location === 'query' && operation.commaSeparated.has(name) ? { ...detail, field: name } : detail;
+            }));
+        }
+    }
+
+    if (operation.body) {
+        const hasBody = req.body !== undefined && req.body !== null && req.is('application/json');
+        if (!hasBody) {
+            if (operation.body.required && !req.is('multipart/form-data')) {
+                details.push({ field: 'body', issue: 'is required' });
+            }
+        } else if (operation.body.validate && !operation.body.validate(req.body)) {
+            details.push(...toDetails(operation.body.validate.errors, ''));
+        }
+    }
+
+    return details;
+}
+
+// Returns a details array describing how a JSON response deviates from the document (empty when it matches)
+function validateResponse(operation, status, body) {
+    const documented = operation.responses[String(status)]
+        || operation.responses[`${String(status)[0]}XX`]
+        || operation.responses.DEFAULT;
+
+    if (!documented) return [{ field: 'status', issue: `${status} is not a documented response` }];
+    if (!documented.json) return [{ field: 'body', issue: `a JSON body is not documented for ${status}` }];
+    if (documented.validate && !documented.validate(body)) return toDetails(documented.validate.errors, 'body');
+    return [];
+}
+
+// OpenAPI validation for everything under the document's server base path. Undocumented routes pass through.
+// - requests: mismatches are rejected with 400 BAD_REQUEST and per-field details
+// - responses: 'warn' logs mismatches, 'strict' replaces the response with a 500, 'off' skips the check
+//
+// `responses` must run before any handler that may answer (so it can wrap res.json);
+// `requests` goes after authentication so 401/403 still win over 400.
+function createOpenApiValidator(document, { validateRequests = true, responseMode = 'warn' } = {}) {
+    const basePath = basePathOf(document);
+    const operations = compileOperations(document, basePath);
+
+    // All documented operations matching the request, most specific first
+    function candidatesFor(req) {
+        const found = [];
+        for (const operation of operations) {
+            if (operation.method !== req.method) continue;
+            const result = operation.matcher(req.path);
+            if (result) found.push({ operation, params: result.params });
+        }
+        return found;
+    }
+
+    function responses(req, res, next) {
+        const candidates = candidatesFor(req);
+        if (candidates.length === 0) return next();
+        req.openapi = { candidates, operation: candidates[0].operation };
+        if (responseMode === 'off') return next();
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            res.json = json;
+            const details = validateResponse(req.openapi.operation, res.statusCode, body);
+            if (details.length === 0) return json(body);
+            // a route may hand an ambiguous path over to its twin (GET /patients/{shipToId} -> /patients/{id})
+            const twin = req.openapi.candidates.find(({ operation }) => operation !== req.openapi.operation &&
+                validateResponse(operation, res.statusCode, body).length === 0);
+            if (twin) return json(body);
+
+            console.warn(`[openapi] ${req.method} ${req.originalUrl} -> ${res.statusCode} does not match ${req.openapi.operation.id}: ` +
+                details.map((d) => `${d.field} ${d.issue}`).join('; '));
+            if (responseMode !== 'strict') return json(body);
+            return handleError(res, 500, `Response does not match the OpenAPI document (${req.openapi.operation.id})`, "RESPONSE_VALIDATION_FAILED", details);
+        };
+        next();
+    }
+
+    function requests(req, res, next) {
+        if (!validateRequests || !req.openapi) return next();
+
+        // Ambiguous templates (e.g. /patients/{shipToId} and /patients/{id}): operations declaring most of the
+        // query parameters actually sent are preferred, then the first of those that accepts the request wins.
+        const sent = Object.keys(req.query || {});
+        const rank = ({ operation }) => sent.filter((name) => operation.queryNames.has(name)).length;
+        const best = Math.max(...req.openapi.candidates.map(rank));
+        const candidates = req.openapi.candidates.filter((candidate) => rank(candidate) === best);
+
+        let firstDetails = null;
+        for (const { operation, params } of candidates) {
+            const details = validateRequest(operation, req, params);
+            if (details.length === 0) {
+                req.openapi.operation = operation;
+                return next();
+            }
+            if (!firstDetails) firstDetails = details;
+        }
+        return handleError(res, 400, "Request does not match the API specification", "BAD_REQUEST", firstDetails);
+    }
+
+    // Checks a value against a named components schema, e.g. a patched document against PatientInput.
+    // Returns a details array (empty when valid); always empty when request validation is disabled.
+    const schemaValidators = {};
+    let schemaAjv = null;
+    function validateSchema(name, value) {
+        if (!validateRequests) return [];
+        if (!schemaValidators[name]) {
+            if (!schemaAjv) {
+                schemaAjv = createAjv({});
+                schemaAjv.addSchema(document, DOCUMENT_ID);
+            }
+            schemaValidators[name] = schemaAjv.compile({ $ref: `${DOCUMENT_ID}#/components/schemas/${escapePointer(name)}` });
+        }
+        const validate = schemaValidators[name];
+        return validate(value) ? [] : toDetails(validate.errors, '');
+    }
+
+    return { operations, responses, requests, validateSchema };
+}
+
+module.exports = {
+    METHODS,
+    basePathOf,
+    createOpenApiValidator
+};
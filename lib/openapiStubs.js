@@ -0,0 +1,158 @@
+const { METHODS, basePathOf } = require('./openapi');
+const { handleError } = require('./errors');
+const { renderTemplate, createTemplateContext } = require('./templating');
+
+// Follows local "#/..." refs inside the OpenAPI document
+function resolveRef(document, node) {
+    let current = node;
+    while (current && current.$ref) {
+        current = current.$ref.replace(/^#\//, '').split('/')
+            .map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((obj, key) => obj && obj[key], document);
+    }
+    return current;
+}
+
+const FORMAT_SAMPLES = {
+    date: '1970-01-01',
+    'date-time': '1970-01-01T00:00:00.000Z',
+    uuid: '00000000-0000-0000-0000-000000000000',
+    email: 'user@example.com',
+    uri: 'https://example.com'
+};
+
+// Builds a value that satisfies the schema: its example/default/enum when present, otherwise a placeholder per type
+function synthesize(document, node, depth = 0) {
+    const schema = resolveRef(document, node);
+    if (!schema || depth > 10) return null;
+
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+    if (Array.isArray(schema.allOf)) {
+        return Object.assign({}, ...schema.allOf.map((part) => synthesize(document, part, depth + 1)));
+    }
+    const choices = schema.oneOf || schema.anyOf;
+    if (Array.isArray(choices) && choices.length > 0) return synthesize(document, choices[0], depth + 1);
+
+    const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string');
+    switch (type) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .map(([name, property]) => [name, synthesize(document, property, depth + 1)]));
+        case 'array':
+            return Array.from({ length: Math.max(1, schema.minItems || 0) }, () => synthesize(document, schema.items, depth + 1));
+        case 'integer':
+        case 'number':
+            return typeof schema.minimum === 'number' ? schema.minimum : 0;
+        case 'boolean':
+            return true;
+        default:
+            return FORMAT_SAMPLES[schema.format] || 'string';
+    }
+}
+
+// Prism-style preferences, e.g. "Prefer: code=404, example=notFound"
+function parsePrefer(header) {
+    const prefer = {};
+    for (const part of String(header || '').split(/[,;]/)) {
+        const [key, value] = part.split('=').map((s) => s && s.trim());
+        if (key && value) prefer[key.toLowerCase()] = value.replace(/^"|"$/g, '');
+    }
+    return prefer;
+}
+
+// Picks the documented response for the request: the Prefer code if given, else the lowest 2xx, else the first one.
+// Returns { status, response } or { error } when the preferred code is not documented.
+function pickResponse(document, operation, prefer) {
+    const responses = operation.responses || {};
+    const keys = Object.keys(responses);
+    const statusOf = (key) => (/^\d{3}$/.test(key) ? Number(key) : /^\dXX$/i.test(key) ? Number(key[0]) * 100 : 200);
+
+    if (prefer.code) {
+        const code = Number(prefer.code);
+        const key = keys.find((k) => k === prefer.code)
+            || keys.find((k) => k.toUpperCase() === `${prefer.code[0]}XX`)
+            || keys.find((k) => k === 'default');
+        if (!Number.isInteger(code) || !key) return { error: `code=${prefer.code} is not a documented response` };
+        return { status: code, response: resolveRef(document, responses[key]) };
+    }
+
+    const success = keys.filter((k) => /^2/.test(k)).sort()[0];
+    const key = success || (keys.includes('default') ? 'default' : keys[0]);
+    if (!key) return { status: 200, response: {} };
+    return { status: statusOf(key), response: resolveRef(document, responses[key]) };
+}
+
+// Body for a documented media type: its example, the named/first entry of examples, or one synthesized from the schema
+function exampleFor(document, media, exampleName) {
+    if (media.example !== undefined) return media.example;
+    if (media.examples && Object.keys(media.examples).length > 0) {
+        const name = exampleName && media.examples[exampleName] ? exampleName : Object.keys(media.examples)[0];
+        const example = resolveRef(document, media.examples[name]);
+        if (example && example.value !== undefined) return example.value;
+    }
+    return synthesize(document, media.schema);
+}
+
+function createStubHandler(document, operation, id, lookups) {
+    return async (req, res) => {
+        const prefer = parsePrefer(req.get('Prefer'));
+        const { status, response, error } = pickResponse(document, operation, prefer);
+        if (error) return handleError(res, 400, `Prefer ${error} for ${id}`, "BAD_REQUEST", [{ field: 'Prefer', issue: error }]);
+
+        res.set('X-Mock-Stub', 'true');
+        const content = (response && response.content) || {};
+        const types = Object.keys(content);
+        if (types.length === 0) return res.status(status).end();
+
+        const type = types.find((t) => /json/.test(t)) || types[0];
+        let body;
+        try {
+            // examples may use the same {{...}} placeholders as runtime stubs
+            body = await renderTemplate(exampleFor(document, content[type], prefer.example), createTemplateContext(req, req.params, lookups));
+        } catch (err) {
+            return handleError(res, 500, `Example for ${id} failed to render: ${err.message}`, "TEMPLATE_ERROR");
+        }
+        if (/json/.test(type)) return res.status(status).json(body);
+        res.status(status).type(type).send(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+}
+
+// "GET /api/patients/:" for both "/api/patients/:shipToId" and "/api/patients/:id"
+const routeKey = (method, path) => `${method.toUpperCase()} ${path.replace(/:[^/]+/g, ':')}`;
+
+// Registers a stub for every documented operation that has no handwritten route on `app`.
+// Call after all real routes are defined. `lookups` backs the patient template helpers.
+// Returns the ids of the stubbed operations.
+function registerOpenApiStubs(app, document, { lookups = {} } = {}) {
+    const explicit = new Set();
+    for (const layer of app.router.stack) {
+        if (!layer.route) continue;
+        const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+        for (const method of Object.keys(layer.route.methods)) {
+            for (const path of paths) explicit.add(routeKey(method, path));
+        }
+    }
+
+    const basePath = basePathOf(document);
+    const stubbed = [];
+    for (const [template, pathItem] of Object.entries(document.paths || {})) {
+        const expressPath = basePath + template.replace(/{([^}]+)}/g, ':$1');
+        for (const method of METHODS) {
+            const operation = pathItem[method];
+            if (!operation || explicit.has(routeKey(method, expressPath))) continue;
+
+            const id = `${method.toUpperCase()} ${template}`;
+            app[method](expressPath, createStubHandler(document, operation, id, lookups));
+            stubbed.push(id);
+        }
+    }
+    return stubbed;
+}
+
+module.exports = {
+    synthesize,
+    parsePrefer,
+    registerOpenApiStubs
+};
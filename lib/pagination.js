@@ -0,0 +1,133 @@
+const { createHash } = require('crypto');
+const { all } = require('./db');
+
+// Keyset ("cursor") paging shared by the patient and user listings.
+// A listing describes its order as sort keys [{ expression, params, direction }] whose last key is unique
+// (patientKey, id, ...), so every row has a fixed position and pages do not shift when rows are inserted mid-scroll.
+// Cursors are opaque base64url tokens holding a row's sort values and the signature of the order they belong to.
+
+const SORT_VALUE_PREFIX = '_sort';
+
+function sortSignature(sortKeys) {
+    const order = sortKeys.map(({ expression, params = [], direction }) => [expression, params, direction]);
+    return createHash('sha1').update(JSON.stringify(order)).digest('base64url').slice(0, 12);
+}
+
+function encodeCursor(sortKeys, values, direction) {
+    return Buffer.from(JSON.stringify({ s: sortSignature(sortKeys), v: values, d: direction })).toString('base64url');
+}
+
+// Reads the `cursor` query parameter. Returns { cursor } (null when absent) or { details }.
+// `conflicting` lists the offset-style parameters (pageNo, offset) that cannot be combined with a cursor.
+function readCursor(query, sortKeys, conflicting = []) {
+    if (query.cursor === undefined) return { cursor: null };
+
+    const details = conflicting
+        .filter((name) => query[name] !== undefined)
+        .map((name) => ({ field: 'cursor', issue: `cannot be combined with ${name}` }));
+    if (details.length > 0) return { details };
+
+    let payload = null;
+    try {
+        payload = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+    } catch (e) { /* reported below */ }
+    if (!payload || !Array.isArray(payload.v) || payload.v.length !== sortKeys.length || !['next', 'prev'].includes(payload.d)) {
+        return { details: [{ field: 'cursor', issue: 'is not a valid cursor' }] };
+    }
+    if (payload.s !== sortSignature(sortKeys)) {
+        return { details: [{ field: 'cursor', issue: 'belongs to a different sort order; start again without a cursor' }] };
+    }
+    return { cursor: { values: payload.v, direction: payload.d } };
+}
+
+// ORDER BY clause for the sort keys, reversed when reading backwards
+function orderByClause(sortKeys, reverse = false) {
+    const flip = { ASC: 'DESC', DESC: 'ASC' };
+    return {
+        clause: sortKeys.map(({ expression, direction }) => `${expression} ${reverse ? flip[direction] : direction}`).join(', '),
+        params: sortKeys.flatMap(({ params = [] }) => params)
+    };
+}
+
+// Rows after (next) or before (prev) the cursor position:
+// (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ..., with < for descending keys and everything flipped for prev
+function keysetCondition(sortKeys, { values, direction }) {
+    const terms = [];
+    const params = [];
+    sortKeys.forEach((key, i) => {
+        const parts = [];
+        sortKeys.slice(0, i).forEach((previous, j) => {
+            parts.push(`${previous.expression} = ?`);
+            params.push(...(previous.params || []), values[j]);
+        });
+        const forward = (key.direction === 'ASC') === (direction === 'next');
+        parts.push(`${key.expression} ${forward ? '>' : '<'} ?`);
+        params.push(...(key.params || []), values[i]);
+        terms.push(`(${parts.join(' AND ')})`);
+    });
+    return { clause: `(${terms.join(' OR ')})`, params };
+}
+
+// Reads one page of `table`. With a cursor it seeks from the cursor position, otherwise it skips `offset` rows.
+// Resolves with { rows, nextCursor, prevCursor }; the cursors are null at either end of the listing.
+async function fetchPage(db, { table, whereClause = '', params = [], sortKeys, cursor = null, limit, offset = 0 }) {
+    let where = whereClause;
+    const whereParams = [...params];
+    if (cursor) {
+        const keyset = keysetCondition(sortKeys, cursor);
+        where = where ? `${where} AND ${keyset.clause}` : `WHERE ${keyset.clause}`;
+        whereParams.push(...keyset.params);
+    }
+
+    const backwards = !!cursor && cursor.direction === 'prev';
+    const order = orderByClause(sortKeys, backwards);
+    const sortValues = sortKeys.map(({ expression }, i) => `${expression} AS ${SORT_VALUE_PREFIX}${i}`).join(', ');
+
+    // one extra row tells whether there is more in the reading direction
+    const fetched = await all(db, `SELECT *, ${sortValues} FROM ${table} ${where} ORDER BY ${order.clause} LIMIT ? OFFSET ?`, [
+        ...sortKeys.flatMap(({ params: keyParams = [] }) => keyParams),
+        ...whereParams,
+        ...order.params,
+        limit + 1,
+        cursor ? 0 : offset
+    ]);
+    const more = fetched.length > limit;
+    const page = fetched.slice(0, limit);
+    if (backwards) page.reverse();
+
+    const values = page.map((row) => sortKeys.map((_, i) => row[`${SORT_VALUE_PREFIX}${i}`]));
+    const rows = page.map((row) => {
+        const rest = { ...row };
+        sortKeys.forEach((_, i) => delete rest[`${SORT_VALUE_PREFIX}${i}`]);
+        return rest;
+    });
+
+    // a cursor always came from a row on the neighbouring page, so the way back exists
+    const hasNext = backwards ? true : more;
+    const hasPrev = cursor ? (backwards ? more : true) : offset > 0;
+    return {
+        rows,
+        nextCursor: hasNext && page.length > 0 ? encodeCursor(sortKeys, values[values.length - 1], 'next') : null,
+        prevCursor: hasPrev && page.length > 0 ? encodeCursor(sortKeys, values[0], 'prev') : null
+    };
+}
+
+// RFC 8288 Link header for a page: the request URL with `cursor` swapped in and the offset-style parameters dropped
+function linkHeader(req, { nextCursor, prevCursor }, offsetParams = []) {
+    const links = [];
+    for (const [rel, cursor] of [['next', nextCursor], ['prev', prevCursor]]) {
+        if (!cursor) continue;
+        const url = new URL(req.originalUrl, 'http://localhost');
+        for (const name of offsetParams) url.searchParams.delete(name);
+        url.searchParams.set('cursor', cursor);
+        links.push(`<${url.pathname}${url.search}>; rel="${rel}"`);
+    }
+    return links.join(', ');
+}
+
+module.exports = {
+    readCursor,
+    orderByClause,
+    fetchPage,
+    linkHeader
+};
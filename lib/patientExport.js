@@ -0,0 +1,115 @@
+const ExcelJS = require('exceljs');
+
+// Column layout of the eCom patient export (see export.xlsx in the repo root).
+// `value` maps a patient row to the cell value; columns we don't model stay empty.
+const EXPORT_COLUMNS = [
+    { header: 'Sold To*', value: (p) => p.shipToId },
+    { header: 'First name*', value: (p) => p.firstName },
+    { header: 'Last name*', value: (p) => p.lastName },
+    { header: 'Address*' },
+    { header: 'City*' },
+    { header: 'State*' },
+    { header: 'County' },
+    { header: 'Zip Code*' },
+    { header: 'Country (US)' },
+    { header: 'Payer (0-6 & T)*' },
+    { header: 'HHRG' },
+    { header: 'Patient ID*', value: (p) => p.patientId },
+    { header: 'ICD9/10_1' },
+    { header: 'ICD9/10_2' },
+    { header: 'ICD9/10_3' },
+    { header: 'ICD9/10_4' },
+    { header: 'Phone Number' },
+    { header: 'Date of Birth (MM/DD/YYYY)', value: (p) => toDateCell(p.dateOfBirth), numFmt: 'mm/dd/yyyy' },
+    { header: 'SSN' },
+    { header: 'Insurance Policy Name*', value: (p) => p.primaryPayer && p.primaryPayer.payerDisplayName },
+    { header: 'Insurance Policy Number*' },
+    { header: 'Primary Physician Name' },
+    { header: 'Primary Physician Address Line 1' },
+    { header: 'Primary Physician Address Line 2' },
+    { header: 'Primary Physician Address City' },
+    { header: 'Primary Physician Address State' },
+    { header: 'Primary Physician Address Zip Code' },
+    { header: 'Primary Physician Address Country' },
+    { header: 'Primary Physician Phone Number' },
+    { header: 'Primary Physician NPI' },
+    { header: 'Secondary Physician Name' },
+    { header: 'Secondary Physician Address Line 1' },
+    { header: 'Secondary Physician Address Line 2' },
+    { header: 'Secondary Physician Address City' },
+    { header: 'Secondary Physician Address State' },
+    { header: 'Secondary Physician Address Zip Code' },
+    { header: 'Secondary Physician Address Country' },
+    { header: 'Secondary Physician Phone Number' },
+    { header: 'Secondary Physician NPI' },
+    { header: 'Additional Notes' },
+    { header: 'Third party Code' },
+    { header: 'Sex' },
+    { header: 'Facility Patient (Y/N)' },
+    { header: 'Team', value: (p) => p.teamName },
+    { header: 'Room Number' },
+    { header: 'Admission Date (MM/DD/YYYY)' },
+    { header: 'Discharge Date (MM/DD/YYYY)' },
+    { header: 'Floor Number' },
+    { header: 'Building Name/Wing/Bed#' },
+    { header: 'Link to TrackPoint (Y/N)' },
+    { header: 'Created By', value: (p) => auditStamp(p.metadata && p.metadata.createdBy, p.metadata && p.metadata.createdAt) },
+    { header: 'Last Modified By', value: (p) => auditStamp(p.metadata && p.metadata.updatedBy, p.metadata && p.metadata.updatedAt) }
+];
+
+// 'YYYY-MM-DD' -> Date (UTC midnight) so Excel stores a real date serial.
+// Anything we can't parse is written through as text.
+function toDateCell(value) {
+    if (!value) return null;
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return value;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return isNaN(date.getTime()) ? value : date;
+}
+
+// Mirrors the "<user> on MM/DD/YYYY hh:mm:ss AM(TZ)" text the real export uses
+function auditStamp(user, isoDate) {
+    if (!user) return null;
+    const date = isoDate ? new Date(isoDate) : null;
+    if (!date || isNaN(date.getTime())) return user;
+
+    const pad = (n) => String(n).padStart(2, '0');
+    const hours = date.getUTCHours();
+    const hours12 = hours % 12 || 12;
+    return `${user} on ${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()} ` +
+        `${pad(hours12)}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${hours < 12 ? 'AM' : 'PM'}(UTC)`;
+}
+
+// Builds the export workbook for the given patients and resolves with an xlsx Buffer
+async function buildPatientWorkbook(patients) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'patient-mock-api';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Patients');
+    sheet.columns = EXPORT_COLUMNS.map((col) => ({
+        header: col.header,
+        width: 20,
+        style: col.numFmt ? { numFmt: col.numFmt } : undefined
+    }));
+
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { name: 'Calibri', size: 11, bold: true };
+    headerRow.eachCell((cell) => {
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFA6A6A6' } };
+    });
+
+    for (const patient of patients) {
+        sheet.addRow(EXPORT_COLUMNS.map((col) => {
+            const value = col.value ? col.value(patient) : null;
+            return value === undefined ? null : value;
+        }));
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    buildPatientWorkbook
+};
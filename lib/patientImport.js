@@ -0,0 +1,206 @@
+const ExcelJS = require('exceljs');
+const { PAYER_TYPES } = require('./patientSearch');
+
+// Normalized header -> patient field. Headers are lower-cased with anything in
+// parentheses and all non-alphanumerics removed, so "Date of Birth (MM/DD/YYYY)"
+// becomes "dateofbirth" and the columns of our own export map back cleanly.
+const HEADER_ALIASES = {
+    firstname: 'firstName',
+    lastname: 'lastName',
+    patientid: 'patientId',
+    teamname: 'teamName',
+    team: 'teamName',
+    dateofbirth: 'dateOfBirth',
+    dob: 'dateOfBirth',
+    payertype: 'payerType',
+    primarypayertype: 'payerType',
+    payerdisplayname: 'payerDisplayName',
+    primarypayer: 'payerDisplayName',
+    payername: 'payerDisplayName',
+    insurancepolicyname: 'payerDisplayName'
+};
+
+// Used when a file only carries the payer name (e.g. a re-uploaded export)
+const PAYER_TYPES_BY_NAME = {
+    medicare: 'Agency',
+    medicaid: 'Agency',
+    'self-pay': 'Self-Pay'
+};
+
+const SUPPORTED_TYPES = {
+    csv: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'],
+    xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+};
+
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+// Returns 'csv', 'xlsx' or null based on the file name first, then the mimetype
+function detectFileType(file) {
+    const name = (file.originalname || '').toLowerCase();
+    if (name.endsWith('.csv')) return 'csv';
+    if (name.endsWith('.xlsx')) return 'xlsx';
+    if (SUPPORTED_TYPES.xlsx.includes(file.mimetype)) return 'xlsx';
+    if (SUPPORTED_TYPES.csv.includes(file.mimetype)) return 'csv';
+    return null;
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF/LF line endings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Flattens the different shapes exceljs uses for cell values
+function cellToValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value;
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map((part) => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+        if (value.result !== undefined) return cellToValue(value.result);
+        return '';
+    }
+    return String(value);
+}
+
+async function readXlsxRows(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row) => {
+        const values = [];
+        for (let col = 1; col <= sheet.columnCount; col++) {
+            values.push(cellToValue(row.getCell(col).value));
+        }
+        rows.push(values);
+    });
+    return rows;
+}
+
+// Accepts YYYY-MM-DD, MM/DD/YYYY or a Date cell and returns YYYY-MM-DD (or null if invalid)
+function normalizeDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+    }
+    const text = String(value || '').trim();
+    let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match;
+    } else {
+        match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+        if (!match) return null;
+        [, month, day, year] = match;
+    }
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (isNaN(date.getTime()) || date.getUTCDate() !== Number(day)) return null;
+    return date.toISOString().split('T')[0];
+}
+
+// Parses an uploaded CSV/XLSX file into { headerErrors, rows: [{ row, patient, details }] }.
+// `row` is the 1-based spreadsheet row number so testers can find it in the file.
+async function parsePatientUpload(file, fileType) {
+    const table = fileType === 'xlsx'
+        ? await readXlsxRows(file.buffer)
+        : parseCsv(file.buffer.toString('utf8'));
+
+    const [headerRow = [], ...dataRows] = table;
+    const columns = headerRow.map((header) => HEADER_ALIASES[normalizeHeader(header)] || null);
+
+    const headerErrors = [];
+    for (const field of ['firstName', 'lastName', 'patientId', 'teamName', 'dateOfBirth']) {
+        if (!columns.includes(field)) headerErrors.push({ field, issue: 'column is missing' });
+    }
+
+    const rows = [];
+    dataRows.forEach((values, index) => {
+        // skip completely empty lines (trailing newlines, blank spreadsheet rows)
+        if (values.every((v) => v === '' || v === null || v === undefined)) return;
+
+        const raw = {};
+        columns.forEach((field, col) => {
+            if (field && raw[field] === undefined) raw[field] = values[col];
+        });
+
+        const details = [];
+        const text = (v) => (v instanceof Date ? v.toISOString().split('T')[0] : String(v || '').trim());
+        const patient = {
+            firstName: text(raw.firstName),
+            lastName: text(raw.lastName),
+            patientId: text(raw.patientId),
+            teamName: text(raw.teamName),
+            dateOfBirth: text(raw.dateOfBirth)
+        };
+
+        if (patient.dateOfBirth) {
+            const dob = normalizeDate(raw.dateOfBirth);
+            if (dob) {
+                patient.dateOfBirth = dob;
+            } else {
+                details.push({ field: 'dateOfBirth', issue: 'must be a valid date (YYYY-MM-DD or MM/DD/YYYY)' });
+            }
+        }
+
+        const payerDisplayName = text(raw.payerDisplayName);
+        const payerTypeText = text(raw.payerType);
+        // payer types are matched case-insensitively ("self-pay" -> "Self-Pay")
+        const payerType = payerTypeText && PAYER_TYPES.find((type) => type.toLowerCase() === payerTypeText.toLowerCase());
+        if (payerTypeText && !payerType) {
+            details.push({ field: 'payerType', issue: `must be one of: ${PAYER_TYPES.join(', ')}` });
+        } else if (payerDisplayName || payerType) {
+            patient.primaryPayer = {
+                payerType: payerType || PAYER_TYPES_BY_NAME[payerDisplayName.toLowerCase()] || 'Insurance',
+                payerDisplayName: payerDisplayName || payerType
+            };
+        }
+
+        rows.push({ row: index + 2, patient, details });
+    });
+
+    return { headerErrors, rows };
+}
+
+module.exports = {
+    detectFileType,
+    parsePatientUpload
+};
@@ -0,0 +1,212 @@
+const { all, run } = require('./db');
+const { LIVE_PATIENT_SQL } = require('./patientTrash');
+
+// Query building for the V2 patient search (GET /api/patients/:shipToId) and the patient downloads:
+// full-text `q` (FTS5, ranked by relevance), filter chips (team, payer, date of birth and created date ranges),
+// multi-key sorting and field projection.
+
+// missing values sort as '' so cursor comparisons (lib/pagination.js) never meet a NULL
+const SORT_COLUMNS = {
+    FIRST_NAME: "COALESCE(firstName, '')",
+    LAST_NAME: "COALESCE(lastName, '')",
+    PATIENT_ID: "COALESCE(patientId, '')",
+    TEAM: "COALESCE(teamName, '')",
+    DATE_OF_BIRTH: "COALESCE(dateOfBirth, '')",
+    CREATED_AT: "COALESCE(json_extract(metadata, '$.createdAt'), '')"
+};
+const SORT_DIRECTIONS = ['ASC', 'DESC'];
+// Every payer type a patient can carry (PayerRef in swagger.yaml); uploads and /api/admin/generate stick to them
+const PAYER_TYPES = ['Agency', 'Insurance', 'Self-Pay'];
+// Patient properties selectable with `fields`; patientKey is always returned
+const PATIENT_FIELDS = ['patientKey', 'guid', 'patientId', 'firstName', 'lastName', 'dateOfBirth', 'teamName', 'primaryPayer', 'metadata'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Columns of the patients_fts index (migration 008), in index order
+const SEARCH_COLUMNS = ['firstName', 'lastName', 'patientId', 'teamName'];
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+// "john smi" -> '"john"* "smi"*': every word must match the start of a token in some indexed column (no typo tolerance).
+// Returns null when the text has no words.
+function toMatchExpression(q) {
+    const words = String(q || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    return words.length > 0 ? words.map((word) => `"${word}"*`).join(' ') : null;
+}
+
+// Keeps the patients matching a toMatchExpression (its only parameter)
+const SEARCH_MATCH_SQL = 'rowid IN (SELECT rowid FROM patients_fts WHERE patients_fts MATCH ?)';
+
+// "A,B" and repeated parameters (?teamName=A&teamName=B) both become ['A', 'B']
+function listParam(value) {
+    if (value === undefined) return null;
+    return [].concat(value).flatMap((v) => String(v).split(',')).map((v) => v.trim()).filter(Boolean);
+}
+
+const isDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+// createdFrom/createdTo take a date (whole day) or a date-time; returns the ISO bound or null when invalid
+function createdBound(value, endOfDay) {
+    if (isDate(value)) return `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+    const time = Date.parse(value);
+    return /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(time) ? new Date(time).toISOString() : null;
+}
+
+// Builds the WHERE clause, the sort keys (see lib/pagination.js) and the projected fields from shipToId and the
+// search query parameters.
+// Returns { details } instead when a parameter is invalid.
+function buildPatientQuery(query, shipToId, { lenientShipToScoping = false } = {}) {
+    const details = [];
+    // soft-deleted patients are only listed in the trash
+    const where = [LIVE_PATIENT_SQL];
+    const params = [];
+    if (!lenientShipToScoping) {
+        where.push('shipToId = ?');
+        params.push(shipToId);
+    }
+
+    const match = toMatchExpression(query.q);
+    if (match) {
+        where.push(SEARCH_MATCH_SQL);
+        params.push(match);
+    }
+
+    const inList = (column, values) => {
+        where.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+        params.push(...values);
+    };
+
+    const teamNames = listParam(query.teamName);
+    if (teamNames) {
+        if (teamNames.length === 0) details.push({ field: 'teamName', issue: 'must not be empty' });
+        else inList('LOWER(teamName)', teamNames.map((t) => t.toLowerCase()));
+    }
+
+    const payerTypes = listParam(query.payerType);
+    if (payerTypes) {
+        if (payerTypes.length === 0 || payerTypes.some((t) => !PAYER_TYPES.includes(t))) {
+            details.push({ field: 'payerType', issue: `must be one of: ${PAYER_TYPES.join(', ')}` });
+        } else {
+            inList("json_extract(primaryPayer, '$.payerType')", payerTypes);
+        }
+    }
+
+    const payerNames = listParam(query.payerName);
+    if (payerNames) {
+        if (payerNames.length === 0) details.push({ field: 'payerName', issue: 'must not be empty' });
+        else inList("LOWER(json_extract(primaryPayer, '$.payerDisplayName'))", payerNames.map((n) => n.toLowerCase()));
+    }
+
+    const dobFrom = query.dateOfBirthFrom;
+    const dobTo = query.dateOfBirthTo;
+    for (const [field, value, operator] of [['dateOfBirthFrom', dobFrom, '>='], ['dateOfBirthTo', dobTo, '<=']]) {
+        if (value === undefined) continue;
+        if (!isDate(String(value))) {
+            details.push({ field, issue: 'must be a date (YYYY-MM-DD)' });
+        } else {
+            where.push(`dateOfBirth ${operator} ?`);
+            params.push(String(value));
+        }
+    }
+    if (isDate(String(dobFrom)) && isDate(String(dobTo)) && dobFrom > dobTo) {
+        details.push({ field: 'dateOfBirthFrom', issue: 'must not be after dateOfBirthTo' });
+    }
+
+    const created = {};
+    for (const [field, endOfDay, operator] of [['createdFrom', false, '>='], ['createdTo', true, '<=']]) {
+        if (query[field] === undefined) continue;
+        created[field] = createdBound(String(query[field]), endOfDay);
+        if (!created[field]) {
+            details.push({ field, issue: 'must be a date (YYYY-MM-DD) or an ISO date-time' });
+        } else {
+            where.push(`json_extract(metadata, '$.createdAt') ${operator} ?`);
+            params.push(created[field]);
+        }
+    }
+    if (created.createdFrom && created.createdTo && created.createdFrom > created.createdTo) {
+        details.push({ field: 'createdFrom', issue: 'must not be after createdTo' });
+    }
+
+    // sortBy=TEAM,LAST_NAME&sortDir=ASC,DESC; one direction applies to every key
+    const sortBy = listParam(query.sortBy) || ['FIRST_NAME'];
+    const sortDir = (listParam(query.sortDir) || ['ASC']).map((d) => d.toUpperCase());
+    if (sortBy.length === 0 || sortBy.some((key) => !SORT_COLUMNS[key])) {
+        details.push({ field: 'sortBy', issue: `must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}` });
+    } else if (new Set(sortBy).size !== sortBy.length) {
+        details.push({ field: 'sortBy', issue: 'must not repeat a field' });
+    }
+    if (sortDir.length === 0 || sortDir.some((d) => !SORT_DIRECTIONS.includes(d))) {
+        details.push({ field: 'sortDir', issue: `must be one of: ${SORT_DIRECTIONS.join(', ')}` });
+    } else if (sortDir.length > 1 && sortDir.length !== sortBy.length) {
+        details.push({ field: 'sortDir', issue: 'must be one direction, or one per sortBy field' });
+    }
+
+    if (query.highlight !== undefined && !['true', 'false'].includes(String(query.highlight))) {
+        details.push({ field: 'highlight', issue: 'must be true or false' });
+    }
+
+    let fields = null;
+    const requested = listParam(query.fields);
+    if (requested) {
+        if (requested.length === 0 || requested.some((f) => !PATIENT_FIELDS.includes(f))) {
+            details.push({ field: 'fields', issue: `must be a comma separated list of: ${PATIENT_FIELDS.join(', ')}` });
+        } else {
+            fields = ['patientKey', ...requested.filter((f) => f !== 'patientKey')];
+        }
+    }
+
+    if (details.length > 0) return { details };
+
+    // text searches without an explicit sortBy list the best matches first. bm25 scores depend on the whole index and
+    // shift as patients are written, so cursors over this order are best-effort (a row may repeat or be skipped).
+    const sortKeys = match && query.sortBy === undefined
+        ? [{ expression: '(SELECT rank FROM patients_fts WHERE patients_fts MATCH ? AND rowid = patients.rowid)', params: [match], direction: 'ASC' }]
+        : sortBy.map((key, i) => ({ expression: SORT_COLUMNS[key], direction: sortDir[sortDir.length > 1 ? i : 0] }));
+    return {
+        whereClause: where.length > 0 ? 'WHERE ' + where.join(' AND ') : '',
+        params,
+        // patientKey keeps pages stable when the sort columns have duplicates
+        sortKeys: [...sortKeys, { expression: 'patientKey', direction: 'ASC' }],
+        match,
+        highlight: String(query.highlight) === 'true',
+        fields
+    };
+}
+
+// Re-indexes every patient. patients_fts follows the implicit rowid of patients (a TEXT primary key), which VACUUM
+// may renumber, so the server rebuilds the index whenever it starts.
+const rebuildSearchIndex = (db) => run(db, "INSERT INTO patients_fts (patients_fts) VALUES ('rebuild')");
+
+// Resolves with { patientKey: { field: 'text with <mark>matched</mark> words' } } for the given patients,
+// listing only the indexed fields the match expression hit
+async function findHighlights(db, match, patientKeys) {
+    if (!match || patientKeys.length === 0) return {};
+    const marked = SEARCH_COLUMNS.map((column, i) => `highlight(patients_fts, ${i}, ?, ?) AS ${column}`).join(', ');
+    const rows = await all(db, `
+        SELECT patients.patientKey, ${marked}
+        FROM patients_fts JOIN patients ON patients.rowid = patients_fts.rowid
+        WHERE patients_fts MATCH ? AND patients.patientKey IN (${patientKeys.map(() => '?').join(', ')})`,
+    [...SEARCH_COLUMNS.flatMap(() => [HIGHLIGHT_START, HIGHLIGHT_END]), match, ...patientKeys]);
+
+    return Object.fromEntries(rows.map((row) => [row.patientKey, Object.fromEntries(SEARCH_COLUMNS
+        .filter((column) => typeof row[column] === 'string' && row[column].includes(HIGHLIGHT_START))
+        .map((column) => [column, row[column]]))]));
+}
+
+// Keeps only the projected properties of a patient (all of them when `fields` is null)
+function projectPatient(patient, fields) {
+    if (!fields) return patient;
+    return Object.fromEntries(fields.filter((field) => patient[field] !== undefined).map((field) => [field, patient[field]]));
+}
+
+module.exports = {
+    SORT_COLUMNS,
+    PAYER_TYPES,
+    PATIENT_FIELDS,
+    SEARCH_MATCH_SQL,
+    toMatchExpression,
+    buildPatientQuery,
+    projectPatient,
+    rebuildSearchIndex,
+    findHighlights
+};
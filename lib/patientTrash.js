@@ -0,0 +1,106 @@
+const { all, get, run } = require('./db');
+const { fetchPage } = require('./pagination');
+const { PATIENT_VERSION_SQL, patientVersion } = require('./concurrency');
+
+// Soft delete for patients (column deletedAt, migration 011). In soft-delete mode a delete only stamps the row with a
+// tombstone; the patient drops out of every read but sits in its ship-to's trash until it is undeleted, purged, or
+// its tombstone is older than the retention period. Without soft delete, deletes remove the row as before.
+
+// Appended to patient queries so tombstoned rows stay invisible
+const LIVE_PATIENT_SQL = 'deletedAt IS NULL';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// most recently deleted first; patientKey breaks ties
+const TRASH_SORT_KEYS = [{ expression: 'deletedAt', direction: 'DESC' }, { expression: 'patientKey', direction: 'DESC' }];
+
+function createPatientTrash(db, { softDelete = false, retentionDays = 30 } = {}) {
+    // When a tombstone expires
+    const purgeAt = (deletedAt) => new Date(Date.parse(deletedAt) + retentionDays * DAY_MS).toISOString();
+
+    // Deletes a live patient, only while it is still at `version` when one is given (through `connection` inside a
+    // transaction). Resolves with the number of rows changed: 0 when the patient is gone or was written concurrently.
+    async function remove(patientKey, version = null, connection = db) {
+        const guard = version === null ? '' : ` AND ${PATIENT_VERSION_SQL} = ?`;
+        const params = version === null ? [patientKey] : [patientKey, version];
+        const { changes } = softDelete
+            ? await run(connection, `UPDATE patients SET deletedAt = ? WHERE patientKey = ? AND ${LIVE_PATIENT_SQL}${guard}`,
+                [new Date().toISOString(), ...params])
+            : await run(connection, `DELETE FROM patients WHERE patientKey = ? AND ${LIVE_PATIENT_SQL}${guard}`, params);
+        return changes;
+    }
+
+    // Deletes every live patient; without soft delete the trash is emptied too.
+    // Resolves with { removed, purged }: the live rows deleted and the tombstones purged.
+    async function removeAll() {
+        const removed = await all(db, `SELECT * FROM patients WHERE ${LIVE_PATIENT_SQL}`);
+        if (softDelete) {
+            await run(db, `UPDATE patients SET deletedAt = ? WHERE ${LIVE_PATIENT_SQL}`, [new Date().toISOString()]);
+            return { removed, purged: [] };
+        }
+        const purged = await all(db, 'SELECT * FROM patients WHERE deletedAt IS NOT NULL');
+        await run(db, 'DELETE FROM patients');
+        return { removed, purged };
+    }
+
+    // The tombstoned row, or undefined when the patient is live or unknown
+    const findDeleted = (patientKey) => get(db, 'SELECT * FROM patients WHERE patientKey = ? AND deletedAt IS NOT NULL', [patientKey]);
+
+    // One page of the trash, of one ship-to or (shipToId null) of all. Resolves with { total, rows, nextCursor, prevCursor }.
+    async function list(shipToId, { cursor = null, limit, offset = 0 }) {
+        const where = ['deletedAt IS NOT NULL'];
+        const params = [];
+        if (shipToId !== null) {
+            where.push('shipToId = ?');
+            params.push(shipToId);
+        }
+        const whereClause = 'WHERE ' + where.join(' AND ');
+        const { total } = await get(db, `SELECT COUNT(*) AS total FROM patients ${whereClause}`, params);
+        const page = await fetchPage(db, { table: 'patients', whereClause, params, sortKeys: TRASH_SORT_KEYS, cursor, limit, offset });
+        return { total, ...page };
+    }
+
+    // patientKeys of the whole trash, of one ship-to or (shipToId null) of all
+    async function deletedKeys(shipToId) {
+        const rows = shipToId === null
+            ? await all(db, 'SELECT patientKey FROM patients WHERE deletedAt IS NOT NULL')
+            : await all(db, 'SELECT patientKey FROM patients WHERE deletedAt IS NOT NULL AND shipToId = ?', [shipToId]);
+        return rows.map((row) => row.patientKey);
+    }
+
+    // Brings a tombstoned patient back as a new version. Resolves with the number of rows changed (0 when not in the trash).
+    async function undelete(patientKey) {
+        const row = await findDeleted(patientKey);
+        if (!row) return 0;
+        const current = row.metadata ? JSON.parse(row.metadata) : {};
+        const metadata = { ...current, updatedAt: new Date().toISOString(), updatedBy: 'undelete', version: patientVersion(current) + 1 };
+        const { changes } = await run(db, 'UPDATE patients SET deletedAt = NULL, metadata = ? WHERE patientKey = ? AND deletedAt = ?',
+            [JSON.stringify(metadata), patientKey, row.deletedAt]);
+        return changes;
+    }
+
+    // Removes a tombstoned patient for good; resolves with the number of rows removed (0 when not in the trash)
+    async function purge(patientKey) {
+        const { changes } = await run(db, 'DELETE FROM patients WHERE patientKey = ? AND deletedAt IS NOT NULL', [patientKey]);
+        return changes;
+    }
+
+    // Purges every tombstone older than the retention period; resolves with the rows purged
+    async function purgeExpired(now = Date.now()) {
+        const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+        const expired = await all(db, 'SELECT * FROM patients WHERE deletedAt IS NOT NULL AND deletedAt <= ?', [cutoff]);
+        const purged = [];
+        for (const row of expired) {
+            // skipped when undeleted in the meantime
+            const { changes } = await run(db, 'DELETE FROM patients WHERE patientKey = ? AND deletedAt = ?', [row.patientKey, row.deletedAt]);
+            if (changes > 0) purged.push(row);
+        }
+        return purged;
+    }
+
+    return { softDelete, retentionDays, purgeAt, remove, removeAll, findDeleted, list, deletedKeys, undelete, purge, purgeExpired };
+}
+
+module.exports = {
+    LIVE_PATIENT_SQL,
+    TRASH_SORT_KEYS,
+    createPatientTrash
+};
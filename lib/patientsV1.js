@@ -0,0 +1,259 @@
+const { randomUUID } = require('crypto');
+const { all, get, run } = require('./db');
+const { patientVersion } = require('./concurrency');
+const { LIVE_PATIENT_SQL } = require('./patientTrash');
+
+// Legacy /api/v1/patients resource, stored in the same patients table as the V2 search API.
+// `team.name` maps onto teamName; the V1-only fields were added by migration 007.
+
+const V1_STATUSES = ['ACTIVE', 'DISCHARGED', 'PENDING'];
+const V1_SORT_COLUMNS = {
+    firstName: 'firstName',
+    lastName: 'lastName',
+    dateOfBirth: 'dateOfBirth',
+    admissionDate: 'admissionDate',
+    email: 'email',
+    status: 'status'
+};
+const V1_OBJECT_FIELDS = ['insurance', 'team', 'agency', 'lastOrder', 'address'];
+const V1_STRING_FIELDS = ['firstName', 'lastName', 'dateOfBirth', 'admissionDate', 'email'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function parseJson(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+function rowToPatientV1(row) {
+    if (!row) return null;
+    const metadata = parseJson(row.metadata) || {};
+    return {
+        id: row.patientKey,
+        firstName: row.firstName,
+        lastName: row.lastName,
+        dateOfBirth: row.dateOfBirth,
+        email: row.email,
+        status: row.status,
+        isPinned: row.isPinned === 1,
+        admissionDate: row.admissionDate,
+        insurance: parseJson(row.insurance),
+        team: row.teamName ? { name: row.teamName } : null,
+        agency: parseJson(row.agency),
+        lastOrder: parseJson(row.lastOrder),
+        address: parseJson(row.address),
+        metadata: { createdAt: metadata.createdAt || null, updatedAt: metadata.updatedAt || metadata.createdAt || null }
+    };
+}
+
+// Validates a V1 patient body. `partial` (PATCH) only checks the fields that are present.
+// Returns { fields } with the writable fields found in the body, or { details }.
+// id and metadata are read-only and ignored, so a fetched patient can be sent back as-is.
+function normalizePatientV1(input, { partial = false } = {}) {
+    if (!isObject(input)) return { details: [{ field: 'body', issue: 'must be a patient object' }] };
+    const details = [];
+    const fields = {};
+
+    for (const field of V1_STRING_FIELDS) {
+        const value = input[field];
+        if (value === undefined) continue;
+        if (value !== null && typeof value !== 'string') {
+            details.push({ field, issue: 'must be a string' });
+        } else {
+            fields[field] = value;
+        }
+    }
+    if (!partial || 'firstName' in input) {
+        if (typeof input.firstName !== 'string' || input.firstName.trim() === '') details.push({ field: 'firstName', issue: 'is required' });
+    }
+    if (!partial || 'lastName' in input) {
+        if (typeof input.lastName !== 'string' || input.lastName.trim() === '') details.push({ field: 'lastName', issue: 'is required' });
+    }
+    if (typeof fields.email === 'string' && fields.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) {
+        details.push({ field: 'email', issue: 'must be an email address' });
+    }
+
+    if (input.status !== undefined) {
+        if (!V1_STATUSES.includes(input.status)) {
+            details.push({ field: 'status', issue: `must be one of: ${V1_STATUSES.join(', ')}` });
+        } else {
+            fields.status = input.status;
+        }
+    }
+    if (input.isPinned !== undefined) {
+        if (typeof input.isPinned !== 'boolean') {
+            details.push({ field: 'isPinned', issue: 'must be a boolean' });
+        } else {
+            fields.isPinned = input.isPinned;
+        }
+    }
+
+    for (const field of V1_OBJECT_FIELDS) {
+        const value = input[field];
+        if (value === undefined) continue;
+        if (value !== null && !isObject(value)) {
+            details.push({ field, issue: 'must be an object' });
+        } else if (field === 'team' && value && value.name !== undefined && typeof value.name !== 'string') {
+            details.push({ field: 'team.name', issue: 'must be a string' });
+        } else {
+            fields[field] = value;
+        }
+    }
+
+    return details.length > 0 ? { details } : { fields };
+}
+
+// WHERE / ORDER BY / paging for the V1 list from q, status, isPinned, sortBy, sortMethod, pageNo and pageSize.
+// Returns { details } instead when a parameter is invalid.
+function buildPatientV1Query(query) {
+    const details = [];
+    const where = [LIVE_PATIENT_SQL];
+    const params = [];
+
+    const q = String(query.q || '').trim().toLowerCase();
+    if (q) {
+        // "Name, Email, Guid": first, last or full name, email, guid or the id itself
+        where.push(`(LOWER(firstName) LIKE ? OR LOWER(lastName) LIKE ? OR LOWER(firstName || ' ' || lastName) LIKE ?
+            OR LOWER(email) LIKE ? OR LOWER(guid) LIKE ? OR LOWER(patientKey) LIKE ?)`);
+        const like = `%${q}%`;
+        params.push(like, like, like, like, like, like);
+    }
+
+    if (query.status !== undefined) {
+        const statuses = String(query.status).split(',').map((s) => s.trim().toUpperCase()).filter(Boolean);
+        if (statuses.length === 0 || statuses.some((s) => !V1_STATUSES.includes(s))) {
+            details.push({ field: 'status', issue: `must be one of: ${V1_STATUSES.join(', ')} (comma separated)` });
+        } else {
+            where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+            params.push(...statuses);
+        }
+    }
+
+    if (query.isPinned !== undefined) {
+        if (!['true', 'false'].includes(String(query.isPinned))) {
+            details.push({ field: 'isPinned', issue: 'must be true or false' });
+        } else {
+            where.push('isPinned = ?');
+            params.push(String(query.isPinned) === 'true' ? 1 : 0);
+        }
+    }
+
+    const sortBy = query.sortBy || 'firstName';
+    if (!V1_SORT_COLUMNS[sortBy]) {
+        details.push({ field: 'sortBy', issue: `must be one of: ${Object.keys(V1_SORT_COLUMNS).join(', ')}` });
+    }
+    const sortMethod = String(query.sortMethod || 'asc').toLowerCase();
+    if (!['asc', 'desc'].includes(sortMethod)) {
+        details.push({ field: 'sortMethod', issue: 'must be asc or desc' });
+    }
+
+    const pageNo = query.pageNo === undefined ? 1 : Number(query.pageNo);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+    if (!Number.isInteger(pageNo) || pageNo < 1) details.push({ field: 'pageNo', issue: 'must be a positive integer' });
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        details.push({ field: 'pageSize', issue: `must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    if (details.length > 0) return { details };
+    return {
+        whereClause: where.length > 0 ? 'WHERE ' + where.join(' AND ') : '',
+        params,
+        // patientKey keeps pages stable when the sort column has duplicates
+        orderBy: `${V1_SORT_COLUMNS[sortBy]} COLLATE NOCASE ${sortMethod.toUpperCase()}, patientKey`,
+        pageNo,
+        pageSize
+    };
+}
+
+// Column values for the writable V1 fields present in `fields`
+function toColumns(fields) {
+    const columns = {};
+    for (const field of V1_STRING_FIELDS) {
+        if (field in fields) columns[field] = fields[field];
+    }
+    if ('status' in fields) columns.status = fields.status;
+    if ('isPinned' in fields) columns.isPinned = fields.isPinned ? 1 : 0;
+    if ('team' in fields) columns.teamName = fields.team ? fields.team.name || null : null;
+    for (const field of ['insurance', 'agency', 'lastOrder', 'address']) {
+        if (field in fields) columns[field] = fields[field] ? JSON.stringify(fields[field]) : null;
+    }
+    return columns;
+}
+
+// Every writable field, for a full replacement (PUT): omitted fields are cleared, not kept
+const EMPTY_FIELDS = {
+    dateOfBirth: null, admissionDate: null, email: null, status: 'ACTIVE', isPinned: false,
+    insurance: null, team: null, agency: null, lastOrder: null, address: null
+};
+
+// `trash` (lib/patientTrash.js) decides whether deletes leave a tombstone
+function createPatientV1Store(db, { trash }) {
+    async function find(id) {
+        return rowToPatientV1(await get(db, `SELECT * FROM patients WHERE patientKey = ? AND ${LIVE_PATIENT_SQL}`, [id]));
+    }
+
+    async function list(query) {
+        const { whereClause, params, orderBy, pageNo, pageSize } = query;
+        const { total } = await get(db, `SELECT COUNT(*) AS total FROM patients ${whereClause}`, params);
+        const rows = await all(db, `SELECT * FROM patients ${whereClause} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+            [...params, pageSize, (pageNo - 1) * pageSize]);
+        return {
+            data: rows.map(rowToPatientV1),
+            totalRecords: total,
+            pageNo,
+            // spelling kept from the original V1 contract
+            curentPageSize: rows.length,
+            pagesCount: Math.ceil(total / pageSize)
+        };
+    }
+
+    async function create(fields, { shipToId, patientId } = {}) {
+        const patientKey = randomUUID();
+        const createdAt = new Date().toISOString();
+        const columns = {
+            patientKey,
+            guid: patientKey.replace(/-/g, '').toUpperCase(),
+            patientId: patientId || Math.floor(Math.random() * 100000000).toString().padStart(8, '0'),
+            shipToId: shipToId || 'DEFAULT',
+            ...toColumns({ ...EMPTY_FIELDS, ...fields }),
+            metadata: JSON.stringify({ createdAt, createdBy: 'api-v1', updatedAt: createdAt, updatedBy: 'api-v1', version: 1 })
+        };
+        const names = Object.keys(columns);
+        await run(db, `INSERT INTO patients (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`, Object.values(columns));
+        return find(patientKey);
+    }
+
+    // Writes the given fields, stamps metadata.updatedAt and bumps metadata.version (the V2 ETag);
+    // resolves with the patient or null when it does not exist
+    async function update(id, fields) {
+        const row = await get(db, `SELECT metadata FROM patients WHERE patientKey = ? AND ${LIVE_PATIENT_SQL}`, [id]);
+        if (!row) return null;
+
+        const updatedAt = new Date().toISOString();
+        const current = parseJson(row.metadata) || {};
+        const metadata = { ...current, updatedAt, updatedBy: 'api-v1', version: patientVersion(current) + 1 };
+        const columns = { ...toColumns(fields), metadata: JSON.stringify(metadata) };
+        const assignments = Object.keys(columns).map((name) => `${name} = ?`).join(', ');
+        await run(db, `UPDATE patients SET ${assignments} WHERE patientKey = ? AND ${LIVE_PATIENT_SQL}`, [...Object.values(columns), id]);
+        return find(id);
+    }
+
+    const replace = (id, fields) => update(id, { ...EMPTY_FIELDS, ...fields });
+
+    const remove = (id) => trash.remove(id);
+
+    return { find, list, create, update, replace, remove };
+}
+
+module.exports = {
+    V1_STATUSES,
+    normalizePatientV1,
+    buildPatientV1Query,
+    createPatientV1Store
+};
@@ -0,0 +1,308 @@
+const { randomInt } = require('crypto');
+const { get, all, run } = require('./db');
+
+// Persona used when a request names none (the old single 'global' privilege row)
+const DEFAULT_PERSONA_ID = 'global';
+
+// Per-request persona selection, in order of precedence (then the token subject, then the default)
+const PERSONA_HEADER = 'X-Mock-Persona';
+const PERSONA_COOKIE = 'mockPersona';
+
+const DEFAULT_PRIVILEGES = [
+    "ViewItemFormularyFlag",
+    "EditPatient",
+    "CustomerSelfAdminView",
+    "DisplayShipmentNotification",
+    "viewBackOrderedItems",
+    "CreateOrder",
+    "ViewNonFormularyItemsInCatalog",
+    "ViewItemPrice",
+    "WarnDefaultItemPricingView",
+    "BudgetAdmin",
+    "EnablePPDDesignation",
+    "addOSIPriceIssue",
+    "addOSIDamage",
+    "ViewItemAvailability",
+    "addOSIWrongItem",
+    "MaintainOrgDropShips",
+    "CreateReturn",
+    "ApplyDropShipToOrder",
+    "cfaSupplyChain",
+    "MaintainFormularyGlobal",
+    "trackPointPatientCharges",
+    "addAdvancedSearch",
+    "ViewPatient",
+    "EditClinician",
+    "searchOSIMedline",
+    "addEmbroidery",
+    "MaintainReverseFormularyGlobal",
+    "addOSIShortage",
+    "AllowRushFreight",
+    "addItemConversion",
+    "NavigateToInsight",
+    "ViewAllCliniciansByAccount",
+    "ViewProductAlternates",
+    "ViewItemContractPriceFlag",
+    "NavigateToFRAT",
+    "cfaHomecareGeneral",
+    "addOSIMedline",
+    "CreateAnotherClinicianOrder",
+    "ManageRecurringOrders",
+    "DisplayDownloadFormularyLink",
+    "ManagePiggyBackLabels",
+    "viewItemProductDetailTable",
+    "CreateConsignment",
+    "NavigateToCFA",
+    "DownloadPatient",
+    "SubmitOrder",
+    "addProdAllocationExport",
+    "ManageCustomerDrivenRerouteRequest",
+    "ViewGLCodes",
+    "addProdAllocationList",
+    "ViewRecurringOrders",
+    "viewOrderFreightStatus",
+    "ViewOrders",
+    "MaintainOrgTemplates",
+    "MaintainGLCodeGlobal",
+    "UploadPatient",
+    "ViewInvoices",
+    "NavigateToParscan",
+    "FileUpload",
+    "ViewCmir",
+    "trackPointEnabled",
+    "MaintainCmir",
+    "ViewPPDBudget",
+    "ManageNotificationPreference",
+    "trackPointInventoryManagement",
+    "CustomerSelfAdminRule",
+    "ViewClinician",
+    "CustomerSelfAdminEdit",
+    "ViewItemAllocationStatus",
+    "NavigationToXRefSearch",
+    "AccessOrdersCreatedByUser",
+    "ViewReturns",
+    "AccessOrdersByAccountAccess",
+    "EditOrderPO",
+    "ManageSharedTemplate",
+    "BillPayView",
+    "addOSIOverage",
+    "InvoiceVerifier",
+    "MaintainFormularyByAccount",
+    "ViewMaskedData",
+    "ManageEmbroideryDigitizationRequest",
+    "HH_EDPO",
+    "RS_ENLD",
+    "BD_MNGE",
+    "FM_ACCTGRP",
+    "FR_ENLD",
+    "BO_STAND",
+    "SA_STAND",
+    "BP_MNGE",
+    "FT_ENLD",
+    "DS_MORD",
+    "IA_CUSD",
+    "UM_ORULE",
+    "OH_SHIC",
+    "SL_SHARE",
+    "IC_ENLD",
+    "UP_STAND",
+    "OL_DUIC",
+    "CA_ENLD",
+    "CD_STAND",
+    "IL_FULL",
+    "GL_ACCTGRP",
+    "EL_MNGE",
+    "IS_ENLD",
+    "CM_STAND",
+    "CO_ENLD",
+    "IV_VERIF",
+    "CR_MNGE",
+    "CS_STAND",
+    "RD_MNGE",
+    "PC_ENLD",
+    "TP_STAND",
+    "PL_ENLD",
+    "PM_STAND",
+    "RO_STAND",
+    "DA_CUST"
+];
+
+// The original AUTO_HH_RW user; the other default personas are variations of it
+const DEFAULT_USER_CONTEXT = {
+    "details": {
+        "id": "11369805630",
+        "username": "AUTO_HH_RW",
+        "accountLinkedFilterEnabled": true,
+        "lastName": "User 01",
+        "orderOptions": {
+            "reference1Enabled": true,
+            "reference2Enabled": true,
+            "defaultShipTo": "Branch",
+            "defaultPackagedFor": "Branch"
+        },
+        "numberOfFacilities": 19329,
+        "maxAllowedCreditCards": 10,
+        "activeFacilityName": "NORTHWEST MEDICAL CENTER-AZ",
+        "firstName": "Test HomeHealth 1",
+        "emailAddress": "kgovlxwd@medline.com",
+        "formularyFilterSettings": {
+            "checkedByDefault": false,
+            "enabled": true
+        },
+        "invoiceOrdering": "Permitted",
+        "daysToSearchForRecentOrders": "1",
+        "mobileTermsOfUse": true,
+        "creditCardOrdering": "Permitted",
+        "contactPhoneNumber": "999-866-6945",
+        "sessionTimeout": 30,
+        "userType": "STANDARD",
+        "internalAuthentication": false
+    },
+    "organization": {
+        "id": "245673",
+        "name": "Internal Testing - Home Health",
+        "orgVisibilities": [
+            "CSAEnabled",
+            "externalOrdering",
+            "simulation"
+        ]
+    }
+};
+
+const without = (...names) => DEFAULT_PRIVILEGES.filter((privilege) => !names.includes(privilege));
+
+const variant = (details) => ({
+    details: { ...DEFAULT_USER_CONTEXT.details, ...details },
+    organization: DEFAULT_USER_CONTEXT.organization
+});
+
+const DEFAULT_PERSONAS = [
+    {
+        id: DEFAULT_PERSONA_ID,
+        name: 'Home Health user (read/write)',
+        ...DEFAULT_USER_CONTEXT,
+        privileges: DEFAULT_PRIVILEGES
+    },
+    {
+        id: 'readonly-clinician',
+        name: 'Read-only clinician',
+        ...variant({ id: '11369805631', username: 'AUTO_HH_RO', firstName: 'Test Clinician', lastName: 'Read Only', emailAddress: 'auto_hh_ro@example.com' }),
+        privileges: without('EditPatient', 'UploadPatient', 'DownloadPatient', 'HH_EDPO')
+    },
+    {
+        id: 'admin',
+        name: 'Internal admin',
+        ...variant({ id: '11369805632', username: 'AUTO_HH_ADMIN', firstName: 'Test Admin', lastName: 'User 01', emailAddress: 'auto_hh_admin@example.com', internalAuthentication: true }),
+        privileges: DEFAULT_PRIVILEGES
+    },
+    {
+        id: 'no-view-patient',
+        name: 'User without ViewPatient',
+        ...variant({ id: '11369805633', username: 'AUTO_HH_NOVIEW', firstName: 'Test NoView', lastName: 'User 01', emailAddress: 'auto_hh_noview@example.com' }),
+        privileges: without('ViewPatient')
+    }
+];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Validates a persona payload and fills in defaults. Returns { persona } or { details }.
+function normalizePersona(input, id) {
+    const body = input || {};
+    const details = [];
+
+    const persona = {
+        id: id || body.id,
+        name: typeof body.name === 'string' ? body.name.trim() : '',
+        details: body.details,
+        organization: body.organization === undefined ? {} : body.organization,
+        privileges: body.privileges === undefined ? DEFAULT_PRIVILEGES : body.privileges
+    };
+
+    if (typeof persona.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(persona.id)) {
+        details.push({ field: 'id', issue: 'must be 1-64 letters, digits, "-" or "_"' });
+    }
+    if (!persona.name) details.push({ field: 'name', issue: 'is required' });
+    if (!isObject(persona.details)) {
+        details.push({ field: 'details', issue: 'must be an object' });
+    } else {
+        for (const field of ['id', 'username']) {
+            if (typeof persona.details[field] !== 'string' || persona.details[field].trim() === '') {
+                details.push({ field: `details.${field}`, issue: 'is required' });
+            }
+        }
+    }
+    if (!isObject(persona.organization)) details.push({ field: 'organization', issue: 'must be an object' });
+    if (!Array.isArray(persona.privileges) || persona.privileges.some((p) => typeof p !== 'string')) {
+        details.push({ field: 'privileges', issue: 'must be an array of strings' });
+    }
+
+    return details.length > 0 ? { details } : { persona };
+}
+
+// 11-digit user id for clones, so a token subject still identifies exactly one persona
+const newSubject = () => String(randomInt(10000000000, 99999999999));
+
+// Personas live in the personas table; their privileges in auth_privileges under the persona id
+function createPersonaStore(db) {
+    const toPersona = (row) => row && {
+        id: row.id,
+        name: row.name,
+        details: JSON.parse(row.details),
+        organization: JSON.parse(row.organization),
+        privileges: row.privileges ? JSON.parse(row.privileges) : DEFAULT_PRIVILEGES
+    };
+
+    const SELECT = `SELECT p.id, p.name, p.details, p.organization, a.privileges
+                    FROM personas p LEFT JOIN auth_privileges a ON a.id = p.id`;
+
+    async function list() {
+        const rows = await all(db, `${SELECT} ORDER BY p.rowid`);
+        return rows.map(toPersona);
+    }
+
+    async function find(id) {
+        return toPersona(await get(db, `${SELECT} WHERE p.id = ?`, [id])) || null;
+    }
+
+    async function findBySubject(sub) {
+        return toPersona(await get(db, `${SELECT} WHERE json_extract(p.details, '$.id') = ? ORDER BY p.rowid LIMIT 1`, [String(sub)])) || null;
+    }
+
+    // Id of another persona already using the persona's user id, if any
+    async function subjectTakenBy(persona) {
+        const row = await get(db, "SELECT id FROM personas WHERE json_extract(details, '$.id') = ? AND id != ?", [persona.details.id, persona.id]);
+        return row ? row.id : null;
+    }
+
+    async function save(persona) {
+        await run(db, `INSERT INTO personas (id, name, details, organization, createdAt) VALUES (?, ?, ?, ?, ?)
+                       ON CONFLICT(id) DO UPDATE SET name = excluded.name, details = excluded.details, organization = excluded.organization`,
+            [persona.id, persona.name, JSON.stringify(persona.details), JSON.stringify(persona.organization), new Date().toISOString()]);
+        await savePrivileges(persona.id, persona.privileges);
+        return find(persona.id);
+    }
+
+    function savePrivileges(id, privileges) {
+        const json = JSON.stringify(privileges);
+        return run(db, 'INSERT INTO auth_privileges (id, privileges) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET privileges = ?', [id, json, json]);
+    }
+
+    async function remove(id) {
+        const { changes } = await run(db, 'DELETE FROM personas WHERE id = ?', [id]);
+        await run(db, 'DELETE FROM auth_privileges WHERE id = ?', [id]);
+        return changes;
+    }
+
+    return { list, find, findBySubject, subjectTakenBy, save, savePrivileges, remove };
+}
+
+module.exports = {
+    DEFAULT_PRIVILEGES,
+    DEFAULT_PERSONA_ID,
+    DEFAULT_PERSONAS,
+    PERSONA_HEADER,
+    PERSONA_COOKIE,
+    normalizePersona,
+    newSubject,
+    createPersonaStore
+};
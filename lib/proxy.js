@@ -0,0 +1,126 @@
+const { handleError } = require('./errors');
+const { encodeBody, recordingsPath, readRecordings, appendRecording, createRecording, decodeBody, findRecording } = require('./recordings');
+
+const MODES = ['off', 'record', 'replay'];
+const DEFAULT_RECORDINGS_FILE = 'recordings.jsonl';
+const UPSTREAM_TIMEOUT_MS = 30000;
+
+// Hop-by-hop and length/encoding headers are recomputed for each leg of the exchange
+const NOT_FORWARDED = new Set(['host', 'connection', 'keep-alive', 'transfer-encoding', 'content-length', 'content-encoding', 'accept-encoding']);
+
+function forwardableHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers).filter(([name]) => !NOT_FORWARDED.has(name.toLowerCase())));
+}
+
+// Validates proxy settings and fills in defaults. Returns { settings } or { details }.
+function normalizeProxySettings(input) {
+    const body = input || {};
+    const details = [];
+
+    const settings = {
+        mode: body.mode === undefined ? 'off' : body.mode,
+        target: body.target ? String(body.target).replace(/\/$/, '') : null,
+        file: body.file === undefined || body.file === null || body.file === '' ? DEFAULT_RECORDINGS_FILE : body.file
+    };
+
+    if (!MODES.includes(settings.mode)) details.push({ field: 'mode', issue: `must be one of: ${MODES.join(', ')}` });
+    if (settings.target !== null) {
+        let url = null;
+        try {
+            url = new URL(settings.target);
+        } catch (e) { /* reported below */ }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            details.push({ field: 'target', issue: 'must be an http(s) base URL, e.g. https://apic.example.com' });
+        }
+    } else if (settings.mode === 'record') {
+        details.push({ field: 'target', issue: 'is required in record mode' });
+    }
+    if (!recordingsPath(settings.file)) {
+        details.push({ field: 'file', issue: 'must be a .jsonl file name (letters, digits, ".", "_" and "-"), stored under recordings/' });
+    }
+
+    return details.length > 0 ? { details } : { settings };
+}
+
+// Raw request body plus its recorded form: JSON already parsed by express.json, anything else read from the stream
+function readRequestBody(req) {
+    if (req.body !== undefined) {
+        return Promise.resolve({ buffer: Buffer.from(JSON.stringify(req.body)), body: req.body });
+    }
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            const buffer = Buffer.concat(chunks);
+            resolve({ buffer, body: encodeBody(buffer, req.get('Content-Type')).body });
+        });
+        req.on('error', reject);
+    });
+}
+
+// Record/replay proxy for requests no route or stub answered.
+// - record: forward to `target` and append each request/response pair to recordings/<file>
+// - replay: answer from the most recent recording with the same method, path, query and body
+function createProxy(initial) {
+    let settings = initial;
+
+    async function forward(req, res) {
+        const { buffer, body } = await readRequestBody(req);
+        const hasBody = !['GET', 'HEAD'].includes(req.method) && buffer.length > 0;
+
+        let upstream;
+        let responseBuffer;
+        try {
+            const response = await fetch(settings.target + req.originalUrl, {
+                method: req.method,
+                headers: forwardableHeaders(req.headers),
+                body: hasBody ? buffer : undefined,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+            });
+            upstream = { status: response.status, headers: Object.fromEntries(response.headers) };
+            responseBuffer = Buffer.from(await response.arrayBuffer());
+        } catch (err) {
+            return handleError(res, 502, `Upstream request to ${settings.target} failed: ${err.message}`, "UPSTREAM_ERROR");
+        }
+
+        await appendRecording(recordingsPath(settings.file), createRecording(req, body, upstream, responseBuffer));
+        res.status(upstream.status).set(forwardableHeaders(upstream.headers)).set('X-Mock-Proxy', 'recorded');
+        res.end(responseBuffer);
+    }
+
+    async function replay(req, res) {
+        const { body } = await readRequestBody(req);
+        const entries = await readRecordings(recordingsPath(settings.file));
+        const entry = findRecording(entries, req, body);
+        if (!entry) {
+            return handleError(res, 404, `No recording matches ${req.method} ${req.originalUrl}`, "NO_RECORDING",
+                [{ field: 'file', issue: `searched ${entries.length} recording(s) in recordings/${settings.file}` }]);
+        }
+
+        res.status(entry.response.status).set(forwardableHeaders(entry.response.headers)).set('X-Mock-Proxy', 'replayed');
+        const responseBody = decodeBody(entry.response);
+        res.end(responseBody === null ? undefined : responseBody);
+    }
+
+    function middleware(req, res, next) {
+        // admin routes are always local
+        if (settings.mode === 'off' || req.path.startsWith('/api/admin/')) return next();
+
+        const handle = settings.mode === 'record' ? forward : replay;
+        handle(req, res).catch((err) => handleError(res, 500, err.message || 'Proxy error'));
+    }
+
+    return {
+        settings: () => ({ ...settings }),
+        configure: (next) => { settings = next; },
+        recordingsFile: () => recordingsPath(settings.file),
+        middleware
+    };
+}
+
+module.exports = {
+    MODES,
+    normalizeProxySettings,
+    createProxy
+};
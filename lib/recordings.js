@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const RECORDINGS_DIR = path.join(__dirname, '..', 'recordings');
+
+// Never written to disk: credentials, and headers that only describe the connection
+const SKIPPED_HEADERS = new Set([
+    'authorization', 'ping-authorization', 'cookie', 'set-cookie',
+    'host', 'connection', 'keep-alive', 'transfer-encoding', 'content-length', 'content-encoding', 'accept-encoding'
+]);
+
+const isText = (contentType) => /json|text|xml|javascript|x-www-form-urlencoded/i.test(contentType || '');
+
+function recordedHeaders(headers) {
+    const result = {};
+    for (const [name, value] of Object.entries(headers)) {
+        if (!SKIPPED_HEADERS.has(name.toLowerCase())) result[name.toLowerCase()] = value;
+    }
+    return result;
+}
+
+// JSON bodies are stored parsed, other text as a string and anything else as base64
+function encodeBody(buffer, contentType) {
+    if (!buffer || buffer.length === 0) return { body: null };
+    const text = buffer.toString('utf8');
+    if (/json/i.test(contentType || '')) {
+        try {
+            return { body: JSON.parse(text) };
+        } catch (e) { /* stored as text below */ }
+    }
+    if (isText(contentType)) return { body: text };
+    return { body: buffer.toString('base64'), bodyEncoding: 'base64' };
+}
+
+function decodeBody(message) {
+    if (message.body === null || message.body === undefined) return null;
+    if (message.bodyEncoding === 'base64') return Buffer.from(message.body, 'base64');
+    return typeof message.body === 'string' ? message.body : JSON.stringify(message.body);
+}
+
+// Query objects compare equal regardless of key order
+const canonicalQuery = (query) => JSON.stringify(Object.keys(query || {}).sort().map((key) => [key, query[key]]));
+const sameJson = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// "recordings.jsonl" -> <repo>/recordings/recordings.jsonl; only plain .jsonl file names are accepted
+function recordingsPath(file) {
+    if (typeof file !== 'string' || !/^[\w.-]+\.jsonl$/.test(file)) return null;
+    return path.join(RECORDINGS_DIR, file);
+}
+
+// One { request, response } pair per line; blank and unparseable lines are skipped
+async function readRecordings(filePath) {
+    let text;
+    try {
+        text = await fs.promises.readFile(filePath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    return text.split('\n').filter((line) => line.trim()).flatMap((line) => {
+        try {
+            return [JSON.parse(line)];
+        } catch (e) {
+            return [];
+        }
+    });
+}
+
+async function appendRecording(filePath, entry) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n');
+}
+
+// Builds the line stored for a proxied exchange. `request.body` is the already decoded request body.
+function createRecording(req, requestBody, upstream, responseBuffer) {
+    const contentType = upstream.headers['content-type'];
+    return {
+        id: randomUUID(),
+        recordedAt: new Date().toISOString(),
+        request: {
+            method: req.method,
+            path: req.path,
+            query: req.query || {},
+            headers: recordedHeaders(req.headers),
+            body: requestBody === undefined ? null : requestBody
+        },
+        response: {
+            status: upstream.status,
+            headers: recordedHeaders(upstream.headers),
+            ...encodeBody(responseBuffer, contentType)
+        }
+    };
+}
+
+// The most recent recording with the same method, path, query and body, or null
+function findRecording(entries, req, requestBody) {
+    const query = canonicalQuery(req.query);
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const { request } = entries[i];
+        if (!request || request.method !== req.method || request.path !== req.path) continue;
+        if (canonicalQuery(request.query) !== query || !sameJson(request.body, requestBody)) continue;
+        return entries[i];
+    }
+    return null;
+}
+
+// path-to-regexp treats these as syntax; recorded paths are literal
+const escapePath = (p) => p.replace(/[:*?+!(){}[\]\\]/g, '\\$&');
+
+// A stub definition for POST /api/admin/stubs, or null for binary responses stubs cannot carry
+function recordingToStub(entry) {
+    const { request, response } = entry;
+    if (response.bodyEncoding === 'base64') return null;
+
+    const query = Object.fromEntries(Object.entries(request.query || {}).filter(([, value]) => typeof value === 'string'));
+    const body = request.body !== null && typeof request.body === 'object' && !Array.isArray(request.body) ? request.body : {};
+    const headers = response.headers['content-type'] ? { 'Content-Type': response.headers['content-type'] } : {};
+
+    return {
+        name: `Recorded ${request.method} ${request.path} (${entry.recordedAt})`,
+        request: { method: request.method, path: escapePath(request.path), query, body },
+        response: { status: response.status, headers, body: response.body === undefined ? null : response.body }
+    };
+}
+
+// Groups JSON responses under the documented operation they belong to, in the shape of an OpenAPI `paths` object:
+// paths[template][method].responses[status].content['application/json'].examples[name].value
+// `operations` come from createOpenApiValidator(document).operations. Returns { paths, unmatched }.
+function recordingsToExamples(entries, operations) {
+    const paths = {};
+    const unmatched = [];
+    for (const entry of entries) {
+        const { request, response } = entry;
+        if (response.body === null || typeof response.body !== 'object') continue;
+
+        const operation = operations.find((op) => op.method === request.method && op.matcher(request.path));
+        if (!operation) {
+            unmatched.push(`${request.method} ${request.path}`);
+            continue;
+        }
+
+        const template = operation.id.slice(operation.method.length + 1);
+        const method = operation.method.toLowerCase();
+        const pathItem = paths[template] || (paths[template] = {});
+        const documented = pathItem[method] || (pathItem[method] = { responses: {} });
+        const status = documented.responses[response.status]
+            || (documented.responses[response.status] = { content: { 'application/json': { examples: {} } } });
+        const media = status.content['application/json'];
+        const name = `recorded${Object.keys(media.examples).length + 1}`;
+        media.examples[name] = { summary: `${request.method} ${request.path} recorded ${entry.recordedAt}`, value: response.body };
+    }
+    return { paths, unmatched };
+}
+
+module.exports = {
+    RECORDINGS_DIR,
+    encodeBody,
+    recordingsPath,
+    readRecordings,
+    appendRecording,
+    createRecording,
+    decodeBody,
+    findRecording,
+    recordingToStub,
+    recordingsToExamples
+};
@@ -0,0 +1,182 @@
+const { match } = require('path-to-regexp');
+const { randomUUID } = require('crypto');
+const { all, run } = require('./db');
+const { handleError } = require('./errors');
+const { valueAt, renderTemplate, createTemplateContext, findTemplateErrors } = require('./templating');
+
+const METHODS = ['*', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const DEFAULT_PRIORITY = 5;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isMs = (v) => Number.isInteger(v) && v >= 0 && v <= 120000;
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Validates a stub payload and fills in defaults. Returns { stub } or { details }.
+function normalizeStub(input, id) {
+    const body = input || {};
+    const request = isPlainObject(body.request) ? body.request : {};
+    const response = isPlainObject(body.response) ? body.response : {};
+    const details = [];
+
+    if (!isPlainObject(body.request)) details.push({ field: 'request', issue: 'must be an object' });
+    if (!isPlainObject(body.response)) details.push({ field: 'response', issue: 'must be an object' });
+
+    const method = String(request.method || '*').toUpperCase();
+    if (!METHODS.includes(method)) {
+        details.push({ field: 'request.method', issue: `must be one of: ${METHODS.join(', ')}` });
+    }
+
+    if (typeof request.path !== 'string' || !request.path.startsWith('/')) {
+        details.push({ field: 'request.path', issue: "must be an Express-style path starting with '/', e.g. /api/patients/:shipToId" });
+    } else {
+        try {
+            match(request.path);
+        } catch (e) {
+            details.push({ field: 'request.path', issue: e.message });
+        }
+    }
+
+    // query and header matchers compare strings; body matchers compare JSON values at a dotted path
+    for (const field of ['query', 'headers', 'body']) {
+        const value = request[field];
+        if (value === undefined || value === null) continue;
+        if (!isPlainObject(value)) {
+            details.push({ field: `request.${field}`, issue: 'must be an object' });
+        } else if (field !== 'body') {
+            for (const [name, expected] of Object.entries(value)) {
+                if (typeof expected !== 'string') details.push({ field: `request.${field}.${name}`, issue: 'must be a string' });
+            }
+        }
+    }
+
+    const stub = {
+        id: id || body.id || randomUUID(),
+        name: body.name ? String(body.name) : '',
+        enabled: body.enabled !== false,
+        priority: body.priority === undefined ? DEFAULT_PRIORITY : body.priority,
+        request: {
+            method,
+            path: request.path,
+            query: request.query || {},
+            // header names are case-insensitive
+            headers: Object.fromEntries(Object.entries(request.headers || {}).map(([k, v]) => [k.toLowerCase(), v])),
+            body: request.body || {}
+        },
+        response: {
+            status: response.status === undefined ? 200 : response.status,
+            headers: response.headers || {},
+            body: response.body === undefined ? null : response.body,
+            delayMs: response.delayMs === undefined || response.delayMs === null ? 0 : response.delayMs
+        }
+    };
+
+    if (!Number.isInteger(stub.priority) || stub.priority < 1) {
+        details.push({ field: 'priority', issue: 'must be a positive integer (1 is the highest priority)' });
+    }
+    if (!Number.isInteger(stub.response.status) || stub.response.status < 100 || stub.response.status > 599) {
+        details.push({ field: 'response.status', issue: 'must be an HTTP status (100-599)' });
+    }
+    if (!isPlainObject(stub.response.headers)) {
+        details.push({ field: 'response.headers', issue: 'must be an object' });
+    } else {
+        for (const [name, value] of Object.entries(stub.response.headers)) {
+            if (typeof value !== 'string') details.push({ field: `response.headers.${name}`, issue: 'must be a string' });
+        }
+    }
+    details.push(...findTemplateErrors(stub.response.headers, 'response.headers'));
+    details.push(...findTemplateErrors(stub.response.body, 'response.body'));
+    if (!isMs(stub.response.delayMs)) {
+        details.push({ field: 'response.delayMs', issue: 'must be an integer between 0 and 120000' });
+    }
+
+    return details.length > 0 ? { details } : { stub };
+}
+
+// WireMock-style request stubs, persisted in the stubs table and cached in memory.
+// The lowest priority number wins; among equal priorities the most recently created stub wins.
+// Response headers and bodies are templates (see lib/templating.js); `lookups` backs the patient helpers.
+function createStubRegistry(db, { lookups = {} } = {}) {
+    let stubs = [];
+
+    const compile = (stub, order) => ({ ...stub, order, matcher: match(stub.request.path) });
+
+    async function reload() {
+        const rows = await all(db, 'SELECT data FROM stubs ORDER BY rowid');
+        stubs = rows.map((row, i) => compile(JSON.parse(row.data), i))
+            .sort((a, b) => a.priority - b.priority || b.order - a.order);
+        return list();
+    }
+
+    async function save(stub) {
+        const data = JSON.stringify(stub);
+        await run(db, 'INSERT INTO stubs (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = ?', [stub.id, data, data]);
+        return reload();
+    }
+
+    async function remove(id) {
+        const { changes } = id
+            ? await run(db, 'DELETE FROM stubs WHERE id = ?', [id])
+            : await run(db, 'DELETE FROM stubs');
+        await reload();
+        return changes;
+    }
+
+    // Stubs in the order they are tried
+    function list() {
+        return stubs.map(({ matcher, order, ...stub }) => stub);
+    }
+
+    function find(id) {
+        return list().find((stub) => stub.id === id) || null;
+    }
+
+    // The first enabled stub matching the request, with its path params, or null
+    function matchRequest(req) {
+        for (const stub of stubs) {
+            const { request } = stub;
+            if (!stub.enabled || (request.method !== '*' && request.method !== req.method)) continue;
+            const result = stub.matcher(req.path);
+            if (!result) continue;
+            if (!Object.entries(request.query).every(([name, value]) => String(req.query[name]) === value)) continue;
+            if (!Object.entries(request.headers).every(([name, value]) => req.get(name) === value)) continue;
+            if (!Object.entries(request.body).every(([path, value]) => sameJson(valueAt(req.body, path), value))) continue;
+            return { stub, params: result.params };
+        }
+        return null;
+    }
+
+    function middleware(req, res, next) {
+        // the stub admin API itself can never be stubbed away
+        if (req.path.startsWith('/api/admin/stubs')) return next();
+
+        const found = matchRequest(req);
+        if (!found) return next();
+
+        const { id, response } = found.stub;
+        setTimeout(async () => {
+            try {
+                const context = createTemplateContext(req, found.params, lookups);
+                const headers = await renderTemplate(response.headers, context);
+                const body = await renderTemplate(response.body, context);
+
+                res.status(response.status).set('X-Mock-Stub-Id', id);
+                for (const [name, value] of Object.entries(headers)) {
+                    res.set(name, value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+                }
+                if (body === null) return res.end();
+                if (typeof body === 'string') return res.send(body);
+                res.json(body);
+            } catch (err) {
+                handleError(res, 500, `Stub ${id} failed to render: ${err.message}`, "TEMPLATE_ERROR");
+            }
+        }, response.delayMs);
+    }
+
+    return { reload, save, remove, list, find, matchRequest, middleware };
+}
+
+module.exports = {
+    normalizeStub,
+    createStubRegistry
+};
@@ -0,0 +1,139 @@
+const { randomUUID } = require('crypto');
+
+// Shared with the mock patient generator
+const FIRST_NAMES = ['John', 'Jane', 'Michael', 'Sarah', 'David', 'Emily', 'Robert', 'Lisa', 'James', 'Mary', 'William', 'Patricia', 'Richard', 'Jennifer', 'Thomas', 'Linda'];
+const LAST_NAMES = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas'];
+
+const PLACEHOLDER = /{{\s*(.*?)\s*}}/g;
+const WHOLE_PLACEHOLDER = /^{{\s*(.*?)\s*}}$/;
+const ROOTS = ['request'];
+
+const randomItem = (arr) => arr[Math.floor(Math.random() * arr.length)];
+
+// Value at a dotted path such as "body.patient.address[0].city"
+function valueAt(source, path) {
+    return path.replace(/\[(\d+)\]/g, '.$1').split('.')
+        .reduce((obj, key) => (obj !== null && obj !== undefined && typeof obj === 'object' ? obj[key] : undefined), source);
+}
+
+// Optional trailing field argument of the lookup helpers, e.g. {{patient request.params.id 'firstName'}}
+const pick = (value, field) => (value && field ? valueAt(value, String(field)) : value);
+
+// Generated values and patient lookups; `args` are already evaluated.
+// Lookups come from the context so this module never touches SQLite itself.
+const HELPERS = {
+    uuid: () => randomUUID(),
+    now: (context, format = 'iso') => {
+        const now = new Date();
+        if (format === 'date') return now.toISOString().split('T')[0];
+        if (format === 'epoch') return Math.floor(now.getTime() / 1000);
+        if (format === 'epochMillis') return now.getTime();
+        return now.toISOString();
+    },
+    randomInt: (context, min = 0, max = 100) => {
+        const low = Math.ceil(Number(min));
+        const high = Math.floor(Number(max));
+        return low + Math.floor(Math.random() * (high - low + 1));
+    },
+    randomFirstName: () => randomItem(FIRST_NAMES),
+    randomLastName: () => randomItem(LAST_NAMES),
+    randomName: () => `${randomItem(FIRST_NAMES)} ${randomItem(LAST_NAMES)}`,
+    patient: async (context, id, field) => pick(await context.lookups.findPatient(String(id)), field),
+    randomPatient: async (context, shipToId, field) => pick(await context.lookups.randomPatient(shipToId ? String(shipToId) : null), field)
+};
+
+// "patient request.params.id 'firstName'" -> ['patient', 'request.params.id', "'firstName'"]
+const tokenize = (expression) => expression.match(/'[^']*'|"[^"]*"|\S+/g) || [];
+
+// Only request data can be referenced by path, never the lookups
+const lookup = (context, path) => (ROOTS.includes(path.split(/[.[]/)[0]) ? valueAt(context, path) : undefined);
+
+function evaluateArg(token, context) {
+    if (/^(['"]).*\1$/.test(token)) return token.slice(1, -1);
+    if (/^-?\d+(\.\d+)?$/.test(token)) return Number(token);
+    return lookup(context, token);
+}
+
+async function evaluate(expression, context) {
+    const [name, ...args] = tokenize(expression);
+    if (HELPERS[name]) return HELPERS[name](context, ...args.map((arg) => evaluateArg(arg, context)));
+    return lookup(context, name);
+}
+
+const toText = (value) => {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+async function renderString(template, context) {
+    // a string that is a single placeholder keeps the value's type: numbers, objects, null
+    const whole = WHOLE_PLACEHOLDER.exec(template);
+    if (whole && !whole[1].includes('{{')) {
+        const value = await evaluate(whole[1], context);
+        return value === undefined ? null : value;
+    }
+
+    const values = [];
+    for (const [, expression] of template.matchAll(PLACEHOLDER)) {
+        values.push(await evaluate(expression, context));
+    }
+    let i = 0;
+    return template.replace(PLACEHOLDER, () => toText(values[i++]));
+}
+
+// Renders every {{...}} placeholder inside a JSON value (strings, arrays and object values)
+async function renderTemplate(value, context) {
+    if (typeof value === 'string') return value.includes('{{') ? renderString(value, context) : value;
+    if (Array.isArray(value)) return Promise.all(value.map((item) => renderTemplate(item, context)));
+    if (value !== null && typeof value === 'object') {
+        const rendered = {};
+        for (const [key, item] of Object.entries(value)) rendered[key] = await renderTemplate(item, context);
+        return rendered;
+    }
+    return value;
+}
+
+// Template context for a request; `lookups` provides findPatient(id) and randomPatient(shipToId)
+function createTemplateContext(req, params, lookups) {
+    return {
+        lookups: lookups || {},
+        request: {
+            method: req.method,
+            path: req.path,
+            params: params || req.params || {},
+            query: req.query || {},
+            headers: Object.fromEntries(Object.entries(req.headers).map(([k, v]) => [k.toLowerCase(), v])),
+            body: req.body === undefined ? null : req.body
+        }
+    };
+}
+
+// Returns a details array ({ field, issue }) for placeholders naming an unknown helper or data source
+function findTemplateErrors(value, field) {
+    if (typeof value === 'string') {
+        const details = [];
+        for (const [, expression] of value.matchAll(PLACEHOLDER)) {
+            const [name] = tokenize(expression);
+            if (!name) {
+                details.push({ field, issue: 'contains an empty {{ }} placeholder' });
+            } else if (!HELPERS[name] && !ROOTS.includes(name.split(/[.[]/)[0])) {
+                details.push({ field, issue: `unknown template helper or value "${name}" (helpers: ${Object.keys(HELPERS).join(', ')}; values: request.*)` });
+            }
+        }
+        return details;
+    }
+    if (Array.isArray(value)) return value.flatMap((item, i) => findTemplateErrors(item, `${field}[${i}]`));
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => findTemplateErrors(item, `${field}.${key}`));
+    }
+    return [];
+}
+
+module.exports = {
+    FIRST_NAMES,
+    LAST_NAMES,
+    valueAt,
+    renderTemplate,
+    createTemplateContext,
+    findTemplateErrors
+};
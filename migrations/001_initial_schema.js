@@ -0,0 +1,42 @@
+const { run } = require('../lib/db');
+
+// Tables that used to be created ad hoc on every start. IF NOT EXISTS keeps
+// databases created before the migration runner intact.
+exports.up = async (db) => {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL
+      )
+    `);
+
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS preferences (
+        soldToId TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      )
+    `);
+
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS auth_privileges (
+        id TEXT PRIMARY KEY,
+        privileges TEXT NOT NULL
+      )
+    `);
+
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS patients (
+        patientKey TEXT PRIMARY KEY,
+        guid TEXT,
+        patientId TEXT,
+        shipToId TEXT,
+        firstName TEXT,
+        lastName TEXT,
+        dateOfBirth TEXT,
+        teamName TEXT,
+        primaryPayer TEXT,
+        metadata TEXT
+      )
+    `);
+};
@@ -0,0 +1,34 @@
+const { run } = require('../lib/db');
+
+// The rules as first seeded, frozen here so later changes to lib/faults.js cannot change what this migration writes.
+// The default replaces the old hard-coded `await sleep(2000)` in the patient search route (index.js keeps it off
+// single-patient reads).
+const RULES = [
+    {
+        id: 'default-patient-search-latency',
+        name: 'Patient search spinner',
+        method: 'GET',
+        path: '/api/patients/:shipToId',
+        enabled: true,
+        latencyMs: 2000,
+        latencyMaxMs: null,
+        errorRate: 0,
+        errorStatus: 500,
+        errorBody: null,
+        hangRate: 0,
+        dropRate: 0
+    }
+];
+
+exports.up = async (db) => {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS fault_rules (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      )
+    `);
+
+    for (const rule of RULES) {
+        await run(db, 'INSERT OR IGNORE INTO fault_rules (id, data) VALUES (?, ?)', [rule.id, JSON.stringify(rule)]);
+    }
+};
@@ -0,0 +1,12 @@
+const { run } = require('../lib/db');
+
+// RS256 key pair used to sign APIC tokens; generated lazily by lib/jwt.js
+exports.up = async (db) => {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS signing_keys (
+        kid TEXT PRIMARY KEY,
+        privateKey TEXT NOT NULL,
+        createdAt TEXT NOT NULL
+      )
+    `);
+};
@@ -0,0 +1,219 @@
+const { run } = require('../lib/db');
+
+// The personas as first seeded, frozen here so later changes to lib/personas.js cannot change what this migration writes.
+const PRIVILEGES = [
+    "ViewItemFormularyFlag",
+    "EditPatient",
+    "CustomerSelfAdminView",
+    "DisplayShipmentNotification",
+    "viewBackOrderedItems",
+    "CreateOrder",
+    "ViewNonFormularyItemsInCatalog",
+    "ViewItemPrice",
+    "WarnDefaultItemPricingView",
+    "BudgetAdmin",
+    "EnablePPDDesignation",
+    "addOSIPriceIssue",
+    "addOSIDamage",
+    "ViewItemAvailability",
+    "addOSIWrongItem",
+    "MaintainOrgDropShips",
+    "CreateReturn",
+    "ApplyDropShipToOrder",
+    "cfaSupplyChain",
+    "MaintainFormularyGlobal",
+    "trackPointPatientCharges",
+    "addAdvancedSearch",
+    "ViewPatient",
+    "EditClinician",
+    "searchOSIMedline",
+    "addEmbroidery",
+    "MaintainReverseFormularyGlobal",
+    "addOSIShortage",
+    "AllowRushFreight",
+    "addItemConversion",
+    "NavigateToInsight",
+    "ViewAllCliniciansByAccount",
+    "ViewProductAlternates",
+    "ViewItemContractPriceFlag",
+    "NavigateToFRAT",
+    "cfaHomecareGeneral",
+    "addOSIMedline",
+    "CreateAnotherClinicianOrder",
+    "ManageRecurringOrders",
+    "DisplayDownloadFormularyLink",
+    "ManagePiggyBackLabels",
+    "viewItemProductDetailTable",
+    "CreateConsignment",
+    "NavigateToCFA",
+    "DownloadPatient",
+    "SubmitOrder",
+    "addProdAllocationExport",
+    "ManageCustomerDrivenRerouteRequest",
+    "ViewGLCodes",
+    "addProdAllocationList",
+    "ViewRecurringOrders",
+    "viewOrderFreightStatus",
+    "ViewOrders",
+    "MaintainOrgTemplates",
+    "MaintainGLCodeGlobal",
+    "UploadPatient",
+    "ViewInvoices",
+    "NavigateToParscan",
+    "FileUpload",
+    "ViewCmir",
+    "trackPointEnabled",
+    "MaintainCmir",
+    "ViewPPDBudget",
+    "ManageNotificationPreference",
+    "trackPointInventoryManagement",
+    "CustomerSelfAdminRule",
+    "ViewClinician",
+    "CustomerSelfAdminEdit",
+    "ViewItemAllocationStatus",
+    "NavigationToXRefSearch",
+    "AccessOrdersCreatedByUser",
+    "ViewReturns",
+    "AccessOrdersByAccountAccess",
+    "EditOrderPO",
+    "ManageSharedTemplate",
+    "BillPayView",
+    "addOSIOverage",
+    "InvoiceVerifier",
+    "MaintainFormularyByAccount",
+    "ViewMaskedData",
+    "ManageEmbroideryDigitizationRequest",
+    "HH_EDPO",
+    "RS_ENLD",
+    "BD_MNGE",
+    "FM_ACCTGRP",
+    "FR_ENLD",
+    "BO_STAND",
+    "SA_STAND",
+    "BP_MNGE",
+    "FT_ENLD",
+    "DS_MORD",
+    "IA_CUSD",
+    "UM_ORULE",
+    "OH_SHIC",
+    "SL_SHARE",
+    "IC_ENLD",
+    "UP_STAND",
+    "OL_DUIC",
+    "CA_ENLD",
+    "CD_STAND",
+    "IL_FULL",
+    "GL_ACCTGRP",
+    "EL_MNGE",
+    "IS_ENLD",
+    "CM_STAND",
+    "CO_ENLD",
+    "IV_VERIF",
+    "CR_MNGE",
+    "CS_STAND",
+    "RD_MNGE",
+    "PC_ENLD",
+    "TP_STAND",
+    "PL_ENLD",
+    "PM_STAND",
+    "RO_STAND",
+    "DA_CUST"
+];
+
+// The original AUTO_HH_RW user; the other default personas are variations of it
+const USER_CONTEXT = {
+    "details": {
+        "id": "11369805630",
+        "username": "AUTO_HH_RW",
+        "accountLinkedFilterEnabled": true,
+        "lastName": "User 01",
+        "orderOptions": {
+            "reference1Enabled": true,
+            "reference2Enabled": true,
+            "defaultShipTo": "Branch",
+            "defaultPackagedFor": "Branch"
+        },
+        "numberOfFacilities": 19329,
+        "maxAllowedCreditCards": 10,
+        "activeFacilityName": "NORTHWEST MEDICAL CENTER-AZ",
+        "firstName": "Test HomeHealth 1",
+        "emailAddress": "kgovlxwd@medline.com",
+        "formularyFilterSettings": {
+            "checkedByDefault": false,
+            "enabled": true
+        },
+        "invoiceOrdering": "Permitted",
+        "daysToSearchForRecentOrders": "1",
+        "mobileTermsOfUse": true,
+        "creditCardOrdering": "Permitted",
+        "contactPhoneNumber": "999-866-6945",
+        "sessionTimeout": 30,
+        "userType": "STANDARD",
+        "internalAuthentication": false
+    },
+    "organization": {
+        "id": "245673",
+        "name": "Internal Testing - Home Health",
+        "orgVisibilities": [
+            "CSAEnabled",
+            "externalOrdering",
+            "simulation"
+        ]
+    }
+};
+
+const without = (...names) => PRIVILEGES.filter((privilege) => !names.includes(privilege));
+
+const variant = (details) => ({
+    details: { ...USER_CONTEXT.details, ...details },
+    organization: USER_CONTEXT.organization
+});
+
+const PERSONAS = [
+    {
+        id: 'global',
+        name: 'Home Health user (read/write)',
+        ...USER_CONTEXT,
+        privileges: PRIVILEGES
+    },
+    {
+        id: 'readonly-clinician',
+        name: 'Read-only clinician',
+        ...variant({ id: '11369805631', username: 'AUTO_HH_RO', firstName: 'Test Clinician', lastName: 'Read Only', emailAddress: 'auto_hh_ro@example.com' }),
+        privileges: without('EditPatient', 'UploadPatient', 'DownloadPatient', 'HH_EDPO')
+    },
+    {
+        id: 'admin',
+        name: 'Internal admin',
+        ...variant({ id: '11369805632', username: 'AUTO_HH_ADMIN', firstName: 'Test Admin', lastName: 'User 01', emailAddress: 'auto_hh_admin@example.com', internalAuthentication: true }),
+        privileges: PRIVILEGES
+    },
+    {
+        id: 'no-view-patient',
+        name: 'User without ViewPatient',
+        ...variant({ id: '11369805633', username: 'AUTO_HH_NOVIEW', firstName: 'Test NoView', lastName: 'User 01', emailAddress: 'auto_hh_noview@example.com' }),
+        privileges: without('ViewPatient')
+    }
+];
+
+// Switchable user personas. Privileges stay in auth_privileges, keyed by persona id;
+// the existing 'global' row becomes the default persona's privileges.
+exports.up = async (db) => {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS personas (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        details TEXT NOT NULL,
+        organization TEXT NOT NULL,
+        createdAt TEXT NOT NULL
+      )
+    `);
+
+    const createdAt = new Date().toISOString();
+    for (const persona of PERSONAS) {
+        await run(db, 'INSERT OR IGNORE INTO personas (id, name, details, organization, createdAt) VALUES (?, ?, ?, ?, ?)',
+            [persona.id, persona.name, JSON.stringify(persona.details), JSON.stringify(persona.organization), createdAt]);
+        await run(db, 'INSERT OR IGNORE INTO auth_privileges (id, privileges) VALUES (?, ?)',
+            [persona.id, JSON.stringify(persona.privileges)]);
+    }
+};
@@ -0,0 +1,121 @@
+const { run } = require('../lib/db');
+
+// The account as first seeded, frozen here so later changes to lib/accounts.js cannot change what this migration writes
+const ACCOUNT = {
+    "id": "1483051",
+    "name": "IS ECOM ONLY HOMECARE TEST ACC",
+    "shortName": "IS ECOM ONLY HOMECARE TEST ACC",
+    "address": {
+        "address1": "1 MEDLINE PL",
+        "address2": "UPDATES APPROVED BY IS ECOM TEAM",
+        "poBox": "",
+        "city": "MUNDELEIN",
+        "district": "",
+        "state": "IL",
+        "postalCode": "60060-4485",
+        "country": "US",
+        "gln": "0000000000000",
+        "taxJurisdiction": "1409720100"
+    },
+    "soldTo": {
+        "id": "1483051",
+        "name": "IS ECOM ONLY HOMECARE TEST ACCT 1",
+        "shortName": "IS ECOM ONLY HOMECARE TEST ACCT 1",
+        "customerGroup": "HH",
+        "enablePPDFilter": false,
+        "pendingTaxCert": false,
+        "creditCardRequired": false,
+        "consignmentEnabled": false,
+        "phdOrderingEnabled": true,
+        "triageOrderingEnabled": true,
+        "primeVendor": false,
+        "address": {
+            "address1": "1 MEDLINE PL",
+            "address2": "UPDATES APPROVED BY IS ECOM TEAM",
+            "poBox": "",
+            "city": "MUNDELEIN",
+            "district": "",
+            "state": "IL",
+            "postalCode": "60060-4485",
+            "country": "US",
+            "gln": "0000000000000",
+            "taxJurisdiction": "1409720100"
+        },
+        "salesOffice": "HC",
+        "restrictManageFormulary": false,
+        "lowSlowEnabled": false,
+        "partners": [
+            {
+                "id": "",
+                "name": "",
+                "partnerType": "AP"
+            },
+            {
+                "id": "0000009995",
+                "name": "IS TEST REP",
+                "partnerType": "ZR",
+                "email": "TTestRepAcct@medline.com"
+            },
+            {
+                "id": "0001483051",
+                "name": "IS ECOM ONLY HOMECARE TEST ACC",
+                "partnerType": "AG",
+                "email": "JJWU@MEDLINE.COMx",
+                "formularyViewId": "ZFORM_0001483051",
+                "reverseFormularyViewId": "ZREV_0001483051"
+            },
+            {
+                "id": "0001483051",
+                "name": "IS ECOM ONLY HOMECARE TEST ACC",
+                "partnerType": "RE",
+                "email": "JJWU@MEDLINE.COMx"
+            },
+            {
+                "id": "0001483051",
+                "name": "IS ECOM ONLY HOMECARE TEST ACC",
+                "partnerType": "RG",
+                "email": "JJWU@MEDLINE.COMx"
+            },
+            {
+                "id": "0001483051",
+                "name": "IS ECOM ONLY HOMECARE TEST ACC",
+                "partnerType": "WE",
+                "email": "JJWU@MEDLINE.COMx"
+            },
+            {
+                "id": "ZY08354",
+                "name": "PROMOTIONAL TRACKING ACCOUNT",
+                "partnerType": "ZY"
+            }
+        ],
+        "invoiceOutputEnabled": false,
+        "canCreateReturn": false,
+        "paymentTerms": "C030",
+        "paymentTermsDescription": "Within 30 days Due net",
+        "dealer": false,
+        "customerFreightDefault": "C",
+        "patientRoomNumberEnabled": false,
+        "exclusiveFlag": false,
+        "orderingNotEnabled": false
+    },
+    "repInfos": [
+        {
+            "emailAddress": "TTestRepAcct@medline.com",
+            "name": "IS TEST REP",
+            "type": "SALES_REP"
+        }
+    ],
+    "dssiFlag": false
+};
+
+// Ship-to accounts returned by /api/apic/ecom/account/v1/shipto/:id
+exports.up = async (db) => {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS accounts (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      )
+    `);
+
+    await run(db, 'INSERT OR IGNORE INTO accounts (id, data) VALUES (?, ?)', [ACCOUNT.id, JSON.stringify(ACCOUNT)]);
+};
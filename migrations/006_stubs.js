@@ -0,0 +1,10 @@
+const { run } = require('../lib/db');
+
+exports.up = async (db) => {
+    await run(db, `
+      CREATE TABLE IF NOT EXISTS stubs (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      )
+    `);
+};
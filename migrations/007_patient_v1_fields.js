@@ -0,0 +1,19 @@
+const { run } = require('../lib/db');
+
+// Columns for the legacy /api/v1/patients model. Object-valued fields are stored as JSON text;
+// team.name reuses the existing teamName column.
+exports.up = async (db) => {
+    const columns = [
+        'email TEXT',
+        "status TEXT NOT NULL DEFAULT 'ACTIVE'",
+        'isPinned INTEGER NOT NULL DEFAULT 0',
+        'admissionDate TEXT',
+        'insurance TEXT',
+        'agency TEXT',
+        'lastOrder TEXT',
+        'address TEXT'
+    ];
+    for (const column of columns) {
+        await run(db, `ALTER TABLE patients ADD COLUMN ${column}`);
+    }
+};
@@ -0,0 +1,40 @@
+const { run } = require('../lib/db');
+
+// FTS5 index behind the `q` patient search. It is an external-content table over patients (matched on rowid),
+// kept in sync by triggers, so rows written through any route or raw SQL are searchable right away.
+const COLUMNS = ['firstName', 'lastName', 'patientId', 'teamName'];
+
+exports.up = async (db) => {
+    const list = COLUMNS.join(', ');
+    const values = (prefix) => COLUMNS.map((column) => `${prefix}.${column}`).join(', ');
+
+    await run(db, `
+      CREATE VIRTUAL TABLE patients_fts USING fts5(
+        ${list},
+        content = 'patients',
+        content_rowid = 'rowid',
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
+    await run(db, `
+      CREATE TRIGGER patients_fts_insert AFTER INSERT ON patients BEGIN
+        INSERT INTO patients_fts (rowid, ${list}) VALUES (new.rowid, ${values('new')});
+      END
+    `);
+    await run(db, `
+      CREATE TRIGGER patients_fts_delete AFTER DELETE ON patients BEGIN
+        INSERT INTO patients_fts (patients_fts, rowid, ${list}) VALUES ('delete', old.rowid, ${values('old')});
+      END
+    `);
+    await run(db, `
+      CREATE TRIGGER patients_fts_update AFTER UPDATE OF ${list} ON patients BEGIN
+        INSERT INTO patients_fts (patients_fts, rowid, ${list}) VALUES ('delete', old.rowid, ${values('old')});
+        INSERT INTO patients_fts (rowid, ${list}) VALUES (new.rowid, ${values('new')});
+      END
+    `);
+
+    // index the existing patients; names weigh more than the patient id, and the team least
+    await run(db, "INSERT INTO patients_fts (patients_fts) VALUES ('rebuild')");
+    await run(db, "INSERT INTO patients_fts (patients_fts, rank) VALUES ('rank', 'bm25(10.0, 10.0, 5.0, 1.0)')");
+};
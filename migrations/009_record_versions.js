@@ -0,0 +1,8 @@
+const { run } = require('../lib/db');
+
+// Version counters behind the ETag / If-Match handling (lib/concurrency.js). Patients keep theirs in
+// metadata.version, so only users and preferences need a column; existing rows start at version 1.
+exports.up = async (db) => {
+    await run(db, 'ALTER TABLE users ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+    await run(db, 'ALTER TABLE preferences ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+};
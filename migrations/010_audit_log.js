@@ -0,0 +1,23 @@
+const { run } = require('../lib/db');
+
+// History of patient, preference and privilege writes (lib/audit.js). `changes` is the field-level diff as
+// JSON; `snapshot` is the record after the write (before it, for deletes) so a patient can be restored.
+exports.up = async (db) => {
+    await run(db, `
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        at TEXT NOT NULL,
+        entityType TEXT NOT NULL,
+        entityId TEXT NOT NULL,
+        action TEXT NOT NULL,
+        version INTEGER,
+        actor TEXT,
+        actorUsername TEXT,
+        actorSource TEXT,
+        route TEXT,
+        changes TEXT NOT NULL,
+        snapshot TEXT
+      )
+    `);
+    await run(db, 'CREATE INDEX audit_log_entity ON audit_log (entityType, entityId, id)');
+};
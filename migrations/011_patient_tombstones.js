@@ -0,0 +1,8 @@
+const { run } = require('../lib/db');
+
+// Soft-deleted patients (lib/patientTrash.js) keep their row with a deletedAt tombstone until they are undeleted,
+// purged or expire. Live rows have deletedAt NULL.
+exports.up = async (db) => {
+    await run(db, 'ALTER TABLE patients ADD COLUMN deletedAt TEXT');
+    await run(db, 'CREATE INDEX patients_trash ON patients (shipToId, deletedAt)');
+};
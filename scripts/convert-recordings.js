@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// Turns proxy recordings (recordings/*.jsonl) into runtime stub definitions or swagger.yaml examples.
+//
+//   node scripts/convert-recordings.js stubs recordings/recordings.jsonl                 # JSON array for /api/admin/stubs
+//   node scripts/convert-recordings.js stubs recordings/recordings.jsonl --post http://localhost:5178
+//   node scripts/convert-recordings.js swagger recordings/recordings.jsonl              # YAML `paths` fragment
+const path = require('path');
+const YAML = require('yamljs');
+const { readRecordings, recordingToStub, recordingsToExamples } = require('../lib/recordings');
+const { createOpenApiValidator } = require('../lib/openapi');
+
+const USAGE = 'usage: node scripts/convert-recordings.js <stubs|swagger> <recordings.jsonl> [--post <mock base URL>]';
+
+async function postStubs(stubs, baseUrl) {
+    let created = 0;
+    for (const stub of stubs) {
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}/api/admin/stubs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(stub)
+        });
+        if (response.ok) {
+            created++;
+        } else {
+            const data = await response.json().catch(() => ({}));
+            console.error(`✗ ${stub.name}: ${response.status} ${data.message || ''}`);
+        }
+    }
+    console.error(`Created ${created} of ${stubs.length} stub(s) on ${baseUrl}`);
+    return created === stubs.length;
+}
+
+async function main(args) {
+    const [target, file] = args;
+    const postIndex = args.indexOf('--post');
+    if (!['stubs', 'swagger'].includes(target) || !file || (postIndex >= 0 && !args[postIndex + 1])) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const entries = await readRecordings(path.resolve(file));
+    if (entries.length === 0) {
+        console.error(`No recordings found in ${file}`);
+        return 1;
+    }
+
+    if (target === 'stubs') {
+        const stubs = entries.map(recordingToStub).filter(Boolean);
+        if (stubs.length < entries.length) console.error(`Skipped ${entries.length - stubs.length} binary response(s)`);
+        if (postIndex >= 0) return (await postStubs(stubs, args[postIndex + 1])) ? 0 : 1;
+        console.log(JSON.stringify(stubs, null, 2));
+        return 0;
+    }
+
+    const document = YAML.load(path.join(__dirname, '..', 'swagger.yaml'));
+    const { operations } = createOpenApiValidator(document);
+    const { paths, unmatched } = recordingsToExamples(entries, operations);
+    for (const request of new Set(unmatched)) console.error(`Not documented in swagger.yaml: ${request}`);
+    console.log(YAML.stringify({ paths }, 20, 2));
+    return 0;
+}
+
+main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
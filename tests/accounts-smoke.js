@@ -0,0 +1,65 @@
+const http = require('http');
+
+function request(options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  const json = { 'Content-Type': 'application/json' };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const shipTo = (id) => request({ ...base, path: '/api/apic/ecom/account/v1/shipto/' + id, method: 'GET' });
+
+  console.log('1) seeded account is served by id, unknown ids are 404');
+  let resp = await shipTo('1483051');
+  ok(resp.status === 200 && resp.json.name === 'IS ECOM ONLY HOMECARE TEST ACC', `expected seeded account got ${resp.status}`);
+  const seeded = resp.json;
+  resp = await shipTo('424242');
+  ok(resp.status === 404 && resp.json.errorCode === 'NOT_FOUND', `expected 404 got ${resp.status}`);
+
+  console.log('2) create an account with different flags');
+  const account = {
+    ...seeded,
+    id: '424242',
+    name: 'CONSIGNMENT TEST ACC',
+    soldTo: { ...seeded.soldTo, id: '424200', consignmentEnabled: true, creditCardRequired: true, phdOrderingEnabled: false, partners: [] },
+    repInfos: []
+  };
+  resp = await request({ ...base, path: '/api/admin/accounts', method: 'POST', headers: json }, JSON.stringify(account));
+  ok(resp.status === 201, `create expected 201 got ${resp.status} - ${resp.body}`);
+  resp = await request({ ...base, path: '/api/admin/accounts', method: 'POST', headers: json }, JSON.stringify(account));
+  ok(resp.status === 409, `duplicate expected 409 got ${resp.status}`);
+  resp = await shipTo('424242');
+  ok(resp.status === 200 && resp.json.soldTo.consignmentEnabled === true && resp.json.soldTo.phdOrderingEnabled === false, 'created account flags mismatch');
+
+  console.log('3) invalid documents are rejected with details');
+  resp = await request({ ...base, path: '/api/admin/accounts', method: 'POST', headers: json }, JSON.stringify({ id: '1', name: 'x', soldTo: { id: '1', creditCardRequired: 'yes', partners: [{}] } }));
+  ok(resp.status === 400 && resp.json.details.length === 2, `invalid expected 400 with 2 details got ${resp.status} - ${resp.body}`);
+
+  console.log('4) update and delete');
+  resp = await request({ ...base, path: '/api/admin/accounts/424242', method: 'PUT', headers: json }, JSON.stringify({ ...account, soldTo: { ...account.soldTo, consignmentEnabled: false } }));
+  ok(resp.status === 200, `update expected 200 got ${resp.status}`);
+  resp = await shipTo('424242');
+  ok(resp.json.soldTo.consignmentEnabled === false, 'update not applied');
+  resp = await request({ ...base, path: '/api/admin/accounts/424242', method: 'DELETE' });
+  ok(resp.status === 204, `delete expected 204 got ${resp.status}`);
+  resp = await shipTo('424242');
+  ok(resp.status === 404, `deleted account expected 404 got ${resp.status}`);
+
+  console.log('ALL ACCOUNT SMOKE TESTS PASSED');
+  process.exit(0);
+})();
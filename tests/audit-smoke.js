@@ -0,0 +1,130 @@
+const http = require('http');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const json = { 'Content-Type': 'application/json' };
+  const admin = { 'X-Mock-Persona': 'admin' };
+  const send = (method, path, headers = {}, body) =>
+    request({ ...base, path, method, headers: body ? { ...json, ...headers } : headers }, body && JSON.stringify(body));
+  const history = async (key) => (await send('GET', `/api/patients/${key}/history`)).json.entries;
+  // restore takes no body; Content-Length: 0 keeps node from sending an empty chunked one (as curl -X POST does)
+  const restore = (key, version, headers = {}) => send('POST', `/api/patients/${key}/restore?version=${version}`, { 'Content-Length': 0, ...headers });
+  const changed = (entry) => entry.changes.map((c) => c.field).sort().join(',');
+
+  const patient = {
+    firstName: 'Audit', lastName: 'Trail', patientId: '44400001', teamName: 'Team A', dateOfBirth: '1965-04-05',
+    primaryPayer: { payerType: 'Agency', payerDisplayName: 'Medicare' }
+  };
+
+  console.log('1) creates are recorded with the actor and route');
+  let resp = await send('POST', '/api/patients', admin, patient);
+  ok(resp.status === 201, `create expected 201 got ${resp.status} - ${resp.body}`);
+  const key = resp.json.patientKey;
+  let entries = await history(key);
+  ok(entries.length === 1 && entries[0].action === 'create' && entries[0].version === 1, 'create entry: ' + JSON.stringify(entries));
+  ok(entries[0].actor.persona === 'admin' && entries[0].actor.source === 'header' && entries[0].actor.username === 'AUTO_HH_ADMIN',
+    'create actor: ' + JSON.stringify(entries[0].actor));
+  ok(entries[0].route === 'POST /api/patients', 'create route: ' + entries[0].route);
+  ok(entries[0].changes.some((c) => c.field === 'firstName' && c.from === null && c.to === 'Audit'), 'create diff: ' + JSON.stringify(entries[0].changes));
+
+  console.log('2) updates carry a field-level diff without bookkeeping');
+  resp = await send('PATCH', '/api/patients/' + key, { 'Content-Type': 'application/merge-patch+json' }, { teamName: 'Team B' });
+  ok(resp.status === 200, `PATCH expected 200 got ${resp.status}`);
+  resp = await send('PUT', '/api/patients/' + key, {}, { ...patient, teamName: 'Team B', primaryPayer: { payerType: 'Agency', payerDisplayName: 'Medicaid' } });
+  ok(resp.status === 200, `PUT expected 200 got ${resp.status}`);
+  entries = await history(key);
+  ok(entries.map((e) => `${e.action}@${e.version}`).join(',') === 'update@3,update@2,create@1', 'history order: ' + entries.map((e) => e.action));
+  ok(changed(entries[1]) === 'teamName' && entries[1].changes[0].from === 'Team A' && entries[1].changes[0].to === 'Team B', 'PATCH diff: ' + JSON.stringify(entries[1].changes));
+  ok(entries[1].route === 'PATCH /api/patients/:id' && entries[1].actor.source === 'default', 'PATCH entry: ' + JSON.stringify(entries[1]));
+  ok(changed(entries[0]) === 'primaryPayer.payerDisplayName', 'nested diff: ' + JSON.stringify(entries[0].changes));
+
+  console.log('3) restore writes an old version back as a new one');
+  resp = await restore(key, '1', json);
+  ok(resp.status === 200 && resp.json.teamName === 'Team A' && resp.json.primaryPayer.payerDisplayName === 'Medicare', 'restore: ' + resp.body);
+  ok(resp.headers.etag === '"4"' && resp.json.metadata.version === 4, 'restore version: ' + resp.headers.etag);
+  entries = await history(key);
+  ok(entries[0].action === 'restore' && changed(entries[0]) === 'primaryPayer.payerDisplayName,teamName', 'restore entry: ' + JSON.stringify(entries[0]));
+  resp = await restore(key, 1, { 'If-Match': '"3"' });
+  ok(resp.status === 412, `stale restore expected 412 got ${resp.status}`);
+  resp = await restore(key, '99');
+  ok(resp.status === 404 && resp.json.details[0].field === 'version', 'unknown version: ' + resp.body);
+  resp = await restore(key, 'zero');
+  ok(resp.status === 400, `invalid version expected 400 got ${resp.status}`);
+
+  console.log('4) deleted patients keep their history and can be restored');
+  resp = await send('DELETE', '/api/patients/' + key);
+  ok(resp.status === 204, `DELETE expected 204 got ${resp.status}`);
+  entries = await history(key);
+  ok(entries[0].action === 'delete' && entries[0].version === 4 && entries[0].changes.every((c) => c.to === null), 'delete entry: ' + JSON.stringify(entries[0]));
+  resp = await restore(key, '2');
+  ok(resp.status === 200 && resp.json.patientKey === key && resp.json.teamName === 'Team B' && resp.json.metadata.version === 5, 're-create: ' + resp.body);
+  resp = await send('GET', '/api/patients/' + key);
+  ok(resp.status === 200 && resp.headers.etag === '"5"', `restored patient GET: ${resp.status} ${resp.headers.etag}`);
+  resp = await send('GET', '/api/patients/no-such-patient/history');
+  ok(resp.status === 404, `unknown patient history expected 404 got ${resp.status}`);
+
+  console.log('5) the admin feed filters and pages');
+  resp = await send('GET', `/api/admin/audit?entityId=${key}&limit=2`);
+  ok(resp.status === 200 && resp.json.count === 2 && resp.json.entries[0].action === 'restore', 'feed first page: ' + resp.body);
+  ok(resp.json.nextCursor && /rel="next"/.test(resp.headers.link), 'feed paging: ' + resp.headers.link);
+  const seen = resp.json.entries.map((e) => e.id);
+  resp = await send('GET', `/api/admin/audit?entityId=${key}&limit=2&cursor=${resp.json.nextCursor}`);
+  ok(resp.status === 200 && resp.json.entries.every((e) => !seen.includes(e.id) && e.id < seen[1]), 'feed second page: ' + resp.body);
+  resp = await send('GET', `/api/admin/audit?entityId=${key}&action=update&actor=global`);
+  ok(resp.json.entries.length === 2 && resp.json.entries.every((e) => e.action === 'update'), 'action/actor filter: ' + resp.body);
+  resp = await send('GET', `/api/admin/audit?entityId=${key}&actor=AUTO_HH_ADMIN`);
+  ok(resp.json.entries.length === 1 && resp.json.entries[0].action === 'create', 'actor username filter: ' + resp.body);
+  const today = new Date().toISOString().slice(0, 10);
+  resp = await send('GET', `/api/admin/audit?entityId=${key}&from=${today}&to=${today}&limit=100`);
+  ok(resp.json.count === 6, 'date range: ' + resp.json.count);
+  resp = await send('GET', '/api/admin/audit?entityType=users&from=yesterday&limit=500');
+  ok(resp.status === 400 && resp.json.details.map((d) => d.field).sort().join(',') === 'entityType,from,limit', 'invalid filters: ' + resp.body);
+
+  console.log('6) preference and privilege writes are recorded too');
+  const soldToId = 'AUDIT' + Date.now();
+  resp = await send('PUT', `/api/preferences?soldToId=${soldToId}`, admin, {
+    routingAndBehavior: { rejectedOrderAction: 'CANCEL_ORDER', orderCanceledNotifications: true },
+    dmeSupplierPreferences: { setPreferencesEnabled: false, preferredDmeSupplierList: [], nonPreferredDmeSupplierList: [] }
+  });
+  ok(resp.status === 200, `preferences PUT expected 200 got ${resp.status}`);
+  resp = await send('GET', `/api/admin/audit?entityType=preferences&entityId=${soldToId}`);
+  ok(resp.json.entries.length === 1 && resp.json.entries[0].action === 'create' && resp.json.entries[0].route === 'PUT /api/preferences', 'preferences entry: ' + resp.body);
+  ok(resp.json.entries[0].changes.some((c) => c.field === 'routingAndBehavior.rejectedOrderAction' && c.to === 'CANCEL_ORDER'), 'preferences diff: ' + resp.body);
+
+  const personaId = 'audit-' + Date.now();
+  resp = await send('POST', '/api/admin/personas', {}, { id: personaId, name: 'Audit', details: { id: 'AUD' + Date.now(), username: 'AUDIT_USER' }, privileges: ['ViewPatient'] });
+  ok(resp.status === 201, `persona create expected 201 got ${resp.status} - ${resp.body}`);
+  resp = await send('POST', `/api/admin/privileges?persona=${personaId}`, {}, { privileges: ['ViewPatient', 'EditPatient'] });
+  ok(resp.status === 200, `privileges expected 200 got ${resp.status}`);
+  resp = await send('DELETE', '/api/admin/personas/' + personaId);
+  ok(resp.status === 204, `persona delete expected 204 got ${resp.status}`);
+  resp = await send('GET', `/api/admin/audit?entityType=privileges&entityId=${personaId}`);
+  ok(resp.json.entries.map((e) => e.action).join(',') === 'delete,update,create', 'privileges entries: ' + resp.body);
+  ok(JSON.stringify(resp.json.entries[1].changes[0].to) === '["ViewPatient","EditPatient"]', 'privileges diff: ' + JSON.stringify(resp.json.entries[1].changes));
+
+  await send('DELETE', '/api/patients/' + key);
+
+  console.log('ALL AUDIT SMOKE TESTS PASSED');
+  process.exit(0);
+})();
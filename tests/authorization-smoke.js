@@ -0,0 +1,80 @@
+const http = require('http');
+
+function request(options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  const auth = { Authorization: 'Bearer test' };
+  const json = { 'Content-Type': 'application/json' };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const setPrivileges = (privileges) => request({ ...base, path: '/api/admin/privileges', method: 'POST', headers: json }, JSON.stringify({ privileges }));
+
+  let resp = await request({ ...base, path: '/api/admin/privileges', method: 'GET' });
+  const original = resp.json.selectedPrivileges;
+
+  try {
+    console.log('1) missing Authorization header is 401');
+    resp = await request({ ...base, path: '/api/patients/1483051', method: 'GET' });
+    ok(resp.status === 401 && resp.json.errorCode === 'UNAUTHORIZED', `expected 401 got ${resp.status} - ${resp.body}`);
+    resp = await request({ ...base, path: '/api/patients/1483051', method: 'GET', headers: { 'Ping-Authorization': 'ping' } });
+    ok(resp.status === 200, `Ping-Authorization expected 200 got ${resp.status}`);
+
+    console.log('2) removing EditPatient blocks writes but not reads');
+    await setPrivileges(original.filter(p => p !== 'EditPatient'));
+    resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: { ...auth, ...json } }, JSON.stringify({
+      firstName: 'Auth', lastName: 'Smoke', patientId: 'AUTH001', teamName: 'Blue', dateOfBirth: '1980-01-01'
+    }));
+    ok(resp.status === 403 && resp.json.errorCode === 'FORBIDDEN' && /EditPatient/.test(resp.json.message), `expected 403 got ${resp.status} - ${resp.body}`);
+    resp = await request({ ...base, path: '/api/patients/1483051?patientKeys=nope', method: 'DELETE', headers: auth });
+    ok(resp.status === 403, `bulk delete expected 403 got ${resp.status}`);
+    resp = await request({ ...base, path: '/api/patients/1483051', method: 'GET', headers: auth });
+    ok(resp.status === 200, `search expected 200 got ${resp.status}`);
+
+    console.log('3) removing DownloadPatient blocks both download routes');
+    await setPrivileges(original.filter(p => p !== 'DownloadPatient'));
+    for (const path of ['/api/patient/download/1483051', '/api/apic/patients/download/1483051']) {
+      resp = await request({ ...base, path, method: 'GET', headers: auth });
+      ok(resp.status === 403 && resp.json.errorCode === 'FORBIDDEN', `${path} expected 403 got ${resp.status}`);
+    }
+
+    console.log('4) preference writes need HH_EDPO');
+    await setPrivileges(original.filter(p => p !== 'HH_EDPO'));
+    resp = await request({ ...base, path: '/api/preferences?soldToId=1483051', method: 'PUT', headers: { ...auth, ...json } }, JSON.stringify({}));
+    ok(resp.status === 403, `preferences PUT expected 403 got ${resp.status}`);
+    resp = await request({ ...base, path: '/api/preferences?soldToId=1483051&state=IL', method: 'GET', headers: auth });
+    ok(resp.status === 200, `preferences GET expected 200 got ${resp.status}`);
+
+    console.log('5) v1 routes need no header but check the default persona\'s privileges');
+    resp = await request({ ...base, path: '/api/v1/patients?pageSize=1', method: 'GET' });
+    ok(resp.status === 200, `v1 list without a header expected 200 got ${resp.status}`);
+    await setPrivileges(original.filter(p => p !== 'EditPatient'));
+    resp = await request({ ...base, path: '/api/v1/patients', method: 'POST', headers: json }, JSON.stringify({ firstName: 'Auth', lastName: 'V1' }));
+    ok(resp.status === 403 && /EditPatient/.test(resp.json.message), `v1 create expected 403 got ${resp.status} - ${resp.body}`);
+    resp = await request({ ...base, path: '/api/v1/patients/nope', method: 'DELETE' });
+    ok(resp.status === 403, `v1 delete expected 403 got ${resp.status}`);
+    await setPrivileges(original.filter(p => p !== 'ViewPatient'));
+    resp = await request({ ...base, path: '/api/v1/patients/nope', method: 'GET' });
+    ok(resp.status === 403 && /ViewPatient/.test(resp.json.message), `v1 read expected 403 got ${resp.status}`);
+  } finally {
+    await setPrivileges(original);
+  }
+
+  console.log('ALL AUTHORIZATION SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,112 @@
+const http = require('http');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const json = { 'Content-Type': 'application/json' };
+  const send = (method, path, headers = {}, body) =>
+    request({ ...base, path, method, headers: body ? { ...json, ...headers } : headers }, body && JSON.stringify(body));
+  const batch = (body, query = '') => send('POST', '/api/patients/batch' + query, {}, body);
+  const statuses = (resp) => resp.json.results.map((r) => r.status).join(',');
+  const total = async (ship) => (await send('GET', `/api/patients/${ship}`)).json.totalRecords;
+
+  const shipToId = 'BATCH' + Date.now();
+  const patient = (i, fields = {}) => ({
+    firstName: 'Fixture' + i, lastName: 'Batch', patientId: String(90000000 + i), teamName: 'Team A', dateOfBirth: '1970-01-01', ...fields
+  });
+
+  console.log('1) a 200-patient fixture is created in one call');
+  const fixture = Array.from({ length: 200 }, (_, i) => patient(i));
+  let resp = await batch({ shipToId, patients: fixture });
+  ok(resp.status === 200 && resp.json.mode === 'create' && resp.json.createdCount === 200 && resp.json.failureCount === 0,
+    'fixture: ' + resp.status + ' ' + resp.body.slice(0, 300));
+  ok(resp.json.results.every((r, i) => r.index === i && r.status === 'CREATED' && r.patientKey && r.errors.length === 0), 'fixture results');
+  ok(await total(shipToId) === 200, 'fixture should be searchable under its ship-to');
+  const firstKey = resp.json.results[0].patientKey;
+  resp = await send('GET', '/api/patients/' + firstKey);
+  ok(resp.status === 200 && resp.json.firstName === 'Fixture0' && resp.headers.etag === '"1"', 'created patient: ' + resp.body);
+  resp = await send('GET', `/api/patients/${firstKey}/history`);
+  ok(resp.json.entries[0].action === 'create' && resp.json.entries[0].route === 'POST /api/patients/batch', 'create entry: ' + resp.body);
+
+  console.log('2) invalid patients are reported by index and skipped');
+  resp = await batch({ shipToId: 'OTHER' + shipToId, patients: [patient(1), { ...patient(2), firstName: '' }, patient(3, { dateOfBirth: 'yesterday' })] });
+  ok(resp.status === 207 && statuses(resp) === 'CREATED,INVALID,INVALID' && resp.json.failureCount === 2, 'mixed batch: ' + resp.status + ' ' + resp.body);
+  ok(resp.json.results[1].patientKey === null && resp.json.results[1].errors.map((d) => d.field).join() === 'patients[1].firstName',
+    'invalid result: ' + JSON.stringify(resp.json.results[1]));
+  ok(resp.json.results[2].errors[0].field === 'patients[2].dateOfBirth', 'schema errors: ' + JSON.stringify(resp.json.results[2]));
+  ok(await total('OTHER' + shipToId) === 1, 'only the valid patient should be written');
+  const otherKey = resp.json.results[0].patientKey;
+  resp = await batch({ shipToId: 'OTHER' + shipToId, patients: [{ ...patient(4), firstName: '' }, { lastName: 'Batch' }] });
+  ok(resp.status === 400 && resp.json.errorCode === 'BAD_REQUEST' && resp.json.details[0].field === 'patients[0].firstName' &&
+    resp.json.details.length === 5, 'all invalid: ' + resp.status + ' ' + resp.body);
+  ok(await total('OTHER' + shipToId) === 1, 'an all-invalid batch must not write anything');
+
+  console.log('3) atomic=true writes all or nothing');
+  resp = await batch({ shipToId: 'ATOMIC' + shipToId, patients: [patient(1), { lastName: 'Batch' }] }, '?atomic=true');
+  ok(resp.status === 400 && resp.json.details.every((d) => d.field.startsWith('patients[1].')) && resp.json.details.length === 4,
+    'atomic failure: ' + resp.status + ' ' + resp.body);
+  ok(await total('ATOMIC' + shipToId) === 0, 'an atomic failure must not write anything');
+  // other clients' writes made while a batch is rolled back must survive it
+  const large = Array.from({ length: 999 }, (_, i) => patient(i));
+  const rolledBack = batch({ shipToId: 'ATOMIC' + shipToId, patients: [...large, { lastName: 'Batch' }] }, '?atomic=true');
+  const during = [];
+  for (let i = 0; i < 5; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    during.push(send('POST', '/api/patients', {}, patient(1000 + i, { shipToId: 'ATOMIC' + shipToId })));
+  }
+  resp = await rolledBack;
+  ok(resp.status === 400 && resp.json.details.every((d) => d.field.startsWith('patients[999].')), 'large atomic failure: ' + resp.status);
+  const duringKeys = (await Promise.all(during)).map((created) => created.json.patientKey);
+  ok(await total('ATOMIC' + shipToId) === 5, 'only the concurrent creates should be left: ' + await total('ATOMIC' + shipToId));
+  for (const key of duringKeys) {
+    resp = await send('GET', '/api/patients/' + key);
+    ok(resp.status === 200 && resp.json.patientKey === key, 'a concurrent create was rolled back with the batch: ' + key);
+  }
+  resp = await batch({ mode: 'merge', patients: [] });
+  ok(resp.status === 400 && resp.json.details.map((d) => d.field).sort().join() === 'mode,patients', 'invalid batch: ' + resp.body);
+
+  console.log('4) upsert updates patients by patientId within their ship-to');
+  resp = await batch({ mode: 'upsert', shipToId, patients: [patient(0, { teamName: 'Team B' }), patient(500), patient(500, { lastName: 'Again' })] });
+  ok(resp.status === 200 && statuses(resp) === 'UPDATED,CREATED,UPDATED' && resp.json.results[0].patientKey === firstKey,
+    'upsert: ' + resp.status + ' ' + resp.body);
+  ok(resp.json.results[2].patientKey === resp.json.results[1].patientKey, 'a patientId listed twice is written once: ' + resp.body);
+  resp = await send('GET', '/api/patients/' + firstKey);
+  ok(resp.json.teamName === 'Team B' && resp.headers.etag === '"2"', 'upserted patient: ' + resp.body);
+  resp = await send('GET', `/api/patients/${otherKey}`);
+  ok(resp.json.firstName === 'Fixture1' && resp.headers.etag === '"1"', 'another ship-to\'s patient must not be upserted: ' + resp.body);
+  ok(await total(shipToId) === 201, 'upsert count');
+
+  console.log('5) replace makes the batch the ship-to\'s patient list');
+  resp = await batch({ mode: 'replace', shipToId, patients: [patient(7), patient(8)] });
+  ok(resp.status === 200 && resp.json.deletedCount === 201 && resp.json.createdCount === 2, 'replace: ' + resp.status + ' ' + resp.body.slice(0, 300));
+  ok(await total(shipToId) === 2 && await total('OTHER' + shipToId) === 1, 'replace only touches the batch\'s ship-tos');
+  resp = await send('GET', `/api/patients/${firstKey}/history`);
+  ok(resp.json.entries[0].action === 'delete', 'replaced patients are deleted: ' + resp.body);
+
+  await send('DELETE', `/api/patients/${shipToId}?patientKeys=${(await send('GET', `/api/patients/${shipToId}`)).json.patients.map((p) => p.patientKey).join('&patientKeys=')}`);
+  await send('DELETE', '/api/patients/' + otherKey);
+  await send('POST', `/api/patients/ATOMIC${shipToId}/bulk-delete`, {}, { patientKeys: duringKeys });
+
+  console.log('ALL BATCH SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,94 @@
+const http = require('http');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const json = { 'Content-Type': 'application/json' };
+  const send = (method, path, headers = {}, body) =>
+    request({ ...base, path, method, headers: body ? { ...json, ...headers } : headers }, body && JSON.stringify(body));
+  const statuses = (resp) => resp.json.results.map((r) => r.status).join(',');
+
+  const shipToId = 'BULK' + Date.now();
+  const otherShipToId = 'OTHER' + shipToId;
+  const create = async (firstName, ship) => {
+    const resp = await send('POST', '/api/patients', {}, {
+      firstName, lastName: 'Bulk', patientId: '88800001', teamName: 'Team A', dateOfBirth: '1970-01-01', shipToId: ship
+    });
+    ok(resp.status === 201, `create expected 201 got ${resp.status} - ${resp.body}`);
+    return resp.json.patientKey;
+  };
+  const a = await create('Alpha', shipToId);
+  const b = await create('Bravo', shipToId);
+  const c = await create('Charlie', shipToId);
+  const other = await create('Other', otherShipToId);
+  // an unknown key is answered by the search route, so look for the patient itself
+  const exists = async (key) => (await send('GET', '/api/patients/' + key)).json.patientKey === key;
+
+  console.log('1) missing keys are NOT_FOUND and mixed results answer 207');
+  let resp = await send('DELETE', `/api/patients/${shipToId}?patientKeys=${a}&patientKeys=no-such-patient`);
+  ok(resp.status === 207 && statuses(resp) === 'SUCCESS,NOT_FOUND', 'mixed delete: ' + resp.status + ' ' + resp.body);
+  ok(resp.json.totalCount === 2 && resp.json.successCount === 1 && resp.json.failureCount === 1, 'counts: ' + resp.body);
+  resp = await send('DELETE', `/api/patients/${shipToId}?patientKeys=${a}`);
+  ok(resp.status === 200 && statuses(resp) === 'NOT_FOUND', 'deleting twice: ' + resp.status + ' ' + resp.body);
+  resp = await send('DELETE', `/api/patients/${shipToId}?patientKeys=${other}`);
+  ok(resp.status === 200 && statuses(resp) === 'FAILURE' && await exists(other), 'another ship-to\'s patient: ' + resp.body);
+
+  console.log('2) atomic=true deletes all or nothing');
+  resp = await send('DELETE', `/api/patients/${shipToId}?patientKeys=${b}&patientKeys=${other}&patientKeys=no-such-patient&atomic=true`);
+  ok(resp.status === 409 && resp.json.errorCode === 'ATOMIC_DELETE_FAILED', 'atomic failure: ' + resp.status + ' ' + resp.body);
+  ok(resp.json.details.map((d) => d.field).join() === 'patientKeys[1],patientKeys[2]', 'atomic failure details: ' + resp.body);
+  ok(await exists(b) && await exists(other), 'an atomic failure must not delete anything');
+  resp = await send('GET', `/api/patients/${b}/history`);
+  ok(resp.json.entries.length === 1 && resp.json.entries[0].action === 'create', 'rolled back deletes leave no history: ' + resp.body);
+  const many = Array.from({ length: 3000 }, (_, i) => `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`);
+  // other clients' writes made while an atomic batch runs must survive its rollback
+  const rolledBack = send('POST', `/api/patients/${shipToId}/bulk-delete?atomic=true`, {}, { patientKeys: [b, ...many] });
+  const during = [];
+  for (let i = 0; i < 5; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    during.push(create('During' + i, shipToId));
+  }
+  resp = await rolledBack;
+  ok(resp.status === 409 && await exists(b), 'long atomic failure: ' + resp.status);
+  const duringKeys = await Promise.all(during);
+  for (const key of duringKeys) ok(await exists(key), 'a concurrent create was rolled back with the batch: ' + key);
+
+  console.log('3) POST /bulk-delete takes the keys in the body');
+  resp = await send('POST', `/api/patients/${shipToId}/bulk-delete?atomic=true`, {}, { patientKeys: [b, c, b] });
+  ok(resp.status === 200 && statuses(resp) === 'SUCCESS,SUCCESS' && resp.json.totalCount === 2, 'atomic body delete: ' + resp.body);
+  ok(!(await exists(b)) && !(await exists(c)), 'patients should be gone');
+  const last = await create('Last', shipToId);
+  resp = await send('POST', `/api/patients/${shipToId}/bulk-delete`, {}, { patientKeys: [...many, last] });
+  ok(resp.status === 207 && resp.json.totalCount === 3001 && resp.json.successCount === 1 && resp.json.results[3000].status === 'SUCCESS',
+    'thousands of keys: ' + resp.status + ' ' + resp.body.slice(0, 200));
+  resp = await send('POST', `/api/patients/${shipToId}/bulk-delete`, {}, { patientKeys: [] });
+  ok(resp.status === 400 && resp.json.details[0].field === 'patientKeys', `empty patientKeys expected 400 got ${resp.status}`);
+  resp = await send('POST', `/api/patients/${shipToId}/bulk-delete`, {}, { keys: [a] });
+  ok(resp.status === 400, `missing patientKeys expected 400 got ${resp.status}`);
+
+  await send('DELETE', `/api/patients/${otherShipToId}?patientKeys=${other}`);
+  await send('POST', `/api/patients/${shipToId}/bulk-delete`, {}, { patientKeys: duringKeys });
+
+  console.log('ALL BULK DELETE SMOKE TESTS PASSED');
+  process.exit(0);
+})();
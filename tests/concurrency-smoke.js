@@ -0,0 +1,118 @@
+const http = require('http');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+// The server may run with REQUIRE_IF_MATCH=true; writes without If-Match are then 428
+const REQUIRED = process.env.REQUIRE_IF_MATCH === 'true';
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const json = { 'Content-Type': 'application/json' };
+  const send = (method, path, headers = {}, body) =>
+    request({ ...base, path, method, headers: body ? { ...json, ...headers } : headers }, body && JSON.stringify(body));
+  const stale = (resp, current) => resp.status === 412 && resp.json.errorCode === 'PRECONDITION_FAILED' &&
+    resp.headers.etag === current && resp.json.details[0].field === 'If-Match';
+
+  const patient = { firstName: 'Etag', lastName: 'Tester', patientId: '66600001', teamName: 'Team A', dateOfBirth: '1975-02-03' };
+
+  console.log('1) GET /api/patients/:id returns a strong ETag and honours If-None-Match');
+  let resp = await send('POST', '/api/patients', {}, patient);
+  ok(resp.status === 201 && resp.json.metadata.version === 1, `create expected 201 at version 1 - ${resp.body}`);
+  const key = resp.json.patientKey;
+  resp = await send('GET', '/api/patients/' + key);
+  ok(resp.status === 200 && resp.json.patientKey === key, 'get by id should not be answered by the search: ' + resp.body);
+  ok(resp.headers.etag === '"1"', 'patient ETag: ' + resp.headers.etag);
+  resp = await send('GET', '/api/patients/' + key, { 'If-None-Match': '"1"' });
+  ok(resp.status === 304 && resp.body === '', `If-None-Match expected 304 got ${resp.status}`);
+  resp = await send('GET', '/api/patients/' + key, { 'If-None-Match': '"0"' });
+  ok(resp.status === 200, `other If-None-Match expected 200 got ${resp.status}`);
+
+  console.log('2) PUT with the current If-Match bumps the version; a stale one is 412');
+  resp = await send('PUT', '/api/patients/' + key, { 'If-Match': '"1"' }, { ...patient, teamName: 'Team B' });
+  ok(resp.status === 200 && resp.headers.etag === '"2"' && resp.json.metadata.version === 2, 'PUT with If-Match: ' + resp.body);
+  resp = await send('PUT', '/api/patients/' + key, { 'If-Match': '"1"' }, { ...patient, teamName: 'Team C' });
+  ok(stale(resp, '"2"'), 'stale PUT: ' + resp.status + ' ' + resp.body);
+  resp = await send('GET', '/api/patients/' + key);
+  ok(resp.json.teamName === 'Team B', 'stale PUT must not write: ' + resp.json.teamName);
+
+  console.log('3) PATCH: weak tags never match, "*" and lists do');
+  const merge = { 'Content-Type': 'application/merge-patch+json' };
+  resp = await send('PATCH', '/api/patients/' + key, { ...merge, 'If-Match': 'W/"2"' }, { lastName: 'Weak' });
+  ok(stale(resp, '"2"'), 'weak If-Match: ' + resp.status);
+  resp = await send('PATCH', '/api/patients/' + key, { ...merge, 'If-Match': '"7", "2"' }, { lastName: 'Listed' });
+  ok(resp.status === 200 && resp.headers.etag === '"3"', 'If-Match list: ' + resp.status + ' ' + resp.body);
+  resp = await send('PATCH', '/api/patients/' + key, { ...merge, 'If-Match': '*' }, { lastName: 'Star' });
+  ok(resp.status === 200 && resp.headers.etag === '"4"', 'If-Match *: ' + resp.status);
+
+  console.log('4) DELETE honours If-Match; unknown ids stay 404');
+  resp = await send('DELETE', '/api/patients/' + key, { 'If-Match': '"3"' });
+  ok(stale(resp, '"4"'), 'stale DELETE: ' + resp.status);
+  resp = await send('DELETE', '/api/patients/' + key, { 'If-Match': '"4"' });
+  ok(resp.status === 204, `DELETE expected 204 got ${resp.status}`);
+  resp = await send('PUT', '/api/patients/' + key, { 'If-Match': '"4"' }, patient);
+  ok(resp.status === 404, `PUT on a deleted patient expected 404 got ${resp.status}`);
+
+  console.log('5) users carry a version too');
+  resp = await send('POST', '/users', {}, { name: 'Etag User', email: 'etag@example.com' });
+  const userId = resp.json.id;
+  resp = await send('GET', '/users/' + userId);
+  ok(resp.status === 200 && resp.headers.etag === '"1"', 'user ETag: ' + resp.headers.etag);
+  resp = await send('GET', '/users/' + userId, { 'If-None-Match': '"1"' });
+  ok(resp.status === 304, `user If-None-Match expected 304 got ${resp.status}`);
+  resp = await send('PATCH', '/users/' + userId, { 'If-Match': '"1"' }, { email: 'etag2@example.com' });
+  ok(resp.status === 200 && resp.headers.etag === '"2"' && resp.json.version === 2, 'user PATCH: ' + resp.body);
+  resp = await send('PUT', '/users/' + userId, { 'If-Match': '"1"' }, { name: 'Lost', email: 'lost@example.com' });
+  ok(stale(resp, '"2"'), 'stale user PUT: ' + resp.status);
+  resp = await send('DELETE', '/users/' + userId, { 'If-Match': '"1"' });
+  ok(stale(resp, '"2"'), 'stale user DELETE: ' + resp.status);
+  resp = await send('DELETE', '/users/' + userId, { 'If-Match': '"2"' });
+  ok(resp.status === 204, `user DELETE expected 204 got ${resp.status}`);
+
+  console.log('6) preferences: the fallback has its own ETag until the sold-to writes');
+  const soldToId = 'ETAG' + Date.now();
+  const prefsPath = `/api/preferences?soldToId=${soldToId}&state=IL`;
+  const admin = { 'X-Mock-Persona': 'admin' }; // preference writes need HH_EDPO
+  const prefs = {
+    routingAndBehavior: { rejectedOrderAction: 'CANCEL_ORDER', orderCanceledNotifications: true },
+    dmeSupplierPreferences: { setPreferencesEnabled: false, preferredDmeSupplierList: [], nonPreferredDmeSupplierList: [] }
+  };
+  resp = await send('GET', prefsPath);
+  const fallbackTag = resp.headers.etag;
+  ok(resp.status === 200 && /^"(global-\d+|default)"$/.test(fallbackTag), 'fallback preferences ETag: ' + fallbackTag);
+  resp = await send('PUT', prefsPath, { ...admin, 'If-Match': fallbackTag }, prefs);
+  ok(resp.status === 200 && resp.headers.etag === '"1"', 'first preferences PUT: ' + resp.status + ' ' + resp.body);
+  resp = await send('PUT', prefsPath, { ...admin, 'If-Match': fallbackTag }, prefs);
+  ok(stale(resp, '"1"'), 'fallback ETag is stale once the sold-to has its own preferences: ' + resp.status);
+  resp = await send('GET', prefsPath, { 'If-None-Match': '"1"' });
+  ok(resp.status === 304, `preferences If-None-Match expected 304 got ${resp.status}`);
+
+  console.log(`7) writes without If-Match are ${REQUIRED ? 'rejected with 428' : 'accepted'}`);
+  resp = await send('PUT', prefsPath, admin, prefs);
+  if (REQUIRED) {
+    ok(resp.status === 428 && resp.json.errorCode === 'PRECONDITION_REQUIRED', 'missing If-Match: ' + resp.status);
+    resp = await send('PUT', prefsPath, { ...admin, 'If-Match': '"1"' }, prefs);
+  }
+  ok(resp.status === 200 && resp.headers.etag === '"2"', 'preferences PUT: ' + resp.status + ' ' + resp.body);
+
+  console.log('ALL CONCURRENCY SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,63 @@
+const http = require('http');
+const ExcelJS = require('exceljs');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        let json = null;
+        try { json = JSON.parse(buffer.toString('utf8')); } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, buffer, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+
+  console.log('1) POST /api/patients (fixture)');
+  const marker = 'Xlsx' + Date.now();
+  const fixture = {
+    firstName: marker, lastName: 'Export', patientId: 'EXP001', teamName: 'Export Team',
+    dateOfBirth: '1980-02-29', shipToId: '1483051',
+    primaryPayer: { payerType: 'Agency', payerDisplayName: 'Medicare' }
+  };
+  let resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify(fixture));
+  ok(resp.status === 201, `expected 201, got ${resp.status}`);
+  const patientKey = resp.json.patientKey;
+
+  console.log('2) GET /api/patient/download/1483051?q=' + marker);
+  resp = await request({ ...base, path: `/api/patient/download/1483051?q=${marker}&sortBy=LAST_NAME&sortDir=DESC`, method: 'GET' });
+  ok(resp.status === 200, `download expected 200 got ${resp.status}`);
+  ok(/spreadsheetml/.test(resp.headers['content-type']), 'unexpected content type ' + resp.headers['content-type']);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(resp.buffer);
+  const sheet = workbook.getWorksheet('Patients');
+  ok(sheet, 'Patients sheet missing');
+  ok(sheet.getRow(1).getCell(2).value === 'First name*', 'header row mismatch');
+  ok(sheet.rowCount === 2, `expected 1 data row, got ${sheet.rowCount - 1}`);
+  const row = sheet.getRow(2);
+  ok(row.getCell(2).value === marker, 'firstName mismatch');
+  const dob = row.getCell(18).value;
+  ok(dob instanceof Date && dob.toISOString().startsWith('1980-02-29'), 'dateOfBirth is not a date cell: ' + dob);
+
+  console.log('3) invalid sortBy should be 400');
+  resp = await request({ ...base, path: '/api/apic/patients/download/1483051?sortBy=NOPE', method: 'GET' });
+  ok(resp.status === 400, `expected 400 got ${resp.status}`);
+
+  await request({ ...base, path: '/api/patients/' + patientKey, method: 'DELETE' });
+
+  console.log('ALL EXPORT SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,90 @@
+const http = require('http');
+
+function request(options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  const json = { 'Content-Type': 'application/json' };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+
+  console.log('1) GET /api/admin/faults lists the default search latency');
+  let resp = await request({ ...base, path: '/api/admin/faults', method: 'GET' });
+  ok(resp.status === 200, `expected 200, got ${resp.status}`);
+  ok(resp.json.rules.some(r => r.path === '/api/patients/:shipToId' && r.latencyMs === 2000), 'default latency rule missing');
+
+  console.log('2) invalid rule is rejected with details');
+  resp = await request({ ...base, path: '/api/admin/faults', method: 'POST', headers: json }, JSON.stringify({ path: 'users', errorRate: 2 }));
+  ok(resp.status === 400 && resp.json.details.length === 2, `expected 400 with 2 details, got ${resp.status} - ${resp.body}`);
+
+  console.log('3) error + latency rule on GET /users/:id');
+  resp = await request({ ...base, path: '/api/admin/faults', method: 'POST', headers: json }, JSON.stringify({
+    method: 'GET', path: '/users/:id', latencyMs: 300, errorRate: 1, errorStatus: 503, errorBody: { message: 'down for maintenance' }
+  }));
+  ok(resp.status === 201, `create expected 201 got ${resp.status} - ${resp.body}`);
+  const errorRule = resp.json;
+  const started = Date.now();
+  resp = await request({ ...base, path: '/users/12345', method: 'GET' });
+  ok(resp.status === 503 && resp.json.message === 'down for maintenance', `expected injected 503 got ${resp.status}`);
+  ok(Date.now() - started >= 300, 'latency was not applied');
+
+  console.log('4) disabled rule lets requests through');
+  resp = await request({ ...base, path: '/api/admin/faults/' + errorRule.id, method: 'PUT', headers: json }, JSON.stringify({ ...errorRule, enabled: false }));
+  ok(resp.status === 200 && resp.json.enabled === false, `disable expected 200 got ${resp.status}`);
+  resp = await request({ ...base, path: '/users/12345', method: 'GET' });
+  ok(resp.status === 404, `expected real 404 got ${resp.status}`);
+
+  console.log('5) drop rule closes the connection');
+  resp = await request({ ...base, path: '/api/admin/faults', method: 'POST', headers: json }, JSON.stringify({ method: 'GET', path: '/users', dropRate: 1 }));
+  const dropRule = resp.json;
+  let dropped = false;
+  try { await request({ ...base, path: '/users', method: 'GET' }); } catch (e) { dropped = true; }
+  ok(dropped, 'connection was not dropped');
+
+  console.log('6) search latency leaves single-patient reads alone');
+  const auth = { Authorization: 'Bearer test' };
+  const searchRule = (await request({ ...base, path: '/api/admin/faults', method: 'GET' })).json.rules.find((r) => r.id === 'default-patient-search-latency');
+  resp = await request({ ...base, path: '/api/admin/faults/' + searchRule.id, method: 'PUT', headers: json }, JSON.stringify({ ...searchRule, enabled: true, latencyMs: 1000 }));
+  ok(resp.status === 200, `enable search latency expected 200 got ${resp.status}`);
+  resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: { ...json, ...auth } }, JSON.stringify({
+    firstName: 'Fast', lastName: 'Read', patientId: 'FAULT001', teamName: 'Team A', dateOfBirth: '1970-01-01'
+  }));
+  const key = resp.json.patientKey;
+  let timed = Date.now();
+  resp = await request({ ...base, path: '/api/patients/' + key, method: 'GET', headers: auth });
+  ok(resp.status === 200 && resp.json.patientKey === key && Date.now() - timed < 1000, `single read took ${Date.now() - timed}ms`);
+  timed = Date.now();
+  resp = await request({ ...base, path: '/api/patients/DEFAULT?pageSize=1', method: 'GET', headers: auth });
+  ok(resp.status === 200 && Date.now() - timed >= 1000, `search should still be delayed, took ${Date.now() - timed}ms`);
+  await request({ ...base, path: '/api/admin/faults/' + searchRule.id, method: 'PUT', headers: json }, JSON.stringify(searchRule));
+  await request({ ...base, path: '/api/patients/' + key, method: 'DELETE', headers: auth });
+
+  for (const rule of [errorRule, dropRule]) {
+    resp = await request({ ...base, path: '/api/admin/faults/' + rule.id, method: 'DELETE' });
+    ok(resp.status === 204, `delete expected 204 got ${resp.status}`);
+  }
+
+  console.log('7) unknown rules are 404 NOT_FOUND');
+  resp = await request({ ...base, path: '/api/admin/faults/' + errorRule.id, method: 'DELETE' });
+  ok(resp.status === 404 && resp.json.errorCode === 'NOT_FOUND', `delete again expected 404 got ${resp.status} - ${resp.body}`);
+  resp = await request({ ...base, path: '/api/admin/faults/' + errorRule.id, method: 'PUT', headers: json }, JSON.stringify(errorRule));
+  ok(resp.status === 404 && resp.json.errorCode === 'NOT_FOUND', `update expected 404 got ${resp.status} - ${resp.body}`);
+
+  console.log('ALL FAULT SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,66 @@
+const http = require('http');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+// Response checks only turn into errors in strict mode; run the server and this script with
+// OPENAPI_RESPONSE_VALIDATION=strict to cover step 3.
+const STRICT = process.env.OPENAPI_RESPONSE_VALIDATION === 'strict';
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  const json = { 'Content-Type': 'application/json' };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const fields = (resp) => (resp.json.details || []).map(d => d.field).sort().join(',');
+
+  console.log('1) query parameters are validated against swagger.yaml');
+  let resp = await request({ ...base, path: '/api/patients/1483051?pageSize=500&sortDir=SIDEWAYS', method: 'GET' });
+  ok(resp.status === 400 && resp.json.errorCode === 'BAD_REQUEST', `expected 400 got ${resp.status} - ${resp.body}`);
+  ok(fields(resp) === 'pageSize,sortDir', 'expected pageSize and sortDir details, got ' + fields(resp));
+  resp = await request({ ...base, path: '/api/patients/1483051?pageSize=5&sortDir=DESC', method: 'GET' });
+  ok(resp.status === 200, `valid search expected 200 got ${resp.status}`);
+  resp = await request({ ...base, path: '/api/preferences?soldToId=1483051', method: 'GET' });
+  ok(resp.status === 400 && fields(resp) === 'state', `missing required state expected 400 got ${resp.status} - ${resp.body}`);
+
+  console.log('2) request bodies are validated');
+  resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: json }, JSON.stringify({
+    firstName: 'Spec', patientId: 'SPEC001', teamName: 'Blue', dateOfBirth: '1980-13-45', primaryPayer: { payerType: 'Cash', payerDisplayName: 'Medicare' }
+  }));
+  ok(resp.status === 400, `invalid create expected 400 got ${resp.status}`);
+  ok(fields(resp) === 'dateOfBirth,lastName,primaryPayer.payerType', 'unexpected details ' + JSON.stringify(resp.json.details));
+  resp = await request({ ...base, path: '/api/apic/ecom/barcode/label/v1/print', method: 'POST', headers: json }, JSON.stringify({ barcodeInfo: [], printCodeOnLabel: 'yes' }));
+  ok(resp.status === 400 && fields(resp) === 'barcodeInfo,printCodeOnLabel', `invalid print expected 400 got ${resp.status} - ${resp.body}`);
+  resp = await request({ ...base, path: '/api/apic/ecom/barcode/label/v1/print', method: 'POST', headers: json }, JSON.stringify({
+    barcodeInfo: [{ barcodeValue: 'LABEL001' }], labelType: 'THERMAL'
+  }));
+  ok(resp.status === 400 && fields(resp) === 'labelType', `unknown labelType expected 400 got ${resp.status} - ${resp.body}`);
+
+  if (STRICT) {
+    console.log('3) strict mode turns undocumented responses into 500');
+    resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: { 'Content-Type': 'text/plain' } }, 'not json');
+    ok(resp.status === 500 && resp.json.errorCode === 'RESPONSE_VALIDATION_FAILED', `expected 500 got ${resp.status} - ${resp.body}`);
+    ok(resp.json.details.some(d => d.field === 'status'), 'expected a status detail');
+  } else {
+    console.log('3) (skipped, set OPENAPI_RESPONSE_VALIDATION=strict)');
+  }
+
+  console.log('ALL OPENAPI SMOKE TESTS PASSED');
+  process.exit(0);
+})();
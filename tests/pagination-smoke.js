@@ -0,0 +1,122 @@
+const http = require('http');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const json = { 'Content-Type': 'application/json' };
+
+  const shipToId = 'PAGE' + Date.now();
+  const get = (path) => request({ ...base, path, method: 'GET' });
+  const names = (resp) => resp.json.patients.map((p) => p.lastName).join(',');
+  // <url>; rel="next" -> { next: url }
+  const links = (resp) => Object.fromEntries((resp.headers.link || '').split(', ').filter(Boolean)
+    .map((link) => /<([^>]+)>; rel="(\w+)"/.exec(link)).map((m) => [m[2], m[1]]));
+
+  const keys = [];
+  const create = async (lastName) => {
+    const resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: json }, JSON.stringify({
+      firstName: 'Page', lastName, patientId: '88800000', teamName: 'Paging', dateOfBirth: '1980-01-01', shipToId
+    }));
+    ok(resp.status === 201, `create expected 201 got ${resp.status} - ${resp.body}`);
+    keys.push(resp.json.patientKey);
+  };
+
+  console.log('1) create patients B, D, F, H, J under ship-to ' + shipToId);
+  for (const lastName of ['Bb', 'Dd', 'Ff', 'Hh', 'Jj']) await create(lastName);
+
+  console.log('2) first page carries nextCursor and a Link header');
+  let resp = await get(`/api/patients/${shipToId}?sortBy=LAST_NAME&pageSize=2`);
+  ok(resp.status === 200 && names(resp) === 'Bb,Dd', 'first page: ' + resp.body);
+  ok(resp.json.nextCursor && resp.json.prevCursor === null, 'first page cursors: ' + resp.body);
+  ok(links(resp).next && !links(resp).prev, 'first page Link header: ' + resp.headers.link);
+  ok(links(resp).next.includes('sortBy=LAST_NAME') && links(resp).next.includes('cursor='), 'next link keeps the query: ' + links(resp).next);
+
+  console.log('3) rows inserted mid-scroll do not shift the next page');
+  await create('Aa');
+  resp = await get(links(resp).next);
+  ok(resp.status === 200 && names(resp) === 'Ff,Hh', 'second page via Link: ' + resp.body);
+  ok(resp.json.pageNo === null && resp.json.totalRecords === 6, 'cursor page metadata: ' + resp.body);
+  const secondPage = resp;
+
+  resp = await get(`/api/patients/${shipToId}?sortBy=LAST_NAME&pageSize=2&cursor=${secondPage.json.nextCursor}`);
+  ok(names(resp) === 'Jj' && resp.json.nextCursor === null && !links(resp).next, 'last page: ' + resp.body);
+
+  console.log('4) prevCursor walks back');
+  resp = await get(links(secondPage).prev);
+  ok(names(resp) === 'Bb,Dd', 'previous page: ' + names(resp));
+  ok(resp.json.prevCursor, 'Aa was inserted before Bb, so there is still a previous page');
+  resp = await get(`/api/patients/${shipToId}?sortBy=LAST_NAME&pageSize=2&cursor=${resp.json.prevCursor}`);
+  ok(names(resp) === 'Aa' && resp.json.prevCursor === null, 'first row reached: ' + resp.body);
+
+  console.log('5) descending multi-key and relevance orders page too');
+  let seen = [];
+  let path = `/api/patients/${shipToId}?sortBy=TEAM,LAST_NAME&sortDir=ASC,DESC&pageSize=4`;
+  while (path) {
+    resp = await get(path);
+    seen.push(names(resp));
+    path = links(resp).next;
+  }
+  ok(seen.join('|') === 'Jj,Hh,Ff,Dd|Bb,Aa', 'descending pages: ' + seen.join('|'));
+  resp = await get(`/api/patients/${shipToId}?q=page&pageSize=4`);
+  resp = await get(links(resp).next);
+  ok(resp.status === 200 && resp.json.patients.length === 2, 'relevance second page: ' + resp.body);
+
+  console.log('6) invalid and mismatched cursors are 400 with details');
+  resp = await get(`/api/patients/${shipToId}?sortBy=FIRST_NAME&pageSize=2&cursor=${secondPage.json.nextCursor}`);
+  ok(resp.status === 400 && resp.json.details[0].field === 'cursor', 'cursor for another sort: ' + resp.body);
+  resp = await get(`/api/patients/${shipToId}?cursor=garbage`);
+  ok(resp.status === 400 && resp.json.details[0].issue === 'is not a valid cursor', 'garbage cursor: ' + resp.body);
+  resp = await get(`/api/patients/${shipToId}?sortBy=LAST_NAME&pageNo=2&cursor=${secondPage.json.nextCursor}`);
+  ok(resp.status === 400 && /pageNo/.test(resp.json.details[0].issue), 'cursor with pageNo: ' + resp.body);
+
+  console.log('7) GET /api/patients pages in insertion order');
+  resp = await get('/api/patients?pageSize=3');
+  ok(resp.status === 200 && resp.json.nextCursor, 'global list first page: ' + resp.status);
+  const firstKeys = resp.json.patients.map((p) => p.patientKey);
+  resp = await get(links(resp).next);
+  ok(resp.status === 200 && resp.json.patients.every((p) => !firstKeys.includes(p.patientKey)), 'global list pages overlap');
+
+  console.log('8) GET /users keyset paging alongside limit/offset');
+  const userIds = [];
+  for (let i = 0; i < 3; i++) {
+    resp = await request({ ...base, path: '/users', method: 'POST', headers: json }, JSON.stringify({ name: 'Pager ' + i, email: `pager${i}@example.com` }));
+    userIds.push(resp.json.id);
+  }
+  const total = [];
+  let usersPath = '/users?limit=2';
+  while (usersPath) {
+    resp = await get(usersPath);
+    ok(resp.status === 200, `users page expected 200 got ${resp.status}`);
+    total.push(...resp.json.data.map((u) => u.id));
+    usersPath = links(resp).next;
+  }
+  ok(userIds.every((id) => total.includes(id)) && new Set(total).size === total.length, 'users pages should cover every user once');
+  resp = await get('/users?limit=2&offset=2&cursor=abc');
+  ok(resp.status === 400 && resp.json.details[0].field === 'cursor', 'users cursor with offset: ' + resp.body);
+
+  for (const key of keys) await request({ ...base, path: '/api/patients/' + key, method: 'DELETE' });
+  for (const id of userIds) await request({ ...base, path: '/users/' + id, method: 'DELETE' });
+
+  console.log('ALL PAGINATION SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,111 @@
+const http = require('http');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const patch = (id, type, body) => request({ ...base, path: '/api/patients/' + id, method: 'PATCH', headers: { 'Content-Type': type } }, JSON.stringify(body));
+  const MERGE = 'application/merge-patch+json';
+  const JSON_PATCH = 'application/json-patch+json';
+
+  console.log('1) POST /api/patients');
+  let resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({
+    firstName: 'Patchy',
+    lastName: 'McPatch',
+    patientId: '55500001',
+    teamName: 'Team A',
+    dateOfBirth: '1970-01-01',
+    primaryPayer: { payerType: 'Agency', payerDisplayName: 'Medicare' }
+  }));
+  ok(resp.status === 201, `create expected 201 got ${resp.status} - ${resp.body}`);
+  const id = resp.json.patientKey;
+  ok(resp.json.metadata && resp.json.metadata.createdBy === 'api', 'created patient missing metadata');
+
+  console.log('2) merge patch changes and removes fields');
+  resp = await patch(id, MERGE, { teamName: 'Team B', primaryPayer: null });
+  ok(resp.status === 200, `merge patch expected 200 got ${resp.status} - ${resp.body}`);
+  ok(resp.json.teamName === 'Team B' && resp.json.firstName === 'Patchy', 'merge patch not applied');
+  ok(resp.json.primaryPayer === undefined || resp.json.primaryPayer === null, 'primaryPayer not removed');
+  ok(resp.json.metadata.updatedBy === 'api' && resp.json.metadata.updatedAt, 'metadata.updatedAt/updatedBy not stamped');
+
+  console.log('3) merge patch removing a required field is 400');
+  resp = await patch(id, MERGE, { lastName: null });
+  ok(resp.status === 400, `expected 400 got ${resp.status}`);
+  ok(resp.json.details.some((d) => d.field === 'lastName'), 'lastName detail missing');
+
+  console.log('4) JSON patch test + replace + add');
+  resp = await patch(id, JSON_PATCH, [
+    { op: 'test', path: '/teamName', value: 'Team B' },
+    { op: 'replace', path: '/firstName', value: 'Patricia' },
+    { op: 'add', path: '/primaryPayer', value: { payerType: 'Agency', payerDisplayName: 'Medicaid' } }
+  ]);
+  ok(resp.status === 200, `JSON patch expected 200 got ${resp.status} - ${resp.body}`);
+  ok(resp.json.firstName === 'Patricia' && resp.json.primaryPayer.payerDisplayName === 'Medicaid', 'JSON patch not applied');
+
+  console.log('5) failed test is 409 and nothing changes');
+  resp = await patch(id, JSON_PATCH, [
+    { op: 'replace', path: '/firstName', value: 'Nope' },
+    { op: 'test', path: '/teamName', value: 'Team Z' }
+  ]);
+  ok(resp.status === 409, `expected 409 got ${resp.status}`);
+  resp = await request({ ...base, path: '/api/patients/' + id, method: 'PATCH', headers: { 'Content-Type': JSON_PATCH } }, '[]');
+  ok(resp.json.firstName === 'Patricia', 'failed patch was partially applied');
+
+  console.log('6) missing path is 422, bad op and invalid date are 400');
+  resp = await patch(id, JSON_PATCH, [{ op: 'remove', path: '/nickname' }]);
+  ok(resp.status === 422, `missing path expected 422 got ${resp.status}`);
+  resp = await patch(id, JSON_PATCH, [{ op: 'move', from: '/firstName', path: '/lastName' }]);
+  ok(resp.status === 400 && resp.json.details[0].field === '[0].op', `bad op expected 400 got ${resp.status}`);
+  resp = await patch(id, MERGE, { dateOfBirth: 'yesterday' });
+  ok(resp.status === 400, `invalid date expected 400 got ${resp.status}`);
+
+  console.log('7) read-only fields, content types and unknown ids');
+  resp = await patch(id, MERGE, { patientKey: 'other' });
+  ok(resp.status === 400 && resp.json.details[0].field === 'patientKey', `patientKey change expected 400 got ${resp.status}`);
+  resp = await patch(id, 'application/json', { teamName: 'Team C' });
+  ok(resp.status === 415, `plain JSON expected 415 got ${resp.status}`);
+  resp = await patch(id, 'text/plain', { teamName: 'Team C' });
+  ok(resp.status === 415, `text/plain expected 415 got ${resp.status}`);
+  resp = await patch('does-not-exist', MERGE, { teamName: 'Team C' });
+  ok(resp.status === 404, `unknown id expected 404 got ${resp.status}`);
+
+  console.log('8) patches cannot reach Object.prototype');
+  for (const path of ['/__proto__/polluted', '/constructor/prototype/polluted', '/primaryPayer/__proto__']) {
+    resp = await patch(id, JSON_PATCH, [{ op: 'add', path, value: 'yes' }]);
+    ok(resp.status === 400 && resp.json.details[0].field === '[0].path', `${path} expected 400 got ${resp.status} - ${resp.body}`);
+  }
+  resp = await patch(id, JSON_PATCH, [{ op: 'add', path: '/toString/polluted', value: 'yes' }]);
+  ok(resp.status === 422, `inherited property expected 422 got ${resp.status}`);
+  // JSON.parse keeps "__proto__" as an own key, as a request body would
+  resp = await patch(id, MERGE, JSON.parse('{ "__proto__": { "polluted": "yes" }, "teamName": "Team D" }'));
+  ok(resp.status === 200 && resp.json.teamName === 'Team D' && !('polluted' in resp.json), `merge patch with __proto__: ${resp.status} ${resp.body}`);
+  ok({}.polluted === undefined, 'Object.prototype of the test itself');
+  resp = await request({ ...base, path: '/api/patients/' + id, method: 'GET' });
+  ok(resp.status === 200 && resp.json.patientKey === id && resp.json.polluted === undefined, `GET after the attempts: ${resp.status} ${resp.body}`);
+  resp = await request({ ...base, path: '/users', method: 'GET' });
+  ok(resp.status === 200, `GET /users after the attempts expected 200 got ${resp.status}`);
+
+  await request({ ...base, path: '/api/patients/' + id, method: 'DELETE' });
+
+  console.log('ALL PATCH SMOKE TESTS PASSED');
+  process.exit(0);
+})();
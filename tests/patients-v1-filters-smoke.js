@@ -0,0 +1,50 @@
+const http = require('http');
+
+function request(options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  const json = { 'Content-Type': 'application/json' };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+
+  console.log('1) POST a pinned /api/v1/patients patient');
+  let resp = await request({ ...base, path: '/api/v1/patients', method: 'POST', headers: json }, JSON.stringify({
+    firstName: 'Filter', lastName: 'Patient', isPinned: true
+  }));
+  ok(resp.status === 201 && resp.json.isPinned === true && resp.json.status === 'ACTIVE', `expected 201, got ${resp.status} - ${resp.body}`);
+  const id = resp.json.id;
+
+  console.log('2) GET /api/v1/patients filters by q, isPinned and status');
+  resp = await request({ ...base, path: '/api/v1/patients?q=' + id + '&isPinned=true&status=ACTIVE&sortBy=lastName&sortMethod=desc', method: 'GET' });
+  ok(resp.status === 200, `list expected 200 got ${resp.status} - ${resp.body}`);
+  ok(resp.json.totalRecords === 1 && resp.json.data[0].id === id && resp.json.curentPageSize === 1 && resp.json.pagesCount === 1, 'list did not find the pinned patient');
+  resp = await request({ ...base, path: '/api/v1/patients?q=' + id + '&isPinned=false', method: 'GET' });
+  ok(resp.status === 200 && resp.json.totalRecords === 0, 'isPinned=false should exclude the pinned patient');
+  resp = await request({ ...base, path: '/api/v1/patients?q=' + id + '&status=PENDING,DISCHARGED', method: 'GET' });
+  ok(resp.status === 200 && resp.json.totalRecords === 0, 'a status list without ACTIVE should exclude the patient');
+
+  console.log('3) invalid status is 400');
+  resp = await request({ ...base, path: '/api/v1/patients?status=GONE', method: 'GET' });
+  ok(resp.status === 400 && resp.json.details[0].field === 'status', `invalid status expected 400 got ${resp.status}`);
+
+  await request({ ...base, path: '/api/v1/patients/' + id, method: 'DELETE' });
+
+  console.log('ALL PATIENT V1 FILTER SMOKE TESTS PASSED');
+  process.exit(0);
+})();
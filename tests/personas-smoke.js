@@ -0,0 +1,87 @@
+const http = require('http');
+
+function request(options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  const json = { 'Content-Type': 'application/json' };
+  const auth = { Authorization: 'Bearer test' };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const userContext = (headers) => request({ ...base, path: '/api/apic/ecom/user/usercontext/v2/details', method: 'GET', headers });
+
+  console.log('1) default personas are seeded');
+  let resp = await request({ ...base, path: '/api/admin/personas', method: 'GET' });
+  ok(resp.status === 200, `expected 200 got ${resp.status}`);
+  const ids = resp.json.personas.map(p => p.id);
+  ok(['global', 'readonly-clinician', 'admin', 'no-view-patient'].every(id => ids.includes(id)), 'missing default personas: ' + ids);
+
+  console.log('2) persona chosen by header, cookie and token subject');
+  resp = await userContext({});
+  ok(resp.json.details.username === 'AUTO_HH_RW', 'default persona should be AUTO_HH_RW');
+  resp = await userContext({ 'X-Mock-Persona': 'readonly-clinician' });
+  ok(resp.json.details.username === 'AUTO_HH_RO' && !resp.json.privileges.includes('EditPatient'), 'header persona mismatch');
+  resp = await userContext({ Cookie: 'mockPersona=admin' });
+  ok(resp.json.details.username === 'AUTO_HH_ADMIN', 'cookie persona mismatch');
+  resp = await request({ ...base, path: '/api/apic/token', method: 'POST', headers: { 'X-Mock-Persona': 'no-view-patient' } });
+  const token = resp.json.access_token;
+  resp = await userContext({ Authorization: 'Bearer ' + token });
+  ok(resp.json.details.username === 'AUTO_HH_NOVIEW', 'token subject persona mismatch');
+  resp = await userContext({ 'X-Mock-Persona': 'nobody' });
+  ok(resp.status === 400 && resp.json.errorCode === 'UNKNOWN_PERSONA', `unknown persona expected 400 got ${resp.status}`);
+
+  console.log('3) privileges follow the persona');
+  resp = await request({ ...base, path: '/api/patients/1483051', method: 'GET', headers: { Authorization: 'Bearer ' + token } });
+  ok(resp.status === 403, `no-view-patient search expected 403 got ${resp.status}`);
+  resp = await request({ ...base, path: '/api/patients/1483051', method: 'GET', headers: { ...auth, 'X-Mock-Persona': 'readonly-clinician' } });
+  ok(resp.status === 200, `readonly search expected 200 got ${resp.status}`);
+  resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: { ...auth, ...json, Cookie: 'mockPersona=readonly-clinician' } }, JSON.stringify({
+    firstName: 'Persona', lastName: 'Smoke', patientId: 'PER001', teamName: 'Blue', dateOfBirth: '1980-01-01'
+  }));
+  ok(resp.status === 403, `readonly create expected 403 got ${resp.status}`);
+
+  console.log('4) create, clone, edit and delete a persona');
+  const persona = { id: 'smoke-persona', name: 'Smoke', details: { id: '99900000001', username: 'SMOKE_USER', firstName: 'Smoke' }, privileges: ['ViewPatient'] };
+  resp = await request({ ...base, path: '/api/admin/personas', method: 'POST', headers: json }, JSON.stringify(persona));
+  ok(resp.status === 201 && resp.json.privileges.length === 1, `create expected 201 got ${resp.status} - ${resp.body}`);
+  resp = await request({ ...base, path: '/api/admin/personas', method: 'POST', headers: json }, JSON.stringify(persona));
+  ok(resp.status === 409, `duplicate expected 409 got ${resp.status}`);
+  resp = await request({ ...base, path: '/api/admin/personas', method: 'POST', headers: json }, JSON.stringify({ id: 'bad id!' }));
+  ok(resp.status === 400 && resp.json.details.length >= 2, `invalid expected 400 got ${resp.status}`);
+
+  resp = await request({ ...base, path: '/api/admin/personas/smoke-persona/clone', method: 'POST', headers: json }, JSON.stringify({}));
+  ok(resp.status === 201 && resp.json.id === 'smoke-persona-copy' && resp.json.details.id !== persona.details.id, `clone expected 201 got ${resp.status} - ${resp.body}`);
+  ok(resp.json.details.username === 'SMOKE_USER' && resp.json.privileges.join() === 'ViewPatient', 'clone should copy details and privileges');
+
+  resp = await request({ ...base, path: '/api/admin/personas/smoke-persona', method: 'PUT', headers: json }, JSON.stringify({ ...persona, name: 'Renamed', privileges: undefined }));
+  ok(resp.status === 200 && resp.json.name === 'Renamed' && resp.json.privileges.join() === 'ViewPatient', `update expected 200 got ${resp.status} - ${resp.body}`);
+  resp = await request({ ...base, path: '/api/admin/privileges?persona=smoke-persona', method: 'POST', headers: json }, JSON.stringify({ privileges: ['EditPatient'] }));
+  ok(resp.status === 200, `privileges save expected 200 got ${resp.status}`);
+  resp = await userContext({ 'X-Mock-Persona': 'smoke-persona' });
+  ok(resp.json.details.username === 'SMOKE_USER' && resp.json.privileges.join() === 'EditPatient', 'edited persona mismatch');
+
+  for (const id of ['smoke-persona', 'smoke-persona-copy']) {
+    resp = await request({ ...base, path: '/api/admin/personas/' + id, method: 'DELETE' });
+    ok(resp.status === 204, `delete expected 204 got ${resp.status}`);
+  }
+  resp = await request({ ...base, path: '/api/admin/personas/global', method: 'DELETE' });
+  ok(resp.status === 400, `deleting default expected 400 got ${resp.status}`);
+
+  console.log('ALL PERSONA SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,106 @@
+const http = require('http');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+function request(options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  const json = { 'Content-Type': 'application/json' };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const configure = (settings) => request({ ...base, path: '/api/admin/proxy', method: 'PUT', headers: json }, JSON.stringify(settings));
+
+  // local stand-in for the real APIC environment
+  const upstreamCalls = [];
+  const upstream = http.createServer((req, res) => {
+    let chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      upstreamCalls.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      if (req.url.startsWith('/api/apic/ecom/orders/v1/missing')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ message: 'no such order' }));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-Upstream': 'apic' });
+      res.end(JSON.stringify({ orderId: req.url.split('/')[6].split('?')[0], method: req.method, received: chunks.length ? JSON.parse(Buffer.concat(chunks)) : null }));
+    });
+  });
+  await new Promise((resolve) => upstream.listen(0, resolve));
+  const target = `http://localhost:${upstream.address().port}`;
+  const file = 'proxy-smoke.jsonl';
+
+  console.log('1) invalid settings are rejected');
+  let resp = await configure({ mode: 'record', file: '../escape.jsonl' });
+  ok(resp.status === 400 && resp.json.details.length === 2, `expected 400 with 2 details, got ${resp.status} - ${resp.body}`);
+
+  console.log('2) record mode forwards unmatched requests and records them');
+  resp = await configure({ mode: 'record', target, file });
+  ok(resp.status === 200 && resp.json.mode === 'record', `configure expected 200 got ${resp.status} - ${resp.body}`);
+  await request({ ...base, path: '/api/admin/proxy/recordings', method: 'DELETE' });
+
+  resp = await request({ ...base, path: '/api/apic/ecom/orders/v1/A1?expand=lines', method: 'GET', headers: { Authorization: 'Bearer secret' } });
+  ok(resp.status === 200 && resp.json.orderId === 'A1' && resp.headers['x-upstream'] === 'apic' && resp.headers['x-mock-proxy'] === 'recorded',
+    `expected forwarded response got ${resp.status} - ${resp.body}`);
+  ok(upstreamCalls[0].url === '/api/apic/ecom/orders/v1/A1?expand=lines' && upstreamCalls[0].headers.authorization === 'Bearer secret', 'upstream did not get the original request');
+  resp = await request({ ...base, path: '/api/apic/ecom/orders/v1/B2', method: 'POST', headers: json }, JSON.stringify({ qty: 2 }));
+  ok(resp.status === 200 && resp.json.received.qty === 2, `expected forwarded POST got ${resp.status} - ${resp.body}`);
+  resp = await request({ ...base, path: '/api/apic/ecom/orders/v1/missing', method: 'GET' });
+  ok(resp.status === 404 && resp.json.message === 'no such order', `expected upstream 404 got ${resp.status}`);
+
+  console.log('3) built-in routes are not forwarded');
+  const callsBefore = upstreamCalls.length;
+  resp = await request({ ...base, path: '/api/apic/token/v1/jwks', method: 'GET' });
+  ok(resp.status === 200 && upstreamCalls.length === callsBefore, 'built-in route was proxied');
+
+  resp = await request({ ...base, path: '/api/admin/proxy/recordings', method: 'GET' });
+  ok(resp.json.recordings.length === 3, `expected 3 recordings got ${resp.json.recordings.length}`);
+  ok(resp.json.recordings.every(r => !r.request.headers.authorization), 'credentials must not be recorded');
+
+  console.log('4) replay mode serves recordings by method, path, query and body');
+  await new Promise((resolve) => upstream.close(resolve));
+  resp = await configure({ mode: 'replay', file });
+  resp = await request({ ...base, path: '/api/apic/ecom/orders/v1/A1?expand=lines', method: 'GET' });
+  ok(resp.status === 200 && resp.json.orderId === 'A1' && resp.headers['x-mock-proxy'] === 'replayed', `expected replay got ${resp.status} - ${resp.body}`);
+  resp = await request({ ...base, path: '/api/apic/ecom/orders/v1/B2', method: 'POST', headers: json }, JSON.stringify({ qty: 2 }));
+  ok(resp.status === 200 && resp.json.received.qty === 2, `expected replayed POST got ${resp.status}`);
+  resp = await request({ ...base, path: '/api/apic/ecom/orders/v1/B2', method: 'POST', headers: json }, JSON.stringify({ qty: 3 }));
+  ok(resp.status === 404 && resp.json.errorCode === 'NO_RECORDING', `different body expected 404 NO_RECORDING got ${resp.status}`);
+  resp = await request({ ...base, path: '/api/apic/ecom/orders/v1/A1', method: 'GET' });
+  ok(resp.status === 404, `different query expected 404 got ${resp.status}`);
+
+  console.log('5) recordings convert to stub definitions and swagger examples');
+  const script = path.join(__dirname, '..', 'scripts', 'convert-recordings.js');
+  const recordingFile = path.join(__dirname, '..', 'recordings', file);
+  const stubs = JSON.parse(execFileSync('node', [script, 'stubs', recordingFile], { timeout: 30000, stdio: ['ignore', 'pipe', 'ignore'] }));
+  ok(stubs.length === 3 && stubs[0].request.query.expand === 'lines' && stubs[1].request.body.qty === 2 && stubs[2].response.status === 404,
+    'unexpected stub conversion ' + JSON.stringify(stubs));
+  resp = await request({ ...base, path: '/api/admin/stubs', method: 'POST', headers: json }, JSON.stringify(stubs[0]));
+  ok(resp.status === 201, `converted stub should be accepted, got ${resp.status} - ${resp.body}`);
+  await request({ ...base, path: '/api/admin/stubs/' + resp.json.id, method: 'DELETE' });
+  const yaml = execFileSync('node', [script, 'swagger', recordingFile], { timeout: 30000, stdio: ['ignore', 'pipe', 'ignore'] }).toString();
+  ok(/^paths:/.test(yaml), 'swagger conversion should print a paths fragment');
+
+  resp = await request({ ...base, path: '/api/admin/proxy/recordings', method: 'DELETE' });
+  ok(resp.json.deletedCount === 3, `expected 3 deleted got ${resp.body}`);
+  resp = await configure({ mode: 'off' });
+  ok(resp.json.mode === 'off', 'proxy should be off again');
+
+  console.log('ALL PROXY SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,83 @@
+const http = require('http');
+
+function request(options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  const json = { 'Content-Type': 'application/json' };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const createStub = (stub) => request({ ...base, path: '/api/admin/stubs', method: 'POST', headers: json }, JSON.stringify(stub));
+
+  console.log('1) invalid stub is rejected with details');
+  let resp = await createStub({ request: { method: 'FETCH', path: 'users' }, response: { status: 99 } });
+  ok(resp.status === 400 && resp.json.details.length === 3, `expected 400 with 3 details, got ${resp.status} - ${resp.body}`);
+
+  console.log('2) a stub overrides a built-in route, even without credentials');
+  resp = await createStub({
+    name: 'empty search', request: { method: 'GET', path: '/api/patients/:shipToId', query: { searchTerm: 'nobody' } },
+    response: { status: 200, headers: { 'X-Scenario': 'empty' }, body: { patients: [], total: 0 } }
+  });
+  ok(resp.status === 201 && resp.json.priority === 5, `create expected 201 got ${resp.status} - ${resp.body}`);
+  const searchStub = resp.json;
+  resp = await request({ ...base, path: '/api/patients/1483051?searchTerm=nobody', method: 'GET' });
+  ok(resp.status === 200 && resp.json.total === 0 && resp.headers['x-scenario'] === 'empty', `expected stubbed search got ${resp.status} - ${resp.body}`);
+  ok(resp.headers['x-mock-stub-id'] === searchStub.id, 'missing X-Mock-Stub-Id header');
+
+  console.log('3) requests the stub does not match fall through to the real route');
+  resp = await request({ ...base, path: '/api/patients/1483051?searchTerm=someone', method: 'GET' });
+  ok(resp.status === 401, `expected the real route's 401 got ${resp.status}`);
+
+  console.log('4) header and body matchers, priority and delay');
+  resp = await createStub({
+    request: { method: 'POST', path: '/api/patients', headers: { 'X-Test-Case': 'duplicate' }, body: { 'patient.lastName': 'Smith' } },
+    response: { status: 409, body: { code: 409, message: 'Patient already exists' }, delayMs: 200 }
+  });
+  const conflictStub = resp.json;
+  resp = await createStub({ priority: 1, request: { method: 'POST', path: '/api/patients', body: { 'patient.lastName': 'Smith', 'patient.firstName': 'Ann' } }, response: { status: 503 } });
+  const urgentStub = resp.json;
+
+  const post = (headers, body) => request({ ...base, path: '/api/patients', method: 'POST', headers: { ...json, ...headers } }, JSON.stringify(body));
+  const started = Date.now();
+  resp = await post({ 'X-Test-Case': 'duplicate' }, { patient: { firstName: 'Bob', lastName: 'Smith' } });
+  ok(resp.status === 409 && resp.json.message === 'Patient already exists', `expected stubbed 409 got ${resp.status} - ${resp.body}`);
+  ok(Date.now() - started >= 200, 'delay was not applied');
+  resp = await post({ 'X-Test-Case': 'duplicate' }, { patient: { firstName: 'Ann', lastName: 'Smith' } });
+  ok(resp.status === 503 && resp.body === '', `priority 1 stub expected 503 got ${resp.status}`);
+  resp = await post({}, { patient: { firstName: 'Bob', lastName: 'Smith' } });
+  ok(resp.status !== 409, 'stub matched without its header');
+
+  console.log('5) list is in match order; disabled stubs are skipped');
+  resp = await request({ ...base, path: '/api/admin/stubs', method: 'GET' });
+  ok(resp.json.stubs[0].id === urgentStub.id, 'priority 1 stub should be listed first');
+  resp = await request({ ...base, path: '/api/admin/stubs/' + searchStub.id, method: 'PUT', headers: json }, JSON.stringify({ ...searchStub, enabled: false }));
+  ok(resp.status === 200 && resp.json.enabled === false, `disable expected 200 got ${resp.status}`);
+  resp = await request({ ...base, path: '/api/patients/1483051?searchTerm=nobody', method: 'GET' });
+  ok(resp.status === 401, `disabled stub still answered (${resp.status})`);
+
+  console.log('6) delete');
+  for (const stub of [searchStub, conflictStub, urgentStub]) {
+    resp = await request({ ...base, path: '/api/admin/stubs/' + stub.id, method: 'DELETE' });
+    ok(resp.status === 204, `delete expected 204 got ${resp.status}`);
+  }
+  resp = await request({ ...base, path: '/api/admin/stubs/' + searchStub.id, method: 'GET' });
+  ok(resp.status === 404, `expected 404 got ${resp.status}`);
+
+  console.log('ALL RUNTIME STUB SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,124 @@
+const http = require('http');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+
+  const shipToId = String(Date.now()); // numeric: the download routes document an integer shipToId
+  const search = (query) => request({ ...base, path: `/api/patients/${shipToId}?${encodeURI(query)}`, method: 'GET' });
+  const names = (resp) => resp.json.patients.map((p) => p.firstName).join(',');
+
+  console.log('1) create patients under ship-to ' + shipToId);
+  const seed = [
+    { firstName: 'Ann', lastName: 'Zed', teamName: 'Team A', dateOfBirth: '1950-05-01', primaryPayer: { payerType: 'Agency', payerDisplayName: 'Medicare' } },
+    { firstName: 'Bob', lastName: 'Young', teamName: 'Team B', dateOfBirth: '1960-05-01', primaryPayer: { payerType: 'Insurance', payerDisplayName: 'Blue Cross' } },
+    { firstName: 'Cid', lastName: 'Xu', teamName: 'Team A', dateOfBirth: '1970-05-01', primaryPayer: { payerType: 'Insurance', payerDisplayName: 'Medicaid' } },
+    { firstName: 'Dee', lastName: 'Web', teamName: 'Team C', dateOfBirth: '1980-05-01' },
+    { firstName: 'Abe', lastName: 'Vance', teamName: 'Zed Team', dateOfBirth: '1990-05-01' }
+  ];
+  const keys = [];
+  for (const [i, patient] of seed.entries()) {
+    const resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: { 'Content-Type': 'application/json' } },
+      JSON.stringify({ ...patient, patientId: `7770000${i}`, shipToId }));
+    ok(resp.status === 201, `create expected 201 got ${resp.status} - ${resp.body}`);
+    keys.push(resp.json.patientKey);
+  }
+
+  console.log('2) multi-value teamName and payerType filters');
+  let resp = await search('teamName=team a,Team C');
+  ok(resp.status === 200 && names(resp) === 'Ann,Cid,Dee', 'teamName filter: ' + resp.body);
+  resp = await search('teamName=Team A&teamName=Team B&payerType=Insurance');
+  ok(names(resp) === 'Bob,Cid', 'teamName + payerType filter: ' + names(resp));
+  resp = await search('payerName=medicare');
+  ok(names(resp) === 'Ann', 'payerName filter: ' + names(resp));
+
+  console.log('3) date of birth and created ranges');
+  resp = await search('dateOfBirthFrom=1955-01-01&dateOfBirthTo=1975-12-31');
+  ok(names(resp) === 'Bob,Cid', 'dateOfBirth range: ' + names(resp));
+  const today = new Date().toISOString().slice(0, 10);
+  resp = await search(`createdFrom=${today}&createdTo=${today}`);
+  ok(resp.json.totalRecords === 5, 'created today should match all 5, got ' + resp.json.totalRecords);
+  resp = await search('createdTo=2000-01-01T00:00:00Z');
+  ok(resp.json.totalRecords === 0, 'created before 2000 should match none');
+
+  console.log('4) multi-key sorting');
+  resp = await search('sortBy=TEAM,LAST_NAME&sortDir=ASC,DESC');
+  ok(names(resp) === 'Ann,Cid,Bob,Dee,Abe', 'TEAM asc, LAST_NAME desc: ' + names(resp));
+  resp = await search('sortBy=TEAM,FIRST_NAME&sortDir=DESC');
+  ok(names(resp) === 'Abe,Dee,Bob,Cid,Ann', 'single direction for every key: ' + names(resp));
+
+  console.log('5) fields projection');
+  resp = await search('fields=firstName,teamName&sortBy=FIRST_NAME');
+  ok(resp.status === 200, `fields expected 200 got ${resp.status} - ${resp.body}`);
+  ok(Object.keys(resp.json.patients[0]).join(',') === 'patientKey,firstName,teamName', 'projected keys: ' + Object.keys(resp.json.patients[0]));
+
+  console.log('6) full-text q: words, prefixes, relevance and highlights');
+  resp = await search('q=zed');
+  ok(names(resp) === 'Ann,Abe', 'last name match should rank above team match: ' + names(resp));
+  resp = await search('q=zed&sortBy=FIRST_NAME');
+  ok(names(resp) === 'Abe,Ann', 'explicit sortBy should win over relevance: ' + names(resp));
+  resp = await search('q=ann ze');
+  ok(names(resp) === 'Ann', 'multi-word prefix query: ' + names(resp));
+  resp = await search('q=zéd');
+  ok(resp.json.totalRecords === 2, 'diacritics should be ignored, got ' + resp.json.totalRecords);
+  resp = await search('q=zed&highlight=true&fields=firstName');
+  ok(resp.json.patients[0].highlights.lastName === '<mark>Zed</mark>', 'lastName highlight: ' + JSON.stringify(resp.json.patients[0]));
+  ok(resp.json.patients[1].highlights.teamName === '<mark>Zed</mark> Team', 'teamName highlight: ' + JSON.stringify(resp.json.patients[1]));
+  ok(!('firstName' in resp.json.patients[0].highlights), 'unmatched fields should not be highlighted');
+  // the unscoped list matches q the same way
+  const listKeys = async (q) => (await request({ ...base, path: `/api/patients?q=${encodeURIComponent(q)}&pageSize=25`, method: 'GET' }))
+    .json.patients.map((p) => p.patientKey);
+  ok((await listKeys('an ze')).includes(keys[0]), 'GET /api/patients should find prefixes of every word');
+  ok(!(await listKeys('nn')).includes(keys[0]), 'GET /api/patients should not match inside words');
+
+  console.log('7) the index follows updates');
+  resp = await request({ ...base, path: '/api/patients/' + keys[1], method: 'PATCH', headers: { 'Content-Type': 'application/merge-patch+json' } },
+    JSON.stringify({ lastName: 'Quill' }));
+  ok(resp.status === 200, `PATCH expected 200 got ${resp.status}`);
+  resp = await search('q=quill');
+  ok(names(resp) === 'Bob', 'updated name should be searchable: ' + names(resp));
+  resp = await search('q=young');
+  ok(resp.json.totalRecords === 0, 'old name should no longer match');
+
+  console.log('8) invalid values produce details');
+  resp = await search('sortBy=TEAM,NOPE');
+  ok(resp.status === 400 && resp.json.details[0].field === 'sortBy', 'invalid sortBy: ' + resp.body);
+  ok(/must be one of: FIRST_NAME/.test(resp.json.details[0].issue), 'sortBy issue: ' + resp.json.details[0].issue);
+  resp = await search('sortBy=TEAM,LAST_NAME&sortDir=ASC,DESC,ASC');
+  ok(resp.status === 400 && resp.json.details[0].field === 'sortDir', 'mismatched sortDir: ' + resp.body);
+  resp = await search('payerType=Cash&dateOfBirthFrom=yesterday&fields=ssn');
+  ok(resp.status === 400, `expected 400 got ${resp.status}`);
+  const fields = resp.json.details.map((d) => d.field).sort().join(',');
+  ok(fields === 'dateOfBirthFrom,fields,payerType', 'expected details for every invalid parameter, got ' + fields);
+
+  console.log('9) export honours the filters');
+  resp = await request({ ...base, path: `/api/patient/download/${shipToId}?payerType=Insurance`, method: 'GET' });
+  ok(resp.status === 200, `export expected 200 got ${resp.status}`);
+
+  for (const key of keys) {
+    await request({ ...base, path: '/api/patients/' + key, method: 'DELETE' });
+  }
+
+  console.log('ALL SEARCH SMOKE TESTS PASSED');
+  process.exit(0);
+})();
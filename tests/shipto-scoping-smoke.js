@@ -0,0 +1,60 @@
+const http = require('http');
+const ExcelJS = require('exceljs');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const buffer = Buffer.concat(chunks);
+        let json = null;
+        try { json = JSON.parse(buffer.toString('utf8')); } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, buffer, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+
+  const marker = 'Scope' + Date.now();
+  console.log('1) POST /api/patients for ship-to 1483051');
+  let resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({
+    firstName: marker, lastName: 'Scoped', patientId: 'SC001', teamName: 'Scope Team', dateOfBirth: '1990-01-01', shipToId: '1483051'
+  }));
+  ok(resp.status === 201, `expected 201, got ${resp.status}`);
+  const patientKey = resp.json.patientKey;
+
+  console.log('2) search is scoped to the ship-to');
+  resp = await request({ ...base, path: `/api/patients/1483051?q=${marker}`, method: 'GET' });
+  ok(resp.status === 200 && resp.json.totalRecords === 1, `expected 1 hit under 1483051, got ${resp.json && resp.json.totalRecords}`);
+  resp = await request({ ...base, path: `/api/patients/1563073?q=${marker}`, method: 'GET' });
+  ok(resp.status === 200 && resp.json.totalRecords === 0, `expected 0 hits under 1563073, got ${resp.json && resp.json.totalRecords}`);
+
+  console.log('3) export is scoped to the ship-to');
+  resp = await request({ ...base, path: `/api/patient/download/1563073?q=${marker}`, method: 'GET' });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(resp.buffer);
+  ok(workbook.getWorksheet('Patients').rowCount === 1, 'export for 1563073 should only contain the header row');
+
+  console.log('4) bulk delete from another ship-to fails');
+  resp = await request({ ...base, path: `/api/patients/1563073?patientKeys=${patientKey}`, method: 'DELETE' });
+  ok(resp.status === 200 && resp.json.results[0].status === 'FAILURE', 'cross ship-to delete should report FAILURE');
+
+  console.log('5) bulk delete from the owning ship-to succeeds');
+  resp = await request({ ...base, path: `/api/patients/1483051?patientKeys=${patientKey}`, method: 'DELETE' });
+  ok(resp.status === 200 && resp.json.results[0].status === 'SUCCESS', 'owning ship-to delete should report SUCCESS');
+  resp = await request({ ...base, path: `/api/patients/1483051?q=${marker}`, method: 'GET' });
+  ok(resp.json.totalRecords === 0, 'patient should be gone');
+
+  console.log('ALL SHIP-TO SCOPING SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,98 @@
+// Standalone: builds a throwaway app from a small OpenAPI document, no running mock server needed.
+const http = require('http');
+const express = require('express');
+const { registerOpenApiStubs } = require('../lib/openapiStubs');
+
+function request(options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+const document = {
+  openapi: '3.0.3',
+  servers: [{ url: 'http://localhost:5178/api' }],
+  paths: {
+    '/orders/{orderId}': {
+      get: {
+        responses: {
+          '200': { content: { 'application/json': { examples: { first: { value: { id: 'ORD-1', status: 'OPEN' } } } } } },
+          '404': { $ref: '#/components/responses/NotFound' }
+        }
+      },
+      delete: { responses: { '204': { description: 'Deleted' } } }
+    },
+    '/orders': {
+      get: { responses: { '200': { content: { 'application/json': { schema: { $ref: '#/components/schemas/OrderList' } } } } } },
+      post: { responses: { '201': { content: { 'application/json': { schema: { $ref: '#/components/schemas/Order' } } } } } }
+    }
+  },
+  components: {
+    schemas: {
+      Order: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', example: 'ORD-42' },
+          placedAt: { type: 'string', format: 'date-time' },
+          status: { type: 'string', enum: ['OPEN', 'CLOSED'] },
+          lines: { type: 'array', items: { type: 'object', properties: { qty: { type: 'integer', minimum: 1 } } } }
+        }
+      },
+      OrderList: { type: 'object', properties: { orders: { type: 'array', items: { $ref: '#/components/schemas/Order' } } } }
+    },
+    responses: {
+      NotFound: { description: 'Not found', content: { 'application/json': { example: { code: 404, message: 'Order not found' } } } }
+    }
+  }
+};
+
+(async () => {
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+
+  const app = express();
+  app.post('/api/orders', (req, res) => res.status(201).json({ handwritten: true }));
+  const stubbed = registerOpenApiStubs(app, document);
+  const server = app.listen(0);
+  const base = { hostname: 'localhost', port: server.address().port };
+
+  try {
+    console.log('1) only operations without a handwritten route are stubbed');
+    ok(stubbed.join() === 'GET /orders/{orderId},DELETE /orders/{orderId},GET /orders', 'unexpected stubs ' + stubbed);
+    let resp = await request({ ...base, path: '/api/orders', method: 'POST' });
+    ok(resp.json.handwritten === true, 'handwritten route should win');
+
+    console.log('2) documented examples are returned with the documented status');
+    resp = await request({ ...base, path: '/api/orders/ORD-1', method: 'GET' });
+    ok(resp.status === 200 && resp.json.status === 'OPEN' && resp.headers['x-mock-stub'] === 'true', `expected example got ${resp.status} - ${resp.body}`);
+    resp = await request({ ...base, path: '/api/orders/ORD-1', method: 'DELETE' });
+    ok(resp.status === 204, `expected 204 got ${resp.status}`);
+
+    console.log('3) bodies are synthesized from the schema');
+    resp = await request({ ...base, path: '/api/orders', method: 'GET' });
+    const order = resp.json.orders[0];
+    ok(order.id === 'ORD-42' && order.status === 'OPEN' && order.placedAt === '1970-01-01T00:00:00.000Z' && order.lines[0].qty === 1, 'unexpected synthesized body ' + resp.body);
+
+    console.log('4) Prefer: code= selects a documented response');
+    resp = await request({ ...base, path: '/api/orders/ORD-1', method: 'GET', headers: { Prefer: 'code=404' } });
+    ok(resp.status === 404 && resp.json.message === 'Order not found', `expected 404 got ${resp.status} - ${resp.body}`);
+    resp = await request({ ...base, path: '/api/orders/ORD-1', method: 'GET', headers: { Prefer: 'code=418' } });
+    ok(resp.status === 400 && resp.json.details[0].field === 'Prefer', `undocumented code expected 400 got ${resp.status}`);
+  } finally {
+    server.close();
+  }
+
+  console.log('ALL STUB SMOKE TESTS PASSED');
+  process.exit(0);
+})();
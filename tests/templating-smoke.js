@@ -0,0 +1,83 @@
+const http = require('http');
+
+function request(options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  const json = { 'Content-Type': 'application/json' };
+  const auth = { Authorization: 'Bearer test' };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const createStub = (stub) => request({ ...base, path: '/api/admin/stubs', method: 'POST', headers: json }, JSON.stringify(stub));
+  const stubs = [];
+
+  console.log('1) unknown helpers are rejected when the stub is saved');
+  let resp = await createStub({ request: { path: '/api/templated' }, response: { body: { id: '{{nope}}' }, headers: { 'X-Id': '{{ }}' } } });
+  ok(resp.status === 400 && resp.json.details.some(d => d.field === 'response.body.id') && resp.json.details.some(d => d.field === 'response.headers.X-Id'),
+    `expected 400 with template details, got ${resp.status} - ${resp.body}`);
+
+  console.log('2) a stubbed ship-to account echoes the requested id');
+  resp = await createStub({
+    request: { method: 'GET', path: '/api/apic/ecom/account/v1/shipto/:id' },
+    response: {
+      headers: { 'X-Request-Id': '{{uuid}}', 'X-Echo': 'echo-{{request.query.echo}}' },
+      body: { id: '{{request.params.id}}', name: 'Account {{request.params.id}}', orderLimit: '{{randomInt 10 20}}', createdAt: '{{now}}', owner: '{{randomName}}' }
+    }
+  });
+  ok(resp.status === 201, `create expected 201 got ${resp.status} - ${resp.body}`);
+  stubs.push(resp.json);
+  resp = await request({ ...base, path: '/api/apic/ecom/account/v1/shipto/9988776?echo=hi', method: 'GET' });
+  ok(resp.status === 200 && resp.json.id === '9988776' && resp.json.name === 'Account 9988776', `expected echoed id got ${resp.body}`);
+  ok(Number.isInteger(resp.json.orderLimit) && resp.json.orderLimit >= 10 && resp.json.orderLimit <= 20, 'randomInt should keep its number type');
+  ok(!isNaN(Date.parse(resp.json.createdAt)) && / /.test(resp.json.owner), 'now / randomName not rendered');
+  ok(/^[0-9a-f-]{36}$/.test(resp.headers['x-request-id']) && resp.headers['x-echo'] === 'echo-hi', 'headers not rendered');
+
+  console.log('3) body fields and headers of the request');
+  resp = await createStub({
+    request: { method: 'POST', path: '/api/templated/echo' },
+    response: { status: 201, body: { greeting: 'Hello {{request.body.patient.firstName}}', tags: '{{request.body.tags}}', caller: '{{request.headers.x-caller}}' } }
+  });
+  stubs.push(resp.json);
+  resp = await request({ ...base, path: '/api/templated/echo', method: 'POST', headers: { ...json, 'X-Caller': 'ui' } },
+    JSON.stringify({ patient: { firstName: 'Ann' }, tags: ['a', 'b'] }));
+  ok(resp.status === 201 && resp.json.greeting === 'Hello Ann' && resp.json.tags.join() === 'a,b' && resp.json.caller === 'ui', `unexpected echo ${resp.body}`);
+
+  console.log('4) patient lookups');
+  resp = await request({ ...base, path: '/api/patients', method: 'POST', headers: { ...json, ...auth } }, JSON.stringify({
+    firstName: 'Tem', lastName: 'Plate', patientId: '55501234', teamName: 'Red Team', dateOfBirth: '1950-01-01', shipToId: '5550123'
+  }));
+  ok(resp.status === 201, `patient create expected 201 got ${resp.status}`);
+  const patient = resp.json;
+  resp = await createStub({
+    request: { method: 'GET', path: '/api/templated/patients/:key' },
+    response: { body: { lastName: "{{patient request.params.key 'lastName'}}", patient: '{{patient request.params.key}}', sample: '{{randomPatient request.query.shipToId}}' } }
+  });
+  stubs.push(resp.json);
+  resp = await request({ ...base, path: `/api/templated/patients/${patient.patientKey}?shipToId=5550123`, method: 'GET' });
+  ok(resp.json.lastName === 'Plate' && resp.json.patient.patientId === '55501234' && resp.json.sample.patientKey === patient.patientKey, `unexpected lookup ${resp.body}`);
+  resp = await request({ ...base, path: '/api/templated/patients/missing', method: 'GET' });
+  ok(resp.json.patient === null && resp.json.lastName === null, `missing patient should render null, got ${resp.body}`);
+
+  for (const stub of stubs) {
+    await request({ ...base, path: '/api/admin/stubs/' + stub.id, method: 'DELETE' });
+  }
+  await request({ ...base, path: `/api/patients/5550123?patientKeys=${patient.patientKey}`, method: 'DELETE', headers: auth });
+
+  console.log('ALL TEMPLATING SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,72 @@
+const http = require('http');
+const crypto = require('crypto');
+
+function request(options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+const decode = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const bearer = (token) => ({ Authorization: 'Bearer ' + token });
+
+  console.log('1) POST /api/apic/token mints a JWT built from the stored privileges');
+  let resp = await request({ ...base, path: '/api/apic/token', method: 'POST' });
+  ok(resp.status === 200 && resp.json.token_type === 'Bearer', `expected 200 got ${resp.status} - ${resp.body}`);
+  const token = resp.json.access_token;
+  const [h, p, sig] = token.split('.');
+  const header = decode(h);
+  const claims = decode(p);
+  ok(header.alg === 'RS256' && header.kid, 'expected RS256 header with kid');
+  const stored = await request({ ...base, path: '/api/admin/privileges', method: 'GET' });
+  ok(claims.privileges === stored.json.selectedPrivileges.join(','), 'privileges claim does not match auth_privileges');
+  ok(claims.sub === '11369805630' && claims.username === 'AUTO_HH_RW' && claims.sessionTimeout === 30, 'user claims mismatch');
+  ok(claims.exp - claims.iat === resp.json.expires_in, 'exp does not match expires_in');
+
+  console.log('2) signature verifies against the JWKS');
+  resp = await request({ ...base, path: '/.well-known/jwks.json', method: 'GET' });
+  const jwk = resp.json.keys.find(k => k.kid === header.kid);
+  ok(jwk, 'kid not found in JWKS');
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  ok(crypto.verify('RSA-SHA256', Buffer.from(h + '.' + p), publicKey, Buffer.from(sig, 'base64url')), 'signature did not verify');
+
+  console.log('3) validate accepts the token');
+  resp = await request({ ...base, path: '/api/apic/token/v1/validate', method: 'POST', headers: bearer(token) });
+  ok(resp.status === 200 && decode(resp.body.split('.')[1]).exp === claims.exp, `expected 200 with same exp got ${resp.status} - ${resp.body}`);
+  resp = await request({ ...base, path: '/api/apic/token/v1/validate', method: 'POST', headers: { Cookie: 'accessToken=' + token } });
+  ok(resp.status === 200, `cookie token expected 200 got ${resp.status}`);
+
+  console.log('4) tampered and missing tokens are 401');
+  const forged = Buffer.from(JSON.stringify({ ...claims, privileges: 'Everything' })).toString('base64url');
+  resp = await request({ ...base, path: '/api/apic/token/v1/validate', method: 'POST', headers: bearer(`${h}.${forged}.${sig}`) });
+  ok(resp.status === 401 && resp.json.errorCode === 'INVALID_TOKEN', `tampered expected 401 got ${resp.status} - ${resp.body}`);
+  resp = await request({ ...base, path: '/api/apic/token/v1/validate', method: 'POST' });
+  ok(resp.status === 401, `missing expected 401 got ${resp.status}`);
+
+  console.log('5) expired tokens are 401');
+  resp = await request({ ...base, path: '/api/apic/token?expiresIn=1', method: 'POST' });
+  const shortLived = resp.json.access_token;
+  await sleep(2100);
+  resp = await request({ ...base, path: '/api/apic/token/v1/validate', method: 'POST', headers: bearer(shortLived) });
+  ok(resp.status === 401 && resp.json.errorCode === 'TOKEN_EXPIRED', `expired expected 401 got ${resp.status} - ${resp.body}`);
+
+  console.log('ALL TOKEN SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,139 @@
+const http = require('http');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+// The server may run with SOFT_DELETE=true (deletes go to the trash) and a short TRASH_RETENTION_DAYS
+const SOFT_DELETE = process.env.SOFT_DELETE === 'true';
+const RETENTION_MS = Number(process.env.TRASH_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+  const json = { 'Content-Type': 'application/json' };
+  const send = (method, path, headers = {}, body) =>
+    request({ ...base, path, method, headers: body ? { ...json, ...headers } : headers }, body && JSON.stringify(body));
+  const keysOf = (resp) => resp.json.patients.map((p) => p.patientKey);
+  const statuses = (resp) => resp.json.results.map((r) => r.status).join(',');
+
+  const shipToId = 'TRASH' + Date.now();
+  const trashPath = `/api/patients/${shipToId}/trash`;
+  const create = async (firstName) => {
+    const resp = await send('POST', '/api/patients', {}, {
+      firstName, lastName: 'Binned', patientId: '77700001', teamName: 'Team A', dateOfBirth: '1970-01-01', shipToId
+    });
+    ok(resp.status === 201, `create expected 201 got ${resp.status} - ${resp.body}`);
+    return resp.json.patientKey;
+  };
+  const [first, second, third] = [await create('First'), await create('Second'), await create('Third')];
+
+  if (!SOFT_DELETE) {
+    console.log('1) without SOFT_DELETE deletes are permanent');
+    let resp = await send('DELETE', '/api/patients/' + first);
+    ok(resp.status === 204, `DELETE expected 204 got ${resp.status}`);
+    resp = await send('GET', trashPath);
+    ok(resp.status === 200 && resp.json.totalRecords === 0 && resp.json.patients.length === 0, 'trash should stay empty: ' + resp.body);
+    resp = await send('POST', trashPath + '/undelete', json, { patientKeys: [first] });
+    ok(resp.status === 200 && statuses(resp) === 'FAILURE', 'undelete of a removed patient: ' + resp.body);
+    await send('DELETE', `/api/patients/${shipToId}?patientKeys=${second}&patientKeys=${third}`);
+
+    console.log('ALL TRASH SMOKE TESTS PASSED (hard delete)');
+    process.exit(0);
+  }
+
+  if (RETENTION_MS < 60 * 1000) {
+    console.log('1) with a short TRASH_RETENTION_DAYS tombstones expire');
+    await send('DELETE', `/api/patients/${shipToId}?patientKeys=${first}&patientKeys=${second}&patientKeys=${third}`);
+    await new Promise((resolve) => setTimeout(resolve, RETENTION_MS + 200));
+    let resp = await send('GET', trashPath);
+    ok(resp.json.totalRecords === 0, 'expired tombstones still listed: ' + resp.body);
+    resp = await send('GET', `/api/patients/${first}/history`);
+    ok(resp.json.entries[0].action === 'purge' && resp.json.entries[0].actor.source === 'system' && resp.json.entries[0].route === null,
+      'expiry entry: ' + JSON.stringify(resp.json.entries[0]));
+
+    console.log('ALL TRASH SMOKE TESTS PASSED (expiry)');
+    process.exit(0);
+  }
+
+  console.log('1) deleted patients disappear from reads and counts');
+  let resp = await send('DELETE', '/api/patients/' + first);
+  ok(resp.status === 204, `DELETE expected 204 got ${resp.status}`);
+  resp = await send('GET', '/api/patients/' + first);
+  ok(resp.status === 404, `GET of a deleted patient expected 404 got ${resp.status}`);
+  resp = await send('GET', '/api/v1/patients/' + first);
+  ok(resp.status === 404, `V1 GET of a deleted patient expected 404 got ${resp.status}`);
+  resp = await send('PUT', '/api/patients/' + first, {}, { firstName: 'Ghost', lastName: 'Binned', patientId: '77700001', teamName: 'Team A', dateOfBirth: '1970-01-01' });
+  ok(resp.status === 404, `PUT of a deleted patient expected 404 got ${resp.status}`);
+  resp = await send('DELETE', `/api/patients/${shipToId}?patientKeys=${second}`);
+  ok(resp.status === 200 && statuses(resp) === 'SUCCESS', 'bulk delete: ' + resp.body);
+  resp = await send('GET', `/api/patients/${shipToId}`);
+  ok(resp.json.totalRecords === 1 && keysOf(resp)[0] === third, 'search should only count live patients: ' + resp.body);
+  resp = await send('GET', `/api/patients/${shipToId}?q=Second`);
+  ok(resp.json.totalRecords === 0, 'full-text search should skip deleted patients: ' + resp.json.totalRecords);
+
+  console.log('2) the trash lists them per ship-to, most recently deleted first');
+  resp = await send('GET', trashPath);
+  ok(resp.status === 200 && resp.json.totalRecords === 2 && keysOf(resp).join() === [second, first].join(), 'trash listing: ' + resp.body);
+  const entry = resp.json.patients[1];
+  ok(entry.firstName === 'First' && Date.parse(entry.purgeAt) - Date.parse(entry.deletedAt) === Math.round(RETENTION_MS), 'deletedAt/purgeAt: ' + JSON.stringify(entry));
+  resp = await send('GET', trashPath + '?pageSize=1');
+  ok(resp.json.nextCursor && /rel="next"/.test(resp.headers.link) && keysOf(resp).join() === second, 'trash paging: ' + resp.body);
+  resp = await send('GET', `${trashPath}?pageSize=1&cursor=${resp.json.nextCursor}`);
+  ok(keysOf(resp).join() === first && resp.json.pageNo === null, 'trash second page: ' + resp.body);
+  resp = await send('GET', `/api/patients/OTHER${shipToId}/trash`);
+  ok(resp.json.totalRecords === 0, 'another ship-to sees none of it: ' + resp.body);
+
+  console.log('3) undelete brings patients back as a new version');
+  resp = await send('POST', `/api/patients/OTHER${shipToId}/trash/undelete`, {}, { patientKeys: [first] });
+  ok(statuses(resp) === 'FAILURE' && /ship-to/.test(resp.json.results[0].message), 'undelete through another ship-to: ' + resp.body);
+  resp = await send('POST', trashPath + '/undelete', {}, { patientKeys: [first, 'no-such-patient', third] });
+  ok(resp.status === 200 && statuses(resp) === 'SUCCESS,FAILURE,FAILURE', 'undelete results: ' + resp.body);
+  resp = await send('GET', '/api/patients/' + first);
+  ok(resp.status === 200 && resp.headers.etag === '"2"' && resp.json.metadata.updatedBy === 'undelete', 'undeleted patient: ' + resp.status + ' ' + resp.body);
+  resp = await send('GET', `/api/patients/${first}/history`);
+  ok(resp.json.entries.map((e) => `${e.action}@${e.version}`).join() === 'undelete@2,delete@1,create@1', 'history: ' + resp.body);
+  resp = await send('POST', trashPath + '/undelete', {}, { patientKeys: [] });
+  ok(resp.status === 400 && resp.json.details[0].field === 'patientKeys', `empty patientKeys expected 400 got ${resp.status}`);
+
+  console.log('4) point-in-time restore also takes a patient out of the trash');
+  resp = await send('POST', `/api/patients/${second}/restore?version=1`, { 'Content-Length': 0 });
+  ok(resp.status === 200 && resp.json.metadata.version === 2, 'restore from the trash: ' + resp.body);
+  resp = await send('GET', trashPath);
+  ok(resp.json.totalRecords === 0, 'trash after undelete and restore: ' + resp.body);
+
+  console.log('5) purge removes patients for good');
+  await send('DELETE', '/api/patients/' + second);
+  await send('DELETE', '/api/patients/' + third);
+  resp = await send('DELETE', `${trashPath}?patientKeys=${second}&patientKeys=${first}`);
+  ok(resp.status === 200 && statuses(resp) === 'SUCCESS,FAILURE', 'purge results: ' + resp.body);
+  resp = await send('POST', trashPath + '/undelete', {}, { patientKeys: [second] });
+  ok(statuses(resp) === 'FAILURE', 'purged patients cannot be undeleted: ' + resp.body);
+  resp = await send('GET', `/api/patients/${second}/history`);
+  ok(resp.json.entries[0].action === 'purge' && resp.json.entries[0].changes.length === 0, 'purge entry: ' + JSON.stringify(resp.json.entries[0]));
+  await send('DELETE', '/api/patients/' + first);
+  resp = await send('DELETE', trashPath);
+  ok(resp.json.results.map((r) => r.patientKey).sort().join() === [first, third].sort().join() && statuses(resp) === 'SUCCESS,SUCCESS',
+    'emptying the trash: ' + resp.body);
+  resp = await send('GET', trashPath);
+  ok(resp.json.totalRecords === 0, 'trash after purge: ' + resp.body);
+
+  console.log('ALL TRASH SMOKE TESTS PASSED');
+  process.exit(0);
+})();
@@ -0,0 +1,81 @@
+const http = require('http');
+
+function request(options, body) {
+  // patient routes require an Authorization header (any value)
+  options = { ...options, headers: { Authorization: 'Bearer test', ...options.headers } };
+  return new Promise((resolve, reject) => {
+    const req = http.request(options, (res) => {
+      let chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let json = null;
+        try { json = raw ? JSON.parse(raw) : null; } catch (e) { /* ignore */ }
+        resolve({ status: res.statusCode, headers: res.headers, body: raw, json });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+// builds a multipart/form-data body with a single `file` part
+function multipart(fileName, contentType, content) {
+  const boundary = '----smoke' + Date.now();
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fileName}"\r\nContent-Type: ${contentType}\r\n\r\n`),
+    Buffer.from(content),
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  return { body, headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': body.length } };
+}
+
+(async () => {
+  const base = { hostname: 'localhost', port: 5178 };
+  function ok(cond, msg) { if (!cond) { console.error('FAIL:', msg); process.exit(1); } }
+
+  const csv = [
+    'firstName,lastName,patientId,teamName,dateOfBirth,payerType,payerDisplayName',
+    'Upload,"Smoke, Jr",UP001,Red Team,01/31/1975,Agency,Medicare',
+    'Broken,Row,UP002,,1975-02-30,,'
+  ].join('\r\n');
+
+  console.log('1) POST /api/patients/1483051/upload (csv)');
+  const form = multipart('patients.csv', 'text/csv', csv);
+  let resp = await request({ ...base, path: '/api/patients/1483051/upload', method: 'POST', headers: form.headers }, form.body);
+  ok(resp.status === 200, `expected 200, got ${resp.status} - ${resp.body}`);
+  ok(resp.json.totalRows === 2 && resp.json.successCount === 1, 'unexpected summary ' + resp.body);
+  const [good, bad] = resp.json.results;
+  ok(good.status === 'SUCCESS' && good.patientKey && good.row === 2, 'first row should succeed');
+  ok(bad.status === 'FAILURE' && bad.details.some(d => d.field === 'teamName') && bad.details.some(d => d.field === 'dateOfBirth'), 'second row should fail on teamName and dateOfBirth');
+
+  console.log('2) uploaded patient has normalized fields');
+  resp = await request({ ...base, path: '/api/patients?q=UP001', method: 'GET' });
+  const created = resp.json.patients.find(p => p.patientKey === good.patientKey);
+  ok(created && created.lastName === 'Smoke, Jr' && created.dateOfBirth === '1975-01-31', 'uploaded patient mismatch');
+
+  console.log('3) unsupported file type should be 415');
+  const txt = multipart('patients.json', 'application/json', '[]');
+  resp = await request({ ...base, path: '/api/patients/1483051/upload', method: 'POST', headers: txt.headers }, txt.body);
+  ok(resp.status === 415, `expected 415 got ${resp.status}`);
+
+  console.log('4) payer types are the ones search filters on');
+  const payers = multipart('payers.csv', 'text/csv', [
+    'firstName,lastName,patientId,teamName,dateOfBirth,payerType,payerDisplayName',
+    'Self,Payer,UP003,Red Team,1975-01-31,self-pay,Self-Pay',
+    'Cash,Payer,UP004,Red Team,1975-01-31,Cash,Self-Pay'
+  ].join('\r\n'));
+  resp = await request({ ...base, path: '/api/patients/1483051/upload', method: 'POST', headers: payers.headers }, payers.body);
+  const [selfPay, cash] = resp.json.results;
+  ok(selfPay.status === 'SUCCESS' && cash.status === 'FAILURE' && cash.details[0].field === 'payerType', 'payer type rows: ' + resp.body);
+  resp = await request({ ...base, path: '/api/patients/1483051?q=UP003&payerType=Self-Pay', method: 'GET' });
+  ok(resp.status === 200 && resp.json.patients.some((p) => p.patientKey === selfPay.patientKey && p.primaryPayer.payerType === 'Self-Pay'),
+    'Self-Pay filter: ' + resp.body);
+
+  await request({ ...base, path: '/api/patients/' + good.patientKey, method: 'DELETE' });
+  await request({ ...base, path: '/api/patients/' + selfPay.patientKey, method: 'DELETE' });
+
+  console.log('ALL UPLOAD SMOKE TESTS PASSED');
+  process.exit(0);
+})();
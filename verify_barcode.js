@@ -32,6 +32,17 @@ const options = {
     }
 };
 
+// pdfkit writes standard-font text as hex strings inside TJ operators
+function extractPdfText(pdf) {
+    const text = [];
+    const re = /<([0-9a-fA-F]+)>/g;
+    let match;
+    while ((match = re.exec(pdf)) !== null) {
+        text.push(Buffer.from(match[1], 'hex').toString('latin1'));
+    }
+    return text.join('');
+}
+
 const req = http.request(options, (res) => {
     console.log(`STATUS: ${res.statusCode}`);
     let responseData = '';
@@ -41,12 +52,31 @@ const req = http.request(options, (res) => {
     });
 
     res.on('end', () => {
+        let parsedData;
         try {
-            const parsedData = JSON.parse(responseData);
-            console.log('Response Body:', JSON.stringify(parsedData, null, 2));
+            parsedData = JSON.parse(responseData);
         } catch (e) {
             console.log('Response Body (Raw):', responseData);
+            process.exit(1);
+        }
+
+        const pdf = Buffer.from(parsedData.data || '', 'base64').toString('latin1');
+        const text = extractPdfText(pdf);
+        const checks = [
+            ['status is 200', res.statusCode === 200],
+            ['data is a PDF', pdf.startsWith('%PDF')],
+            ['A4 page size', /\/MediaBox \[0 0 595\.28 841\.89\]/.test(pdf)],
+            ['one barcode image per label', (pdf.match(/\/I\d+ Do/g) || []).length === 2],
+            ['label descriptions printed', text.includes('Mahi1, Dhoni') && text.includes('Mahi2, Dhoni')],
+            ['barcode values printed (printCodeOnLabel)', text.includes('CC6556FB4D7D4D2DB7378C0FC65FE84C')]
+        ];
+
+        let failed = false;
+        for (const [name, passed] of checks) {
+            console.log(`${passed ? 'OK  ' : 'FAIL'} ${name}`);
+            if (!passed) failed = true;
         }
+        process.exit(failed ? 1 : 0);
     });
 });
 
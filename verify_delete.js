@@ -1,6 +1,8 @@
 const http = require('http');
 
 function request(options, data) {
+    // patient routes require an Authorization header (any value)
+    options = { ...options, headers: { 'Authorization': 'Bearer test', ...options.headers } };
     return new Promise((resolve, reject) => {
         const req = http.request(options, (res) => {
             let body = '';